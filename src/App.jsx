@@ -10,8 +10,13 @@ import EditSectionModal from './components/EditSectionModal';
 import TripMapView from './components/TripMapView';
 import DashboardView from './components/DashboardView';
 import ProjectSelection from './components/ProjectSelection';
-import { getSections, addSections, addSection, deleteSection, getProject } from './db';
+import OutboxPanel from './components/OutboxPanel';
+import TrashView from './components/TrashView';
+import DataQualityView from './components/DataQualityView';
+import { getSections, addSections, addSection, trashSection, getProject, purgeExpiredTrash } from './db';
 import { parseCSV } from './utils/csvImporter';
+import { useOutbox } from './hooks/useOutbox';
+import { usePermissions } from './hooks/usePermissions';
 import { UserProvider, useUser } from './context/UserContext';
 import { NotificationProvider, useNotification } from './context/NotificationContext';
 import './index.css';
@@ -28,6 +33,8 @@ function AppContent() {
   const [sidebarCollapsed, setSidebarCollapsed] = useState(window.innerWidth < 768);
   const [editingSection, setEditingSection] = useState(null);
   const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [isOutboxOpen, setIsOutboxOpen] = useState(false);
+  const { pendingCount, failedCount } = useOutbox();
   const [currentView, setCurrentView] = useState('dashboard');
   const [currentProject, setCurrentProject] = useState(null);
   const lastBackPressRef = useRef(0);
@@ -131,14 +138,17 @@ function AppContent() {
 
   const allTypes = useMemo(() => [...new Set(sections.map(s => s.type).filter(Boolean))], [sections]);
 
-  // Admin Check
-  const isGlobalAdmin = user?.email === 'samuel.alalade@ttu.edu';
-  const isAdmin = useMemo(() => {
-    if (!user || !currentProject) return false;
-    if (isGlobalAdmin) return true;
-    if (currentProject.createdBy === user.username) return true;
-    return currentProject.users?.find(u => u.email === user.email)?.role === 'admin';
-  }, [currentProject, user, isGlobalAdmin]);
+  const { isAdmin, can } = usePermissions(currentProject);
+
+  // Purge trash past the trip's retention period whenever an admin opens the trip
+  const trashPurgedForRef = useRef(null);
+  useEffect(() => {
+    if (!isAdmin || !currentProject || !user) return;
+    if (trashPurgedForRef.current === currentProject.id) return;
+    trashPurgedForRef.current = currentProject.id;
+    purgeExpiredTrash(currentProject, user.username)
+      .catch(err => console.warn("[Trash] Auto-purge failed:", err));
+  }, [isAdmin, currentProject, user]);
 
   const refreshProject = async () => {
     if (currentProject) {
@@ -148,7 +158,7 @@ function AppContent() {
   };
 
   const handleChangeStatus = async (section, newStatus) => {
-    if (!isAdmin) return;
+    if (!can('setStatus')) return;
     const updated = { ...section, status: newStatus };
     if (newStatus === 'Evaluated') {
       updated.evaluatedAt = new Date().toISOString();
@@ -158,7 +168,7 @@ function AppContent() {
   };
 
   const handleChangeType = async (section, newType) => {
-    if (!isAdmin) return;
+    if (!can('editSections')) return;
     const updated = { ...section, type: newType };
     await addSection(updated, user.username, currentProject.id);
     loadSections();
@@ -167,11 +177,17 @@ function AppContent() {
   const { showAlert } = useNotification();
 
   const handleDeleteSection = async (section) => {
-    if (!isAdmin) {
+    if (!can('deleteData')) {
       showAlert("Only administrators can delete sections.");
       return;
     }
-    await deleteSection(section.docId, user.username);
+    try {
+      await trashSection(section.docId, user.username);
+      showToast(`Section "${section.id}" moved to trash`);
+    } catch (err) {
+      console.error("Error deleting section:", err);
+      showAlert("Failed to delete section: " + err.message);
+    }
     if (selectedSection?.docId === section.docId) setSelectedSection(null);
     loadSections();
   };
@@ -179,22 +195,23 @@ function AppContent() {
   // Auto-renumber: when a section is removed from the route (sequence cleared),
   // shift all subsequent sequence numbers down to fill the gap.
   const handleRemoveFromRoute = async (section) => {
+    if (!can('editPlan')) return;
     const removedSeq = Number(section.test_sequence);
     // Clear the removed section's sequence
     const updated = { ...section, test_sequence: '' };
-    await addSection(updated, user.username, currentProject.id);
+    await addSection(updated, user.username, currentProject.id, { source: 'map' });
     // Find all sections with sequence > removedSeq and decrement
     const toRenumber = sections
       .filter(s => s.test_sequence && Number(s.test_sequence) > removedSeq)
       .sort((a, b) => Number(a.test_sequence) - Number(b.test_sequence));
     for (const s of toRenumber) {
-      await addSection({ ...s, test_sequence: String(Number(s.test_sequence) - 1) }, user.username, currentProject.id);
+      await addSection({ ...s, test_sequence: String(Number(s.test_sequence) - 1) }, user.username, currentProject.id, { source: 'map' });
     }
     loadSections();
   };
 
   const handleEditSection = async (updatedSection) => {
-    if (!isAdmin) return;
+    if (!can('editSections')) return;
     await addSection(updatedSection, user.username, currentProject.id);
     setEditingSection(null);
     loadSections();
@@ -206,9 +223,9 @@ function AppContent() {
     if (window.innerWidth < 768) setSidebarCollapsed(true);
   };
 
-  const handleUpdateSections = async (updatedSections) => {
-    if (!isAdmin) return;
-    await addSections(updatedSections, user.username, { merge: true, projectId: currentProject?.id });
+  const handleUpdateSections = async (updatedSections, source = 'map') => {
+    if (!can('editPlan')) return;
+    await addSections(updatedSections, user.username, { merge: true, projectId: currentProject?.id, source });
     loadSections();
   };
 
@@ -225,8 +242,8 @@ function AppContent() {
         sections={filteredSections}
         onSelectSection={(s) => { setSelectedSection(s); setCurrentView('dashboard'); if (window.innerWidth < 768) setSidebarCollapsed(true); }}
         selectedSectionId={selectedSection?.docId}
-        onOpenImport={() => isAdmin && setIsImportModalOpen(true)}
-        onOpenManual={() => isAdmin && setIsManualModalOpen(true)}
+        onOpenImport={() => can('editSections') && setIsImportModalOpen(true)}
+        onOpenManual={() => can('editSections') && setIsManualModalOpen(true)}
         filterType={filterType}
         setFilterType={setFilterType}
         isCollapsed={sidebarCollapsed}
@@ -242,9 +259,12 @@ function AppContent() {
         allSections={sections}
         username={user?.username}
         onViewOnMap={handleViewOnMap}
-        isAdmin={isAdmin}
+        can={can}
         projectName={currentProject.name}
         onSwitchProject={() => setCurrentProject(null)}
+        onOpenOutbox={() => setIsOutboxOpen(true)}
+        onOpenTrash={() => { setCurrentView('trash'); if (window.innerWidth < 768) setSidebarCollapsed(true); }}
+        onOpenQuality={() => { setCurrentView('quality'); if (window.innerWidth < 768) setSidebarCollapsed(true); }}
       />
 
       <main className="main-content">
@@ -269,7 +289,10 @@ function AppContent() {
           </div>
 
           {/* Mobile Online Indicator */}
-          <div style={{ background: 'hsl(var(--card))', padding: '2px 6px', borderRadius: '12px', border: '1px solid hsl(var(--border))', fontSize: '0.65rem', display: 'flex', alignItems: 'center', gap: '4px' }}>
+          <div
+            onClick={() => setIsOutboxOpen(true)}
+            style={{ background: 'hsl(var(--card))', padding: '2px 6px', borderRadius: '12px', border: '1px solid hsl(var(--border))', fontSize: '0.65rem', display: 'flex', alignItems: 'center', gap: '4px', cursor: 'pointer' }}
+          >
             {isOnline ? (
               <>
                 <div style={{ width: '6px', height: '6px', borderRadius: '50%', background: '#22c55e' }} />
@@ -281,6 +304,11 @@ function AppContent() {
                 <span style={{ color: '#ef4444' }}>Offline</span>
               </>
             )}
+            {pendingCount + failedCount > 0 && (
+              <span style={{ color: failedCount > 0 ? '#ef4444' : '#f59e0b', fontWeight: 600 }}>
+                • {pendingCount + failedCount}
+              </span>
+            )}
           </div>
         </div>
 
@@ -292,23 +320,44 @@ function AppContent() {
               onSelectSection={setSelectedSection}
               onBack={() => setCurrentView('dashboard')}
               onUpdateSection={async (updated) => {
-                await addSection(updated, user.username, currentProject.id);
+                if (!can('editPlan')) return;
+                await addSection(updated, user.username, currentProject.id, { source: 'map' });
                 loadSections();
               }}
               onUpdateSections={handleUpdateSections}
               onRemoveFromRoute={handleRemoveFromRoute}
               username={user?.username}
-              isAdmin={isAdmin}
+              canPlan={can('editPlan')}
+              canManageTrip={can('manageTrip')}
               projectId={currentProject.id}
               project={currentProject}
               onUpdateProject={refreshProject}
             />
+          ) : currentView === 'trash' ? (
+            <TrashView
+              project={currentProject}
+              username={user.username}
+              onBack={() => setCurrentView('dashboard')}
+              onChanged={loadSections}
+            />
+          ) : currentView === 'quality' ? (
+            <DataQualityView
+              project={currentProject}
+              sections={sections}
+              username={user.username}
+              canEdit={can('editSections')}
+              canRepair={can('deleteData')}
+              onEditSection={(section) => setEditingSection(section)}
+              onSelectSection={(s) => { setSelectedSection(s); setCurrentView('dashboard'); }}
+              onChanged={loadSections}
+              onBack={() => setCurrentView('dashboard')}
+            />
           ) : currentView === 'settings' ? (
             <SettingsView
               onClose={() => setCurrentView('dashboard')}
-              isAdmin={isAdmin}
               currentProject={currentProject}
               onProjectUpdate={refreshProject}
+              onSectionsChange={loadSections}
             />
           ) : (
             selectedSection ? (
@@ -321,7 +370,7 @@ function AppContent() {
                 onDeleteSection={handleDeleteSection}
                 onEdit={(section) => setEditingSection(section)}
                 onViewOnMap={handleViewOnMap}
-                isAdmin={isAdmin}
+                can={can}
                 projectId={currentProject.id}
               />
             ) : (
@@ -357,6 +406,10 @@ function AppContent() {
         />
       )}
 
+      {isOutboxOpen && (
+        <OutboxPanel onClose={() => setIsOutboxOpen(false)} />
+      )}
+
       {editingSection && (
         <EditSectionModal
           section={editingSection}
@@ -0,0 +1,81 @@
+import { db } from '../firebase';
+import {
+    collection,
+    getDocs as fsGetDocs,
+    getDoc as fsGetDoc,
+    doc,
+    setDoc as fsSetDoc,
+    addDoc as fsAddDoc,
+    deleteDoc as fsDeleteDoc,
+    updateDoc as fsUpdateDoc,
+    query,
+    where,
+    orderBy,
+    writeBatch,
+    onSnapshot
+} from 'firebase/firestore';
+
+// Build a Firestore query from the backend-neutral filter/option format
+const buildQuery = (col, filters = [], { orderBy: order } = {}) => {
+    const constraints = filters.map(([field, op, value]) => where(field, op, value));
+    if (order) constraints.push(orderBy(order[0], order[1] || 'asc'));
+    return query(collection(db, col), ...constraints);
+};
+
+const toRecords = (snap) => snap.docs.map(d => ({ id: d.id, data: d.data() }));
+
+const getDoc = async (col, id) => {
+    const d = await fsGetDoc(doc(db, col, id));
+    return d.exists() ? { id: d.id, data: d.data() } : null;
+};
+
+const getDocs = async (col, filters, options) => {
+    const snap = await fsGetDocs(buildQuery(col, filters, options));
+    return toRecords(snap);
+};
+
+const setDoc = async (col, id, data, { merge = false } = {}) => {
+    await fsSetDoc(doc(db, col, id), data, { merge });
+};
+
+const addDoc = async (col, data) => {
+    const ref = await fsAddDoc(collection(db, col), data);
+    return ref.id;
+};
+
+const updateDoc = async (col, id, data) => {
+    await fsUpdateDoc(doc(db, col, id), data);
+};
+
+const deleteDoc = async (col, id) => {
+    await fsDeleteDoc(doc(db, col, id));
+};
+
+const subscribe = (col, filters, onData, onError) => {
+    return onSnapshot(buildQuery(col, filters), (snap) => onData(toRecords(snap)), onError);
+};
+
+const batch = () => {
+    const b = writeBatch(db);
+    return {
+        set: (col, id, data, { merge = false } = {}) => b.set(doc(db, col, id), data, { merge }),
+        update: (col, id, data) => b.update(doc(db, col, id), data),
+        delete: (col, id) => b.delete(doc(db, col, id)),
+        commit: () => b.commit()
+    };
+};
+
+const newId = (col) => doc(collection(db, col)).id;
+
+export const firestoreBackend = {
+    name: 'firestore',
+    getDoc,
+    getDocs,
+    setDoc,
+    addDoc,
+    updateDoc,
+    deleteDoc,
+    subscribe,
+    batch,
+    newId
+};
@@ -0,0 +1,43 @@
+import { STORAGE_BACKEND } from '../config';
+import { firestoreBackend } from './firestoreBackend';
+import { createLocalBackend, createMemoryStore, createIdbStore } from './localBackend';
+import { withOutbox } from './outbox';
+
+/*
+ * Storage backend contract used by db.js. Records are { id, data } pairs.
+ *
+ *   getDoc(col, id)                          -> Promise<{ id, data } | null>
+ *   getDocs(col, filters?, { orderBy }?)     -> Promise<Array<{ id, data }>>
+ *   setDoc(col, id, data, { merge }?)        -> Promise<void>
+ *   addDoc(col, data)                        -> Promise<string>  (new document id)
+ *   updateDoc(col, id, data)                 -> Promise<void>    (fails if missing)
+ *   deleteDoc(col, id)                       -> Promise<void>
+ *   subscribe(col, filters, onData, onError) -> unsubscribe()
+ *   batch()                                  -> { set, update, delete, commit }
+ *   newId(col)                               -> string
+ *
+ * filters are [field, op, value] triples (op: '==', '!=', '<', '<=', '>', '>=',
+ * 'in', 'array-contains'); orderBy is [field, 'asc' | 'desc'].
+ *
+ * Writes are routed through the outbox (outbox.js), which persists them locally
+ * until the backend confirms them.
+ */
+
+const createBackend = (name) => {
+    switch (name) {
+        case 'memory':
+            return createLocalBackend(createMemoryStore(), 'memory');
+        case 'indexeddb':
+            return createLocalBackend(createIdbStore(), 'indexeddb');
+        case 'firestore':
+            return firestoreBackend;
+        default:
+            console.warn(`Unknown storage backend "${name}", falling back to Firestore.`);
+            return firestoreBackend;
+    }
+};
+
+// The throwaway memory backend gets a throwaway outbox; everything else persists it in IndexedDB
+const outboxStore = STORAGE_BACKEND === 'memory' ? createMemoryStore() : createIdbStore('travel-records-outbox');
+
+export const backend = withOutbox(createBackend(STORAGE_BACKEND), outboxStore);
@@ -0,0 +1,258 @@
+import { openDB } from 'idb';
+
+// Local (non-cloud) storage backends. Documents are kept per collection exactly as
+// Firestore would hold them, and queries are evaluated in memory, so db.js behaves
+// the same whether it runs against Firebase, IndexedDB or a throwaway in-memory set.
+
+const LOCAL_DB_NAME = 'travel-records-local';
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+const clone = (value) => structuredClone(value);
+
+// Maps only: dates and arrays are values that get replaced whole
+const isPlainObject = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// Mirrors Firestore's set(..., { merge: true }): nested maps are merged, everything else replaced.
+// Keys are field names as given, dots included.
+const deepMerge = (target, source) => {
+    const out = { ...target };
+    for (const [key, value] of Object.entries(source)) {
+        out[key] = isPlainObject(value) && isPlainObject(out[key]) ? deepMerge(out[key], value) : value;
+    }
+    return out;
+};
+
+// Mirrors Firestore's update(): each key is a field path ("a.b" reaches into the map a) and its
+// value replaces whatever is there, maps included
+const applyFieldPaths = (target, changes) => {
+    const out = clone(target);
+    for (const [path, value] of Object.entries(changes)) {
+        const keys = path.split('.');
+        let node = out;
+        for (const key of keys.slice(0, -1)) {
+            if (!isPlainObject(node[key])) node[key] = {};
+            node = node[key];
+        }
+        node[keys[keys.length - 1]] = value;
+    }
+    return out;
+};
+
+const getField = (data, path) => path.split('.').reduce((value, key) => value?.[key], data);
+
+const sameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+const matchesFilter = (data, [field, op, value]) => {
+    const actual = getField(data, field);
+    switch (op) {
+        case '==': return sameValue(actual, value);
+        case '!=': return actual !== undefined && !sameValue(actual, value);
+        case '<': return actual !== undefined && actual < value;
+        case '<=': return actual !== undefined && actual <= value;
+        case '>': return actual !== undefined && actual > value;
+        case '>=': return actual !== undefined && actual >= value;
+        case 'in': return value.some(v => sameValue(actual, v));
+        case 'array-contains': return Array.isArray(actual) && actual.some(v => sameValue(v, value));
+        default: throw new Error(`Unsupported filter operator: ${op}`);
+    }
+};
+
+const compareBy = (field, direction) => (a, b) => {
+    const va = getField(a.data, field);
+    const vb = getField(b.data, field);
+    if (va === vb) return 0;
+    const result = va === undefined ? -1 : vb === undefined ? 1 : (va < vb ? -1 : 1);
+    return direction === 'desc' ? -result : result;
+};
+
+export const generateId = () => {
+    let id = '';
+    for (let i = 0; i < 20; i++) {
+        id += ID_ALPHABET[Math.floor(Math.random() * ID_ALPHABET.length)];
+    }
+    return id;
+};
+
+/*
+ * Document stores hold plain { id, data } records per collection:
+ *
+ *   get(col, id)      -> Promise<data | null>
+ *   getMany(col, ids) -> Promise<Array<data | null>>, read together in one go
+ *   getAll(col)       -> Promise<Array<{ id, data }>>
+ *   put(col, id, data) / remove(col, id)
+ *   commit(writes)    -> applies [{ col, id, data }] all or nothing; data null removes the record
+ */
+
+/**
+ * In-memory document store. Everything is lost on reload, which is exactly what
+ * training sessions and data-logic experiments want.
+ */
+export const createMemoryStore = () => {
+    const collections = new Map();
+    const bucket = (col) => {
+        if (!collections.has(col)) collections.set(col, new Map());
+        return collections.get(col);
+    };
+
+    return {
+        get: async (col, id) => bucket(col).get(id) ?? null,
+        getMany: async (col, ids) => ids.map(id => bucket(col).get(id) ?? null),
+        getAll: async (col) => Array.from(bucket(col), ([id, data]) => ({ id, data })),
+        put: async (col, id, data) => { bucket(col).set(id, data); },
+        remove: async (col, id) => { bucket(col).delete(id); },
+        // Nothing here can fail halfway, so applying them in turn is all or nothing
+        commit: async (writes) => {
+            writes.forEach(({ col, id, data }) => data === null ? bucket(col).delete(id) : bucket(col).set(id, data));
+        }
+    };
+};
+
+/**
+ * IndexedDB document store (via idb). A single object store keyed by
+ * [collection, id] means new collections never require a schema upgrade.
+ */
+export const createIdbStore = (dbName = LOCAL_DB_NAME) => {
+    const dbPromise = openDB(dbName, 1, {
+        upgrade(db) {
+            const store = db.createObjectStore('docs', { keyPath: ['collection', 'id'] });
+            store.createIndex('by_collection', 'collection');
+        }
+    });
+
+    return {
+        get: async (col, id) => {
+            const record = await (await dbPromise).get('docs', [col, id]);
+            return record ? record.data : null;
+        },
+        // One transaction for all of them, rather than one each
+        getMany: async (col, ids) => {
+            const tx = (await dbPromise).transaction('docs', 'readonly');
+            const [records] = await Promise.all([Promise.all(ids.map(id => tx.store.get([col, id]))), tx.done]);
+            return records.map(record => record ? record.data : null);
+        },
+        getAll: async (col) => {
+            const records = await (await dbPromise).getAllFromIndex('docs', 'by_collection', col);
+            return records.map(r => ({ id: r.id, data: r.data }));
+        },
+        put: async (col, id, data) => {
+            await (await dbPromise).put('docs', { collection: col, id, data });
+        },
+        remove: async (col, id) => {
+            await (await dbPromise).delete('docs', [col, id]);
+        },
+        // One transaction: if any write fails, none of them are kept
+        commit: async (writes) => {
+            const tx = (await dbPromise).transaction('docs', 'readwrite');
+            await Promise.all([
+                ...writes.map(({ col, id, data }) => data === null
+                    ? tx.store.delete([col, id])
+                    : tx.store.put({ collection: col, id, data })),
+                tx.done
+            ]);
+        }
+    };
+};
+
+/**
+ * Wrap a document store in the backend interface used by db.js
+ * (see backends/index.js for the contract).
+ */
+export const createLocalBackend = (store, name = 'local') => {
+    const listeners = new Set();
+
+    const runQuery = async (col, filters = [], { orderBy: order } = {}) => {
+        let records = (await store.getAll(col)).filter(r => filters.every(f => matchesFilter(r.data, f)));
+        if (order) records = records.sort(compareBy(order[0], order[1] || 'asc'));
+        return records.map(r => ({ id: r.id, data: clone(r.data) }));
+    };
+
+    const notify = (collections) => {
+        listeners.forEach(listener => {
+            if (!collections.has(listener.col)) return;
+            runQuery(listener.col, listener.filters)
+                .then(records => listener.active && listener.onData(records))
+                .catch(err => listener.onError && listener.onError(err));
+        });
+    };
+
+    // What a write leaves in the document, given what is stored now (null when missing)
+    const resultOf = (op, existing) => {
+        if (op.type === 'delete') return null;
+        if (op.type === 'set') return clone(op.options?.merge && existing ? deepMerge(existing, op.data) : op.data);
+        if (!existing) {
+            const err = new Error(`No document to update: ${op.col}/${op.id}`);
+            err.code = 'not-found';
+            throw err;
+        }
+        return applyFieldPaths(existing, op.data);
+    };
+
+    // Works out every write against the stored documents (and the batch's earlier writes) before
+    // storing any of them, so a failing write leaves nothing half-applied
+    const applyWrites = async (ops) => {
+        const staged = new Map(); // "col/id" -> data, null once deleted
+        for (const op of ops) {
+            const key = `${op.col}/${op.id}`;
+            const existing = staged.has(key) ? staged.get(key) : await store.get(op.col, op.id);
+            staged.set(key, resultOf(op, existing));
+        }
+        await store.commit(ops
+            .filter((op, i) => ops.findLastIndex(o => o.col === op.col && o.id === op.id) === i)
+            .map(op => ({ col: op.col, id: op.id, data: staged.get(`${op.col}/${op.id}`) })));
+        notify(new Set(ops.map(op => op.col)));
+    };
+
+    const getDoc = async (col, id) => {
+        const data = await store.get(col, id);
+        return data ? { id, data: clone(data) } : null;
+    };
+
+    const getDocs = (col, filters, options) => runQuery(col, filters, options);
+
+    const setDoc = (col, id, data, options) => applyWrites([{ type: 'set', col, id, data, options }]);
+
+    const addDoc = async (col, data) => {
+        const id = generateId();
+        await applyWrites([{ type: 'set', col, id, data }]);
+        return id;
+    };
+
+    const updateDoc = (col, id, data) => applyWrites([{ type: 'update', col, id, data }]);
+
+    const deleteDoc = (col, id) => applyWrites([{ type: 'delete', col, id }]);
+
+    const subscribe = (col, filters, onData, onError) => {
+        const listener = { col, filters, onData, onError, active: true };
+        listeners.add(listener);
+        runQuery(col, filters)
+            .then(records => listener.active && onData(records))
+            .catch(err => onError && onError(err));
+        return () => {
+            listener.active = false;
+            listeners.delete(listener);
+        };
+    };
+
+    const batch = () => {
+        const ops = [];
+        return {
+            set: (col, id, data, options) => { ops.push({ type: 'set', col, id, data, options }); },
+            update: (col, id, data) => { ops.push({ type: 'update', col, id, data }); },
+            delete: (col, id) => { ops.push({ type: 'delete', col, id }); },
+            commit: () => applyWrites(ops)
+        };
+    };
+
+    return {
+        name,
+        getDoc,
+        getDocs,
+        setDoc,
+        addDoc,
+        updateDoc,
+        deleteDoc,
+        subscribe,
+        batch,
+        newId: () => generateId()
+    };
+};
@@ -0,0 +1,309 @@
+// Durable outbox for writes. Every mutation that goes through the wrapped backend is
+// persisted locally first, then dispatched. Entries stay in the outbox until the
+// backend confirms them, so a crew out of signal can see exactly which notes and
+// section edits have not reached the server yet, and retry or discard failed ones.
+// Writes to the same document are sent in the order they were made, also when a reload
+// replays the queue.
+
+const OUTBOX = 'outbox';
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// Errors that will not go away by retrying on their own
+const PERMANENT_ERROR_CODES = new Set([
+    'permission-denied',
+    'unauthenticated',
+    'invalid-argument',
+    'not-found',
+    'already-exists',
+    'failed-precondition',
+    'out-of-range'
+]);
+
+const COLLECTION_LABELS = {
+    sections: 'section',
+    details: 'note',
+    private_notes: 'private note',
+    projects: 'trip',
+    user_plans: 'days plan',
+    section_audit: 'history entry',
+    detail_revisions: 'note revision',
+    invitations: 'invitation',
+    imports: 'import',
+    import_sections: 'import rollback entry',
+    app_config: 'settings'
+};
+
+let target = null; // The real backend writes are replayed against
+let store = null;
+const byId = new Map();
+const inFlight = new Map(); // entry id -> its running attempt
+const listeners = new Set();
+let snapshot = [];
+let retryTimer = null;
+let lastSeq = 0;
+
+// Increasing order of submission; createdAt alone can tie within a millisecond
+const nextSeq = () => (lastSeq = Math.max(Date.now(), lastSeq + 1));
+
+const emit = () => {
+    snapshot = Array.from(byId.values()).sort((a, b) => a.seq - b.seq);
+    listeners.forEach(listener => listener());
+};
+
+const putEntry = (entry) => {
+    byId.set(entry.id, entry);
+    emit();
+};
+
+// The entry is already queued on the device, so a failure here only loses its retry state
+const patchEntry = (id, changes) => {
+    const entry = byId.get(id);
+    if (!entry) return;
+    const updated = { ...entry, ...changes };
+    putEntry(updated);
+    store.put(OUTBOX, id, updated).catch(err => console.warn('[Outbox] Failed to persist entry:', err));
+};
+
+const removeEntry = (id) => {
+    byId.delete(id);
+    store.remove(OUTBOX, id).catch(err => console.warn('[Outbox] Failed to remove entry:', err));
+    emit();
+};
+
+const retryDelay = (attempts) => Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+const isOnline = () => typeof navigator === 'undefined' || navigator.onLine;
+
+// Which sections / notes an operation touches, so the UI can badge them
+const describeRefs = (op) => {
+    const ops = op.type === 'batch' ? op.ops : [op];
+    const refs = { sections: [], details: [] };
+    ops.forEach(o => {
+        if (o.col === 'sections') refs.sections.push(o.id);
+        if (o.col === 'details') {
+            refs.details.push(o.id);
+            if (o.data?.sectionId) refs.sections.push(o.data.sectionId);
+        }
+    });
+    return refs;
+};
+
+// Audit entries ride along with the change they describe and don't need mentioning
+const BOOKKEEPING_COLLECTIONS = new Set(['section_audit', 'detail_revisions']);
+
+const docKeys = (op) => (op.type === 'batch' ? op.ops : [op]).map(o => `${o.col}/${o.id}`);
+
+// Queued writes made before this one that touch any of the same documents
+const earlierWrites = (entry) => {
+    const keys = new Set(docKeys(entry.op));
+    return snapshot.filter(e => e.seq < entry.seq && e.status === 'pending' && docKeys(e.op).some(k => keys.has(k)));
+};
+
+const summarize = (op) => {
+    if (op.type === 'batch') {
+        const main = op.ops.filter(o => !BOOKKEEPING_COLLECTIONS.has(o.col));
+        if (main.length === 1) return summarize(main[0]);
+        return `Batch of ${main.length} change${main.length === 1 ? '' : 's'}`;
+    }
+    const label = COLLECTION_LABELS[op.col] || op.col;
+    const verb = op.type === 'delete' ? 'Delete' : op.type === 'update' ? 'Update' : 'Save';
+    const name = op.col === 'sections' && op.data?.id ? op.data.id : op.id;
+    return `${verb} ${label} ${name}`;
+};
+
+const applyOp = (writer, o) => {
+    if (o.type === 'set') return writer.set(o.col, o.id, o.data, o.options);
+    if (o.type === 'update') return writer.update(o.col, o.id, o.data);
+    return writer.delete(o.col, o.id);
+};
+
+const execute = async (op) => {
+    switch (op.type) {
+        case 'set': return target.setDoc(op.col, op.id, op.data, op.options);
+        case 'update': return target.updateDoc(op.col, op.id, op.data);
+        case 'delete': return target.deleteDoc(op.col, op.id);
+        case 'batch': {
+            const batch = target.batch();
+            op.ops.forEach(o => applyOp(batch, o));
+            return batch.commit();
+        }
+        default: throw new Error(`Unknown outbox operation: ${op.type}`);
+    }
+};
+
+const scheduleRetry = () => {
+    clearTimeout(retryTimer);
+    if (!isOnline()) return;
+    const waiting = snapshot.filter(e => e.status === 'pending' && !inFlight.has(e.id) && e.nextAttemptAt);
+    if (waiting.length === 0) return;
+    const next = Math.min(...waiting.map(e => e.nextAttemptAt));
+    retryTimer = setTimeout(() => flushOutbox(), Math.max(0, next - Date.now()));
+};
+
+// Sends one entry once the earlier writes to its documents have gone. Resolves to false when
+// it has to stay queued behind one of them that is waiting to be retried.
+const dispatch = async (id) => {
+    const entry = byId.get(id);
+    const earlier = earlierWrites(entry);
+    for (const e of earlier) {
+        await inFlight.get(e.id)?.catch(() => { });
+    }
+    if (earlier.some(e => byId.get(e.id)?.status === 'pending')) return false;
+
+    try {
+        await execute(entry.op);
+        removeEntry(id);
+        return true;
+    } catch (err) {
+        const attempts = entry.attempts + 1;
+        const giveUp = PERMANENT_ERROR_CODES.has(err.code) || attempts >= MAX_ATTEMPTS;
+        console.warn(`[Outbox] ${entry.summary} failed (attempt ${attempts}):`, err.message);
+        patchEntry(id, {
+            attempts,
+            lastError: err.message,
+            status: giveUp ? 'failed' : 'pending',
+            nextAttemptAt: giveUp ? null : Date.now() + retryDelay(attempts)
+        });
+        throw err;
+    }
+};
+
+const attempt = (id) => {
+    if (!byId.has(id)) return Promise.resolve(false);
+    if (inFlight.has(id)) return inFlight.get(id);
+
+    const run = dispatch(id);
+    inFlight.set(id, run);
+    // Once it has gone, or failed for good, writes queued behind it can go
+    run.then(sent => {
+        if (sent) flushOutbox();
+    }, () => {
+        if (byId.get(id)?.status === 'failed') flushOutbox();
+    }).finally(() => {
+        inFlight.delete(id);
+        scheduleRetry();
+    });
+    return run;
+};
+
+const submit = async (op) => {
+    const entry = {
+        id: target.newId(OUTBOX),
+        seq: nextSeq(),
+        op,
+        refs: describeRefs(op),
+        summary: summarize(op),
+        createdAt: new Date().toISOString(),
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        nextAttemptAt: null
+    };
+    // Only send the write once it is safely on the device
+    try {
+        await store.put(OUTBOX, entry.id, entry);
+    } catch (err) {
+        console.error('[Outbox] Failed to queue write:', err);
+        throw new Error(`Could not save the change on this device: ${err.message}`);
+    }
+    putEntry(entry);
+
+    const result = attempt(entry.id);
+    if (!isOnline()) {
+        // Offline: the write is safely queued, don't make the UI wait for signal
+        result.catch(() => { });
+        return;
+    }
+    try {
+        await result;
+    } catch (err) {
+        // A transient error leaves the write queued for another attempt, just like being
+        // offline does; only a write that has failed for good is the caller's failure
+        if (byId.get(entry.id)?.status === 'pending') return;
+        throw err;
+    }
+};
+
+/**
+ * Retry every pending write whose backoff has elapsed (or all of them when `force` is set).
+ * Writes to the same document wait for each other, oldest first.
+ */
+export const flushOutbox = ({ force = false } = {}) => {
+    const now = Date.now();
+    snapshot
+        .filter(e => e.status === 'pending' && !inFlight.has(e.id) && (force || !e.nextAttemptAt || e.nextAttemptAt <= now))
+        .forEach(e => attempt(e.id).catch(() => { }));
+};
+
+export const retryOutboxEntry = async (id) => {
+    patchEntry(id, { status: 'pending', attempts: 0, nextAttemptAt: null });
+    await attempt(id);
+};
+
+export const discardOutboxEntry = (id) => {
+    if (inFlight.has(id)) return;
+    removeEntry(id);
+};
+
+export const retryAllOutbox = () => {
+    snapshot.filter(e => e.status === 'failed').forEach(e => patchEntry(e.id, { status: 'pending', attempts: 0, nextAttemptAt: null }));
+    flushOutbox({ force: true });
+};
+
+export const subscribeOutbox = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+export const getOutboxSnapshot = () => snapshot;
+
+/**
+ * Wrap a backend so that all of its writes go through the outbox.
+ * Reads and subscriptions pass straight through.
+ * @param {object} backend - The backend writes are eventually applied to
+ * @param {object} outboxStore - Document store (see localBackend.js) the queue is persisted in
+ */
+export const withOutbox = (backend, outboxStore) => {
+    target = backend;
+    store = outboxStore;
+
+    // Reload whatever was still queued when the app was last closed
+    store.getAll(OUTBOX).then(records => {
+        records.forEach(r => {
+            // Entries queued before seq was recorded replay in creation order
+            const seq = r.data.seq ?? Date.parse(r.data.createdAt);
+            lastSeq = Math.max(lastSeq, seq);
+            byId.set(r.id, { ...r.data, seq, nextAttemptAt: null });
+        });
+        emit();
+        if (isOnline()) flushOutbox({ force: true });
+    }).catch(err => console.warn('[Outbox] Failed to load queued writes:', err));
+
+    if (typeof window !== 'undefined') {
+        window.addEventListener('online', () => flushOutbox({ force: true }));
+    }
+
+    return {
+        ...backend,
+        setDoc: (col, id, data, options) => submit({ type: 'set', col, id, data, options }),
+        // Generate the id up front so a replayed add can never create a duplicate document
+        addDoc: async (col, data) => {
+            const id = backend.newId(col);
+            await submit({ type: 'set', col, id, data });
+            return id;
+        },
+        updateDoc: (col, id, data) => submit({ type: 'update', col, id, data }),
+        deleteDoc: (col, id) => submit({ type: 'delete', col, id }),
+        batch: () => {
+            const ops = [];
+            return {
+                set: (col, id, data, options) => { ops.push({ type: 'set', col, id, data, options }); },
+                update: (col, id, data) => { ops.push({ type: 'update', col, id, data }); },
+                delete: (col, id) => { ops.push({ type: 'delete', col, id }); },
+                commit: () => submit({ type: 'batch', ops })
+            };
+        }
+    };
+};
@@ -0,0 +1,37 @@
+import { AlertTriangle, Check } from 'lucide-react';
+import { parseCoordinates } from '../utils/coordinates';
+
+// Live reading of a coordinates input: what it resolves to, what was corrected, or why it
+// can't be read. Plain "lat,lon" decimals inside Texas show nothing.
+const CoordinateFeedback = ({ value, onApply }) => {
+    const parsed = parseCoordinates(value);
+    if (!value || !String(value).trim()) return null;
+
+    if (parsed.error) {
+        return (
+            <div className="coordinate-feedback error">
+                <AlertTriangle size={12} /> Can't read these coordinates: {parsed.error}
+            </div>
+        );
+    }
+
+    const changed = parsed.coordinates !== String(value).replace(/\s+/g, '');
+    if (!changed && parsed.warnings.length === 0) return null;
+
+    return (
+        <div className={`coordinate-feedback ${parsed.warnings.length ? 'warning' : ''}`}>
+            <span>
+                Reads as <span className="font-mono">{parsed.coordinates}</span>
+                {parsed.format !== 'decimal' && ` (${parsed.format})`}
+                {parsed.warnings.length > 0 && ` — ${parsed.warnings.join('; ')}`}
+            </span>
+            {changed && onApply && (
+                <button type="button" className="btn btn-ghost btn-sm" onClick={() => onApply(parsed.coordinates)}>
+                    <Check size={12} /> Use
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default CoordinateFeedback;
@@ -0,0 +1,142 @@
+import { useState } from 'react';
+import { useUser } from '../context/UserContext';
+import { useNotification } from '../context/NotificationContext';
+import { updateProject } from '../db';
+import { parseCoordinates } from '../utils/coordinates';
+import { getCrews, newCrew, crewColor } from '../utils/crews';
+import { Truck, Plus, Save, Trash2 } from 'lucide-react';
+
+// Settings card for the trip's crews. Each crew gets its own days on the Trip Map; a crew
+// without a home base starts and finishes at the trip's home.
+const CrewSettings = ({ project, onProjectUpdate }) => {
+    const { user } = useUser();
+    const { showAlert, showConfirm } = useNotification();
+    const [crews, setCrews] = useState(() => getCrews(project).map(crew => ({
+        ...crew,
+        homeName: crew.homeLocation?.name || '',
+        homeCoordinates: crew.homeLocation?.coordinates || ''
+    })));
+    const [saving, setSaving] = useState(false);
+    const users = project?.users || [];
+
+    const updateCrew = (id, fields) => setCrews(prev => prev.map(c => c.id === id ? { ...c, ...fields } : c));
+
+    const toggleMember = (crew, email) => updateCrew(crew.id, {
+        members: crew.members.includes(email) ? crew.members.filter(m => m !== email) : [...crew.members, email]
+    });
+
+    const handleAdd = () => setCrews(prev => [...prev, { ...newCrew(prev), homeName: '', homeCoordinates: '' }]);
+
+    const handleRemove = async (crew) => {
+        if (!await showConfirm(`Remove ${crew.name || 'this crew'}? Its days move to the first remaining crew.`)) return;
+        setCrews(prev => prev.filter(c => c.id !== crew.id));
+    };
+
+    const handleSave = async () => {
+        const saved = [];
+        for (const { homeName, homeCoordinates, ...crew } of crews) {
+            const name = crew.name.trim();
+            if (!name) {
+                showAlert("Every crew needs a name.");
+                return;
+            }
+            let homeLocation = null;
+            if (homeCoordinates.trim()) {
+                const parsed = parseCoordinates(homeCoordinates);
+                if (!parsed.latLng) {
+                    showAlert(`Invalid home base for ${name}: ${parsed.error || 'enter lat, lng'}`);
+                    return;
+                }
+                homeLocation = { name: homeName.trim() || `${name} base`, coordinates: parsed.coordinates };
+            }
+            saved.push({ ...crew, name, vehicle: crew.vehicle.trim(), homeLocation });
+        }
+
+        setSaving(true);
+        try {
+            await updateProject(project.id, { crews: saved }, user.username);
+            if (onProjectUpdate) onProjectUpdate();
+            showAlert(saved.length ? `Saved ${saved.length} crew${saved.length === 1 ? '' : 's'}.` : "Crews removed.");
+        } catch (err) {
+            console.error("Saving crews failed", err);
+            showAlert("Failed to save: " + err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="card">
+            <h3 className="mb-4 text-lg font-medium flex items-center gap-2">
+                <Truck size={20} /> Crews
+            </h3>
+            <p className="text-xs text-muted mb-2">
+                For trips that run more than one vehicle. Each day of the plan belongs to a crew, and each crew's days start
+                and finish at its home base (or the trip's home). Leave empty for a single crew.
+            </p>
+
+            <div className="space-y-4">
+                {crews.map(crew => (
+                    <div key={crew.id} className="crew-settings-row" style={{ borderLeftColor: crewColor(crew, crews) }}>
+                        <div className="flex gap-2">
+                            <input
+                                className="input flex-1"
+                                placeholder="Crew name"
+                                value={crew.name}
+                                onChange={(e) => updateCrew(crew.id, { name: e.target.value })}
+                            />
+                            <input
+                                className="input flex-1"
+                                placeholder="Vehicle"
+                                value={crew.vehicle}
+                                onChange={(e) => updateCrew(crew.id, { vehicle: e.target.value })}
+                            />
+                            <button
+                                onClick={() => handleRemove(crew)}
+                                className="btn btn-outline p-1 text-destructive hover:bg-destructive/10 h-auto"
+                                title="Remove Crew"
+                            >
+                                <Trash2 size={14} />
+                            </button>
+                        </div>
+                        <div className="flex gap-2 mt-2">
+                            <input
+                                className="input flex-1"
+                                placeholder="Home base name"
+                                value={crew.homeName}
+                                onChange={(e) => updateCrew(crew.id, { homeName: e.target.value })}
+                            />
+                            <input
+                                className="input flex-1"
+                                placeholder="Home base lat, lng (trip home if empty)"
+                                value={crew.homeCoordinates}
+                                onChange={(e) => updateCrew(crew.id, { homeCoordinates: e.target.value })}
+                            />
+                        </div>
+                        {users.length > 0 && (
+                            <div className="flex flex-wrap gap-2 mt-2">
+                                {users.map(u => (
+                                    <label key={u.email} className="flex items-center gap-1 text-xs">
+                                        <input type="checkbox" checked={crew.members.includes(u.email)} onChange={() => toggleMember(crew, u.email)} />
+                                        {u.email}
+                                    </label>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            <div className="flex gap-2 mt-4">
+                <button onClick={handleAdd} className="btn btn-outline">
+                    <Plus size={16} /> Add Crew
+                </button>
+                <button onClick={handleSave} className="btn btn-primary" disabled={saving}>
+                    <Save size={16} /> {saving ? 'Saving...' : 'Save Crews'}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default CrewSettings;
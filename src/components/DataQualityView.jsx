@@ -0,0 +1,157 @@
+import { useState, useEffect, useMemo } from 'react';
+import { ArrowLeft, Loader, Pencil, CheckCircle, AlertTriangle, ChevronDown, ChevronUp, Wrench } from 'lucide-react';
+import { findSectionRepairs, repairSections } from '../db';
+import { checkDataQuality, QUALITY_CHECKS } from '../utils/dataQuality';
+import { useNotification } from '../context/NotificationContext';
+import ProgressModal from './ProgressModal';
+import RepairSectionsModal from './RepairSectionsModal';
+
+const QualityGroup = ({ check, issues, canEdit, onEdit, onSelect, action }) => {
+    const [isOpen, setIsOpen] = useState(issues.length > 0 && issues.length <= 20);
+
+    return (
+        <div className="card">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="w-full flex justify-between items-center"
+                style={{ background: 'none', border: 'none', color: 'inherit', cursor: issues.length ? 'pointer' : 'default', padding: 0 }}
+                disabled={issues.length === 0}
+            >
+                <div className="flex items-center gap-2 text-left">
+                    {issues.length === 0
+                        ? <CheckCircle size={18} style={{ color: '#22c55e' }} />
+                        : <AlertTriangle size={18} style={{ color: '#f59e0b' }} />}
+                    <div>
+                        <h3 className="text-lg font-medium">{check.label} ({issues.length})</h3>
+                        <div className="text-xs text-muted">{check.description}</div>
+                    </div>
+                </div>
+                {issues.length > 0 && (isOpen ? <ChevronUp size={18} /> : <ChevronDown size={18} />)}
+            </button>
+            {issues.length > 0 && action}
+
+            {isOpen && (
+                <div className="space-y-2 mt-4">
+                    {issues.map(({ section, message }, idx) => (
+                        <div key={`${section.docId}-${idx}`} className="flex justify-between items-center p-2 hover:bg-[hsl(var(--muted))]/10 rounded" style={{ gap: '8px' }}>
+                            <button
+                                onClick={() => onSelect(section)}
+                                className="text-left"
+                                style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', padding: 0, minWidth: 0 }}
+                                title="Open section"
+                            >
+                                <div className="font-medium text-sm truncate">#{section.id}</div>
+                                <div className="text-xs text-muted truncate">{message}</div>
+                            </button>
+                            {canEdit && (
+                                <button onClick={() => onEdit(section)} className="btn btn-outline p-1 h-auto" title="Fix in the section editor">
+                                    <Pencil size={14} />
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const DataQualityView = ({ project, sections, username, canEdit, canRepair, onEditSection, onSelectSection, onChanged, onBack }) => {
+    const { showAlert } = useNotification();
+    const [repairs, setRepairs] = useState(null);
+    const [showRepair, setShowRepair] = useState(false);
+    const [repairProgress, setRepairProgress] = useState(null);
+    const [repairSummary, setRepairSummary] = useState(null);
+
+    // Reloaded whenever the sections change, so fixes drop off the list
+    useEffect(() => {
+        let active = true;
+        findSectionRepairs(project.id)
+            .then(result => active && setRepairs(result))
+            .catch(err => {
+                console.error("Failed to check for duplicate sections", err);
+                showAlert("Failed to check for duplicate sections: " + err.message);
+                if (active) setRepairs([]);
+            });
+        return () => { active = false; };
+    }, [project.id, sections, showAlert]);
+
+    const issues = useMemo(
+        () => repairs ? checkDataQuality(sections, repairs) : null,
+        [sections, repairs]
+    );
+
+    const handleRepair = async () => {
+        setShowRepair(false);
+        setRepairProgress({ phase: 'Starting', done: 0, total: repairs.length });
+        try {
+            setRepairSummary(await repairSections(project.id, repairs, username, { onProgress: setRepairProgress }));
+        } catch (err) {
+            console.error("Repair failed", err);
+            showAlert("Repair failed: " + err.message);
+        }
+        setRepairProgress(null);
+        if (onChanged) onChanged();
+    };
+
+    const total = issues ? Object.values(issues).reduce((sum, list) => sum + list.length, 0) : 0;
+
+    return (
+        <div className="max-w-4xl mx-auto space-y-6">
+            <div className="flex justify-between items-center border-b border-[hsl(var(--border))] pb-4 mb-6">
+                <h2 className="text-2xl font-bold flex items-center gap-2">
+                    <button onClick={onBack} className="btn btn-ghost p-1" title="Back"><ArrowLeft size={20} /></button>
+                    Data Quality
+                </h2>
+            </div>
+
+            <p className="text-sm text-muted">
+                {issues
+                    ? total === 0
+                        ? `All ${sections.length} sections passed every check.`
+                        : `${total} issue${total === 1 ? '' : 's'} across ${sections.length} sections.`
+                    : 'Checking sections…'}
+            </p>
+
+            {repairSummary && (
+                <div className="card text-sm">
+                    <div className="font-medium flex items-center gap-2 mb-2"><Wrench size={16} /> Repair complete</div>
+                    <div className="text-muted">
+                        {repairSummary.sections} section{repairSummary.sections === 1 ? '' : 's'} rewritten, {repairSummary.deleted} duplicate
+                        document{repairSummary.deleted === 1 ? '' : 's'} deleted; moved {repairSummary.details} note{repairSummary.details === 1 ? '' : 's'},
+                        {' '}{repairSummary.revisions} note revision{repairSummary.revisions === 1 ? '' : 's'}, {repairSummary.audit} history
+                        entr{repairSummary.audit === 1 ? 'y' : 'ies'} and {repairSummary.privateNotes} private note{repairSummary.privateNotes === 1 ? '' : 's'}.
+                        {repairSummary.privateNotesSkipped && " Other members' private notes can only be moved by their owners and stay under the old IDs."}
+                    </div>
+                </div>
+            )}
+
+            {!issues ? (
+                <div className="flex justify-center p-8"><Loader className="animate-spin text-primary" size={24} /></div>
+            ) : (
+                QUALITY_CHECKS.map(check => (
+                    <QualityGroup
+                        key={check.key}
+                        check={check}
+                        issues={issues[check.key]}
+                        canEdit={canEdit}
+                        onEdit={onEditSection}
+                        onSelect={onSelectSection}
+                        action={check.key === 'duplicates' && canRepair && repairs.length > 0 && (
+                            <button onClick={() => setShowRepair(true)} className="btn btn-outline btn-sm mt-4">
+                                <Wrench size={14} /> Repair duplicates
+                            </button>
+                        )}
+                    />
+                ))
+            )}
+
+            {showRepair && (
+                <RepairSectionsModal repairs={repairs} onConfirm={handleRepair} onClose={() => setShowRepair(false)} />
+            )}
+            {repairProgress && <ProgressModal title="Repairing sections" progress={repairProgress} />}
+        </div>
+    );
+};
+
+export default DataQualityView;
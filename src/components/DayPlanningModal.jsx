@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import { X, Save, SlidersHorizontal } from 'lucide-react';
+
+// Per-trip day planning settings: the crew's day length limit and how long a stop takes,
+// by default and per section type. Types left empty use the default.
+const DayPlanningModal = ({ settings, types, onSave, onClose }) => {
+    // Keep durations for types that no section currently has
+    const typeNames = [...new Set([...types, ...Object.keys(settings.stopMinutesByType)])].sort();
+    const [maxDayHours, setMaxDayHours] = useState(String(settings.maxDayHours));
+    const [defaultStopMinutes, setDefaultStopMinutes] = useState(String(settings.defaultStopMinutes));
+    const [byType, setByType] = useState(() => Object.fromEntries(
+        typeNames.map(type => [type, settings.stopMinutesByType[type] == null ? '' : String(settings.stopMinutesByType[type])])
+    ));
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleSave = async () => {
+        const hours = Number(maxDayHours);
+        const minutes = Number(defaultStopMinutes);
+        if (!maxDayHours || !Number.isFinite(hours) || hours < 1 || hours > 24) {
+            setError('The day limit must be between 1 and 24 hours.');
+            return;
+        }
+        if (defaultStopMinutes === '' || !Number.isFinite(minutes) || minutes < 0) {
+            setError('Stop durations must be zero or more minutes.');
+            return;
+        }
+        const stopMinutesByType = {};
+        for (const [type, value] of Object.entries(byType)) {
+            if (value.trim() === '') continue;
+            const typeMinutes = Number(value);
+            if (!Number.isFinite(typeMinutes) || typeMinutes < 0) {
+                setError(`Stop duration for ${type} must be zero or more minutes.`);
+                return;
+            }
+            stopMinutesByType[type] = typeMinutes;
+        }
+
+        setSaving(true);
+        try {
+            await onSave({ maxDayHours: hours, defaultStopMinutes: minutes, stopMinutesByType });
+        } catch (err) {
+            setError('Failed to save: ' + err.message);
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-content fade-in" style={{ maxWidth: '440px' }}>
+                <div className="modal-header">
+                    <h2 className="flex items-center gap-2"><SlidersHorizontal size={20} /> Day Planning</h2>
+                    <button className="btn btn-glass" onClick={onClose}><X size={20} /></button>
+                </div>
+
+                <div className="modal-body">
+                    <div className="day-planning-row">
+                        <label htmlFor="day-limit">Crew day limit (hours)</label>
+                        <input id="day-limit" type="number" min="1" max="24" step="0.5" className="input" value={maxDayHours} onChange={(e) => setMaxDayHours(e.target.value)} />
+                    </div>
+                    <div className="day-planning-row">
+                        <label htmlFor="stop-default">Default stop (minutes)</label>
+                        <input id="stop-default" type="number" min="0" className="input" value={defaultStopMinutes} onChange={(e) => setDefaultStopMinutes(e.target.value)} />
+                    </div>
+
+                    {typeNames.length > 0 && (
+                        <>
+                            <h4 className="font-bold text-sm uppercase text-muted" style={{ margin: '1rem 0 0.5rem' }}>Stop time by section type</h4>
+                            {typeNames.map(type => (
+                                <div key={type} className="day-planning-row">
+                                    <label htmlFor={`stop-${type}`}>{type}</label>
+                                    <input
+                                        id={`stop-${type}`}
+                                        type="number"
+                                        min="0"
+                                        className="input"
+                                        placeholder={defaultStopMinutes}
+                                        value={byType[type]}
+                                        onChange={(e) => setByType(prev => ({ ...prev, [type]: e.target.value }))}
+                                    />
+                                </div>
+                            ))}
+                        </>
+                    )}
+
+                    {error && <p className="text-sm text-destructive" style={{ marginTop: '0.75rem' }}>{error}</p>}
+                </div>
+
+                <div className="modal-footer">
+                    <button onClick={onClose} className="btn btn-glass">Cancel</button>
+                    <button onClick={handleSave} className="btn btn-primary" disabled={saving}>
+                        <Save size={16} /> {saving ? 'Saving...' : 'Save'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default DayPlanningModal;
@@ -1,13 +1,16 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
-import { getDetails, addDetail, updateDetail, deleteDetail, addSection, subscribeToDetails } from '../db';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { getDetails, addDetail, updateDetail, trashDetail, addSection, subscribeToDetails } from '../db';
 import { History, Save, Edit3, Camera, Mic, X, Image as LucideImage, Square, Trash2, Check, RotateCcw, RefreshCw } from 'lucide-react';
 import ImageResizer from './ImageResizer';
 import ImageLightbox from './ImageLightbox';
+import SyncBadge from './SyncBadge';
+import NoteRevisionsModal from './NoteRevisionsModal';
 import { useUser } from '../context/UserContext';
 import { useNotification } from '../context/NotificationContext';
 import { useVoiceLogger } from '../hooks/useVoiceLogger';
+import { useOutbox } from '../hooks/useOutbox';
 
-const DetailEditor = ({ section, onUpdate }) => {
+const DetailEditor = ({ section, onUpdate, canEdit, canDelete }) => {
     const { user } = useUser();
     const { showAlert, showConfirm } = useNotification();
     const [details, setDetails] = useState([]);
@@ -15,6 +18,8 @@ const DetailEditor = ({ section, onUpdate }) => {
     const [editingId, setEditingId] = useState(null); // ID of detail being edited
     const [selectedImg, setSelectedImg] = useState(null); // For main editor
     const [lightboxSrc, setLightboxSrc] = useState(null); // For image popup
+    const [revisionsForId, setRevisionsForId] = useState(null); // Note whose history is open
+    const { entries: outboxEntries, statusForDetail, retry, discard } = useOutbox();
 
     // Voice Logger Hook
     const {
@@ -53,6 +58,36 @@ const DetailEditor = ({ section, onUpdate }) => {
         setSelectedImg(null);
     }, [section?.docId]);
 
+    // Notes still sitting in the outbox (e.g. saved offline, or rejected by the server)
+    // may not be in the subscription yet, so show them from the queued write itself
+    const visibleDetails = useMemo(() => {
+        const knownIds = new Set(details.map(d => d.id));
+        const queued = outboxEntries
+            .filter(e => e.op.type === 'set' && e.op.col === 'details' && e.op.data?.sectionId === section?.docId && !knownIds.has(e.op.id))
+            .map(e => ({ ...e.op.data, id: e.op.id }));
+        if (queued.length === 0) return details;
+        // The queued copy supersedes the optimistic temp item
+        return [...details.filter(d => !d.id.toString().startsWith('temp-')), ...queued]
+            .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+    }, [details, outboxEntries, section?.docId]);
+
+    const handleRetrySync = async (detailId) => {
+        for (const entry of outboxEntries.filter(e => e.refs.details.includes(detailId) && e.status === 'failed')) {
+            try {
+                await retry(entry.id);
+            } catch (err) {
+                showAlert("Still unable to save this note: " + err.message);
+                return;
+            }
+        }
+    };
+
+    const handleDiscardSync = async (detailId) => {
+        if (await showConfirm("Discard the unsaved changes to this note? They will be lost.")) {
+            outboxEntries.filter(e => e.refs.details.includes(detailId)).forEach(e => discard(e.id));
+        }
+    };
+
     // Auto-scroll to bottom of timeline when details change
     useEffect(() => {
         if (endOfListRef.current) {
@@ -288,7 +323,9 @@ const DetailEditor = ({ section, onUpdate }) => {
             // No need to reload - subscription handles it
         } catch (err) {
             console.error("Error saving note:", err);
-            // Optionally update the temp item to show error state, but for now we trust retry or user awareness
+            // Transient errors don't get here: those notes stay queued and are retried. A note rejected
+            // for good stays in the outbox marked as failed, where it can be retried or discarded.
+            setDetails(prev => prev.filter(d => !d.id.toString().startsWith('temp-')));
             showAlert("Failed to save note: " + err.message);
         } finally {
             setIsSaving(false);
@@ -296,8 +333,8 @@ const DetailEditor = ({ section, onUpdate }) => {
     };
 
     const handleDelete = async (id) => {
-        if (await showConfirm("Are you sure you want to delete this note?")) {
-            await deleteDetail(id, user.username);
+        if (await showConfirm("Move this note to the trash? Admins can restore it from the Trash.")) {
+            await trashDetail(id, section.projectId, user.username);
             // Update parent section timestamp
             await addSection({
                 ...section,
@@ -352,7 +389,7 @@ const DetailEditor = ({ section, onUpdate }) => {
 
             {/* Timeline List (Oldest to Newest) */}
             <div className="timeline" style={{ flex: 1, overflowY: 'auto', minHeight: '200px', maxHeight: '60vh' }}>
-                {details.map((detail) => (
+                {visibleDetails.map((detail) => (
                     <div key={detail.id} className="timeline-item">
                         <div className="timeline-dot"></div>
                         <HistoryItem
@@ -360,15 +397,19 @@ const DetailEditor = ({ section, onUpdate }) => {
                             isEditing={editingId === detail.id}
                             transcribeAudio={transcribeAudio}
                             modelProgress={modelProgress}
-                            onEditStart={() => setEditingId(detail.id)}
+                            onEditStart={canEdit ? () => setEditingId(detail.id) : null}
                             onEditCancel={() => setEditingId(null)}
                             onEditSave={(content) => handleUpdate(detail.id, content)}
-                            onDelete={() => handleDelete(detail.id)}
+                            onDelete={canDelete ? () => handleDelete(detail.id) : null}
                             onImageClick={(src) => setLightboxSrc(src)}
+                            syncStatus={statusForDetail(detail.id)}
+                            onRetrySync={() => handleRetrySync(detail.id)}
+                            onDiscardSync={() => handleDiscardSync(detail.id)}
+                            onShowRevisions={() => setRevisionsForId(detail.id)}
                         />
                     </div>
                 ))}
-                {details.length === 0 && (
+                {visibleDetails.length === 0 && (
                     <div className="timeline-item opacity-50">
                         <div className="timeline-dot bg-[hsl(var(--muted))]"></div>
                         <div className="pl-4 pt-1">No history yet.</div>
@@ -379,96 +420,106 @@ const DetailEditor = ({ section, onUpdate }) => {
             </div>
 
             {/* Main Editor (Now at Bottom) */}
-            <div className="bg-[hsl(var(--card))] border border-[hsl(var(--border))] rounded-lg shadow-sm overflow-hidden mt-auto">
-                <div
-                    ref={editorRef}
-                    className="editor-input empty:before:content-[attr(placeholder)]"
-                    contentEditable
-                    placeholder="Add details, images, or voice notes..."
-                    onClick={handleEditorClick}
-                    onKeyDown={(e) => {
-                        if (e.key === 'Enter' && !e.shiftKey) {
-                            // Optional
-                        }
-                    }}
-                />
-
-                {/* Resize Overlay for Main Editor */}
-                {selectedImg && (
-                    <ImageResizer
-                        image={selectedImg}
-                        onDeselect={() => setSelectedImg(null)}
-                        onRemove={() => {
-                            selectedImg.remove();
-                            setSelectedImg(null);
+            {canEdit && (
+                <div className="bg-[hsl(var(--card))] border border-[hsl(var(--border))] rounded-lg shadow-sm overflow-hidden mt-auto">
+                    <div
+                        ref={editorRef}
+                        className="editor-input empty:before:content-[attr(placeholder)]"
+                        contentEditable
+                        placeholder="Add details, images, or voice notes..."
+                        onClick={handleEditorClick}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter' && !e.shiftKey) {
+                                // Optional
+                            }
                         }}
                     />
-                )}
 
-                {/* Toolbar */}
-                <div className="flex items-center justify-between p-2 bg-[hsl(var(--muted)/0.3)] border-t border-[hsl(var(--border))]">
-                    <div className="flex gap-2 items-center">
-                        {/* Camera Input (Direct) */}
-                        <input
-                            type="file"
-                            ref={cameraInputRef}
-                            accept="image/*"
-                            capture="environment"
-                            className="hidden"
-                            onChange={handleImageSelect}
-                        />
-                        {/* Gallery Input (No Capture) */}
-                        <input
-                            type="file"
-                            ref={galleryInputRef}
-                            accept="image/*"
-                            className="hidden"
-                            onChange={handleImageSelect}
+                    {/* Resize Overlay for Main Editor */}
+                    {selectedImg && (
+                        <ImageResizer
+                            image={selectedImg}
+                            onDeselect={() => setSelectedImg(null)}
+                            onRemove={() => {
+                                selectedImg.remove();
+                                setSelectedImg(null);
+                            }}
                         />
+                    )}
 
-                        <button
-                            className="btn btn-ghost p-2 hover:bg-[hsl(var(--accent))]"
-                            title="Take Photo"
-                            onClick={() => cameraInputRef.current?.click()}
-                        >
-                            <Camera size={18} />
-                        </button>
+                    {/* Toolbar */}
+                    <div className="flex items-center justify-between p-2 bg-[hsl(var(--muted)/0.3)] border-t border-[hsl(var(--border))]">
+                        <div className="flex gap-2 items-center">
+                            {/* Camera Input (Direct) */}
+                            <input
+                                type="file"
+                                ref={cameraInputRef}
+                                accept="image/*"
+                                capture="environment"
+                                className="hidden"
+                                onChange={handleImageSelect}
+                            />
+                            {/* Gallery Input (No Capture) */}
+                            <input
+                                type="file"
+                                ref={galleryInputRef}
+                                accept="image/*"
+                                className="hidden"
+                                onChange={handleImageSelect}
+                            />
+
+                            <button
+                                className="btn btn-ghost p-2 hover:bg-[hsl(var(--accent))]"
+                                title="Take Photo"
+                                onClick={() => cameraInputRef.current?.click()}
+                            >
+                                <Camera size={18} />
+                            </button>
 
-                        <button
-                            className="btn btn-ghost p-2 hover:bg-[hsl(var(--accent))]"
-                            title="Upload from Gallery"
-                            onClick={() => galleryInputRef.current?.click()}
-                        >
-                            <LucideImage size={18} />
-                        </button>
+                            <button
+                                className="btn btn-ghost p-2 hover:bg-[hsl(var(--accent))]"
+                                title="Upload from Gallery"
+                                onClick={() => galleryInputRef.current?.click()}
+                            >
+                                <LucideImage size={18} />
+                            </button>
 
-                        <button
-                            className={`btn p-2 ${voiceStatus === 'recording' ? 'text-red-500 animate-pulse' : 'btn-ghost hover:bg-[hsl(var(--accent))]'}`}
-                            title={voiceStatus === 'recording' ? "Stop Recording" : "Record Audio"}
-                            onClick={handleToggleRecording}
-                        >
-                            {voiceStatus === 'recording' ? <Square size={18} fill="currentColor" /> : <Mic size={18} />}
+                            <button
+                                className={`btn p-2 ${voiceStatus === 'recording' ? 'text-red-500 animate-pulse' : 'btn-ghost hover:bg-[hsl(var(--accent))]'}`}
+                                title={voiceStatus === 'recording' ? "Stop Recording" : "Record Audio"}
+                                onClick={handleToggleRecording}
+                            >
+                                {voiceStatus === 'recording' ? <Square size={18} fill="currentColor" /> : <Mic size={18} />}
+                            </button>
+                            {voiceStatus === 'recording' && <span className="text-xs text-red-500 font-medium">... {formatDuration(recordingDuration)}</span>}
+                            {voiceStatus === 'transcribing' && <span className="text-xs text-blue-500 font-medium animate-pulse">Processing...</span>}
+                        </div>
+
+                        <button onClick={handleSaveNew} className="btn btn-primary px-4 py-1.5 text-sm" disabled={voiceStatus === 'recording'}>
+                            <Save size={16} /> Add Note
                         </button>
-                        {voiceStatus === 'recording' && <span className="text-xs text-red-500 font-medium">... {formatDuration(recordingDuration)}</span>}
-                        {voiceStatus === 'transcribing' && <span className="text-xs text-blue-500 font-medium animate-pulse">Processing...</span>}
                     </div>
-
-                    <button onClick={handleSaveNew} className="btn btn-primary px-4 py-1.5 text-sm" disabled={voiceStatus === 'recording'}>
-                        <Save size={16} /> Add Note
-                    </button>
                 </div>
-            </div>
+            )}
 
             {/* Image Lightbox Popup */}
             {lightboxSrc && (
                 <ImageLightbox src={lightboxSrc} onClose={() => setLightboxSrc(null)} />
             )}
+
+            {revisionsForId && details.some(d => d.id === revisionsForId) && (
+                <NoteRevisionsModal
+                    detail={details.find(d => d.id === revisionsForId)}
+                    onClose={() => setRevisionsForId(null)}
+                    canRestore={canEdit}
+                />
+            )}
         </div>
     );
 };
 
 // Subcomponent for individual history items to handle edit state
-const HistoryItem = ({ detail, isEditing, transcribeAudio, modelProgress, onEditStart, onEditCancel, onEditSave, onDelete, onImageClick }) => {
+const HistoryItem = ({ detail, isEditing, transcribeAudio, modelProgress, onEditStart, onEditCancel, onEditSave, onDelete, onImageClick, syncStatus, onRetrySync, onDiscardSync, onShowRevisions }) => {
     const itemRef = useRef(null);
     const [selectedImg, setSelectedImg] = useState(null);
     const [isTranscribing, setIsTranscribing] = useState(false);
@@ -556,11 +607,31 @@ const HistoryItem = ({ detail, isEditing, transcribeAudio, modelProgress, onEdit
                     <span className="timeline-date">
                         {new Date(detail.timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}
                     </span>
-                    {(detail.id.toString().startsWith('temp-') || detail.status === 'sending') && (
+                    {!syncStatus && (detail.id.toString().startsWith('temp-') || detail.status === 'sending') && (
                         <span className="text-[10px] bg-yellow-100 text-yellow-700 px-1 rounded flex items-center gap-1">
                             Sending...
                         </span>
                     )}
+                    {detail.editedAt && (
+                        <button
+                            onClick={onShowRevisions}
+                            className="text-[10px] text-muted italic hover:text-[hsl(var(--primary))]"
+                            title={`Edited by ${detail.editedBy} on ${new Date(detail.editedAt).toLocaleString()} — view history`}
+                        >
+                            (edited)
+                        </button>
+                    )}
+                    <SyncBadge status={syncStatus} />
+                    {syncStatus === 'failed' && (
+                        <>
+                            <button onClick={onRetrySync} className="btn btn-ghost p-1 text-muted hover:text-[hsl(var(--foreground))]" title="Retry saving">
+                                <RotateCcw size={12} />
+                            </button>
+                            <button onClick={onDiscardSync} className="btn btn-ghost p-1 text-muted hover:text-destructive" title="Discard unsaved change">
+                                <X size={12} />
+                            </button>
+                        </>
+                    )}
                 </div>
 
                 <div className="flex gap-1 opacity-0 hover:opacity-100 transition-opacity group-hover:opacity-100">
@@ -575,7 +646,7 @@ const HistoryItem = ({ detail, isEditing, transcribeAudio, modelProgress, onEdit
                         </>
                     ) : (
                         <>
-                            {hasAudio && !hasTranscript && (
+                            {hasAudio && !hasTranscript && onEditStart && (
                                 <button
                                     onClick={handleTranscribe}
                                     disabled={isTranscribing}
@@ -592,12 +663,16 @@ const HistoryItem = ({ detail, isEditing, transcribeAudio, modelProgress, onEdit
                                     )}
                                 </button>
                             )}
-                            <button onClick={onEditStart} className="btn btn-ghost p-1 text-muted hover:text-[hsl(var(--foreground))]" title="Edit">
-                                <Edit3 size={14} />
-                            </button>
-                            <button onClick={onDelete} className="btn btn-ghost p-1 text-muted hover:text-destructive" title="Delete">
-                                <Trash2 size={14} />
-                            </button>
+                            {onEditStart && (
+                                <button onClick={onEditStart} className="btn btn-ghost p-1 text-muted hover:text-[hsl(var(--foreground))]" title="Edit">
+                                    <Edit3 size={14} />
+                                </button>
+                            )}
+                            {onDelete && (
+                                <button onClick={onDelete} className="btn btn-ghost p-1 text-muted hover:text-destructive" title="Delete">
+                                    <Trash2 size={14} />
+                                </button>
+                            )}
                         </>
                     )}
                 </div>
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import { X, Save } from 'lucide-react';
+import CoordinateFeedback from './CoordinateFeedback';
 
 const EditSectionModal = ({ section, onSave, onClose }) => {
     const [form, setForm] = useState({});
@@ -83,6 +84,9 @@ const EditSectionModal = ({ section, onSave, onClose }) => {
                                     opacity: f.disabled ? 0.6 : 1,
                                 }}
                             />
+                            {f.key === 'coordinates' && (
+                                <CoordinateFeedback value={form.coordinates} onApply={(value) => handleChange('coordinates', value)} />
+                            )}
                         </div>
                     ))}
 
@@ -1,16 +1,34 @@
 import { useState, useRef } from 'react';
-import { Upload, AlertTriangle, X, Check, GitMerge } from 'lucide-react';
-import { parseCSV, analyzeImport } from '../utils/csvImporter';
-import { addSections } from '../db';
+import { Upload, AlertTriangle, X, Check, GitMerge, FileSpreadsheet, Columns, MapPin } from 'lucide-react';
+import {
+    analyzeImport, isSpreadsheetFile, readCSV, readWorkbook, readSheet,
+    IMPORT_FIELDS, guessMapping, validateMapping, applyMapping, mappingToSave, toFieldName,
+    mergeDecisions, resolveMerge, DEFAULT_PROXIMITY_METERS
+} from '../utils/csvImporter';
+import { isGeoFile, readGeoFile } from '../utils/geoImporter';
+import { importSections, getProject, updateProject } from '../db';
 import { useUser } from '../context/UserContext';
 import { useNotification } from '../context/NotificationContext';
+import MergeReview from './MergeReview';
 
 const ImportModal = ({ onClose, onImportComplete, projectId }) => {
     const { user } = useUser();
     const { showAlert } = useNotification();
     const [report, setReport] = useState(null);
     const [isAnalyzing, setIsAnalyzing] = useState(false);
+    // { phase, done, total } from the import worker while reading or analyzing
+    const [progress, setProgress] = useState(null);
     const [toggledDuplicates, setToggledDuplicates] = useState(new Set());
+    // Workbook waiting for the user to choose a sheet: { fileName, workbook, sheets }
+    const [pendingWorkbook, setPendingWorkbook] = useState(null);
+    // Source data waiting for its column mapping: { columns, rows, mapping }
+    const [mappingStep, setMappingStep] = useState(null);
+    // Shown in the trip's import history
+    const [sourceName, setSourceName] = useState('');
+    // Per-field choices for report.mergeable, and the trip's rules for conflicting fields
+    const [decisions, setDecisions] = useState([]);
+    const [mergeRules, setMergeRules] = useState({});
+    const [savedMergeRules, setSavedMergeRules] = useState({});
     const fileInputRef = useRef(null);
 
     const recognizedFields = [
@@ -41,16 +59,118 @@ const ImportModal = ({ onClose, onImportComplete, projectId }) => {
         const selectedFile = e.target.files[0];
         if (!selectedFile) return;
 
+        e.target.value = '';
+
+        setSourceName(selectedFile.name);
+        setIsAnalyzing(true);
+        try {
+            if (isGeoFile(selectedFile)) {
+                await startMapping(await readGeoFile(selectedFile));
+                return;
+            }
+            if (!isSpreadsheetFile(selectedFile)) {
+                await startMapping(await readCSV(selectedFile, { onProgress: setProgress }));
+                return;
+            }
+
+            const { workbook, sheets } = await readWorkbook(selectedFile);
+            const withRows = sheets.filter(s => s.rowCount > 0);
+            if (withRows.length === 0) {
+                showAlert('This workbook has no rows to import');
+            } else if (withRows.length === 1) {
+                await startMapping(readSheet(workbook, withRows[0].name));
+            } else {
+                setPendingWorkbook({ fileName: selectedFile.name, workbook, sheets });
+            }
+        } catch (err) {
+            console.error(err);
+            showAlert(isGeoFile(selectedFile) ? `Error reading GIS file: ${err.message}`
+                : isSpreadsheetFile(selectedFile) ? 'Error reading Excel file' : 'Error parsing CSV');
+        } finally {
+            setIsAnalyzing(false);
+            setProgress(null);
+        }
+    };
+
+    // The trip remembers how its last import was mapped
+    const startMapping = async ({ columns, rows }) => {
+        if (rows.length === 0) {
+            showAlert('This file has no rows to import');
+            return;
+        }
+        const project = await getProject(projectId).catch(() => null);
+        setSavedMergeRules(project?.importMergeRules || {});
+        setMappingStep({
+            columns,
+            rows,
+            mapping: guessMapping(columns, project?.importMapping),
+            proximityMeters: String(project?.importProximityMeters ?? DEFAULT_PROXIMITY_METERS)
+        });
+    };
+
+    const handleSelectSheet = async (sheetName) => {
+        const { workbook } = pendingWorkbook;
+        setPendingWorkbook(null);
+        setSourceName(`${pendingWorkbook.fileName} (${sheetName})`);
+        setIsAnalyzing(true);
+        try {
+            await startMapping(readSheet(workbook, sheetName));
+        } catch (err) {
+            console.error(err);
+            showAlert('Error reading the worksheet');
+        } finally {
+            setIsAnalyzing(false);
+        }
+    };
+
+    const setColumnTarget = (column, target) => {
+        setMappingStep(prev => ({
+            ...prev,
+            mapping: {
+                ...prev.mapping,
+                [column]: target === 'custom' ? { target, name: toFieldName(column) } : { target }
+            }
+        }));
+    };
+
+    const setCustomName = (column, name) => {
+        setMappingStep(prev => ({
+            ...prev,
+            mapping: { ...prev.mapping, [column]: { target: 'custom', name } }
+        }));
+    };
+
+    const sampleValue = (column) => {
+        const row = mappingStep.rows.find(r => r[column] != null && String(r[column]).trim());
+        return row ? String(row[column]).trim() : '';
+    };
+
+    const proximityMeters = mappingStep ? Number(mappingStep.proximityMeters) : DEFAULT_PROXIMITY_METERS;
+    const mappingErrors = mappingStep ? [
+        ...validateMapping(mappingStep.mapping),
+        ...(Number.isFinite(proximityMeters) && proximityMeters > 0 ? [] : ['The duplicate distance must be more than 0 m'])
+    ] : [];
+
+    const handleConfirmMapping = async () => {
+        const { rows, mapping } = mappingStep;
         setIsAnalyzing(true);
         try {
-            const parsed = await parseCSV(selectedFile);
-            const analysis = await analyzeImport(parsed, user?.username, projectId);
+            const analysis = await analyzeImport(applyMapping(rows, mapping), user?.username, projectId, {
+                proximityMeters,
+                onProgress: setProgress
+            });
+            setMappingStep(null);
             setReport(analysis);
+            setMergeRules(savedMergeRules);
+            setDecisions(mergeDecisions(analysis.mergeable, savedMergeRules));
+            updateProject(projectId, { importMapping: mappingToSave(mapping), importProximityMeters: proximityMeters }, user?.username)
+                .catch(err => console.warn('[Import] Could not save the column mapping:', err));
         } catch (err) {
             console.error(err);
-            showAlert('Error parsing CSV');
+            showAlert('Error analyzing import');
         } finally {
             setIsAnalyzing(false);
+            setProgress(null);
         }
     };
 
@@ -61,32 +181,51 @@ const ImportModal = ({ onClose, onImportComplete, projectId }) => {
         setToggledDuplicates(next);
     };
 
+    const handleDecide = (index, field, accepted) => {
+        setDecisions(prev => prev.map((d, i) => i === index ? { ...d, [field]: accepted } : d));
+    };
+
+    // A rule applies to every section where the field conflicts; "per section" keeps the current choices
+    const handleMergeRule = (field, rule) => {
+        const next = { ...mergeRules };
+        if (rule) next[field] = rule;
+        else delete next[field];
+        setMergeRules(next);
+        if (!rule) return;
+        setDecisions(prev => prev.map((d, i) =>
+            report.mergeable[i].conflicts.includes(field) ? { ...d, [field]: rule === 'incoming' } : d
+        ));
+    };
+
+    const mergeData = report ? report.mergeable.map((m, i) => resolveMerge(m, decisions[i] || {})).filter(Boolean) : [];
+
     const handleImport = async () => {
         if (!report) return;
 
         try {
             if (!user) throw new Error("User not authenticated");
 
-            // 1. Import brand new sections (full write)
-            if (report.newOrUpdates.length > 0) {
-                await addSections(report.newOrUpdates, user.username, { projectId });
-            }
-
-            // 2. Merge sections with new fields (merge mode — appends, doesn't overwrite)
-            if (report.mergeable.length > 0) {
-                const mergeData = report.mergeable.map(m => m.newSection);
-                await addSections(mergeData, user.username, { merge: true, projectId });
-            }
-
-            // 3. Force-import any toggled duplicates
+            // Force-import any toggled duplicates
             const forcedDuplicates = [];
             report.duplicates.forEach((dup, idx) => {
                 if (toggledDuplicates.has(idx)) {
                     forcedDuplicates.push(dup.newSection);
                 }
             });
-            if (forcedDuplicates.length > 0) {
-                await addSections(forcedDuplicates, user.username, { projectId });
+
+            // Recorded as one import so it can be rolled back from Settings
+            await importSections(projectId, [
+                // 1. Brand new sections (full write)
+                { sections: report.newOrUpdates },
+                // 2. Sections with new fields (merge mode — appends, doesn't overwrite)
+                { sections: mergeData, merge: true },
+                // 3. Toggled duplicates
+                { sections: forcedDuplicates }
+            ], user.username, { fileName: sourceName });
+
+            if (JSON.stringify(mergeRules) !== JSON.stringify(savedMergeRules)) {
+                updateProject(projectId, { importMergeRules: mergeRules }, user.username)
+                    .catch(err => console.warn('[Import] Could not save the merge rules:', err));
             }
 
             onImportComplete();
@@ -96,7 +235,7 @@ const ImportModal = ({ onClose, onImportComplete, projectId }) => {
         }
     };
 
-    const totalImportCount = (report?.newOrUpdates.length || 0) + (report?.mergeable.length || 0) + toggledDuplicates.size;
+    const totalImportCount = (report?.newOrUpdates.length || 0) + mergeData.length + toggledDuplicates.size;
 
     return (
         <div className="modal-overlay">
@@ -109,29 +248,124 @@ const ImportModal = ({ onClose, onImportComplete, projectId }) => {
                 <div className="modal-body">
                     {isAnalyzing && (
                         <div style={{ textAlign: 'center', padding: '2rem' }}>
-                            <p>Analyzing CSV file...</p>
+                            <p>{progress?.phase || 'Analyzing file'}...</p>
+                            {progress?.total > 0 && (
+                                <div className="import-progress">
+                                    <div style={{ width: `${Math.round((progress.done / progress.total) * 100)}%` }} />
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {pendingWorkbook && !isAnalyzing && (
+                        <div>
+                            <h3 style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '0.5rem' }}>
+                                <FileSpreadsheet size={16} /> Choose a sheet
+                            </h3>
+                            <p style={{ fontSize: '0.8rem', color: 'hsl(var(--muted-foreground))', marginBottom: '0.5rem' }}>
+                                {pendingWorkbook.fileName} has {pendingWorkbook.sheets.length} sheets. Pick the one with the section list.
+                            </p>
+                            <div className="conflict-list">
+                                {pendingWorkbook.sheets.map(sheet => (
+                                    <button
+                                        key={sheet.name}
+                                        className="conflict-item sheet-option"
+                                        disabled={sheet.rowCount === 0}
+                                        onClick={() => handleSelectSheet(sheet.name)}
+                                    >
+                                        <strong>{sheet.name}</strong>
+                                        <span style={{ fontSize: '0.75rem', color: 'hsl(var(--muted-foreground))' }}>
+                                            {sheet.rowCount === 0 ? 'Empty' : `${sheet.rowCount} row${sheet.rowCount !== 1 ? 's' : ''}`}
+                                        </span>
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {mappingStep && !isAnalyzing && (
+                        <div>
+                            <h3 style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '0.5rem' }}>
+                                <Columns size={16} /> Map columns
+                            </h3>
+                            <p style={{ fontSize: '0.8rem', color: 'hsl(var(--muted-foreground))', marginBottom: '0.5rem' }}>
+                                {mappingStep.rows.length} row{mappingStep.rows.length !== 1 ? 's' : ''}. Choose where each column goes;
+                                separate Latitude and Longitude columns are combined into GPS Coordinates.
+                            </p>
+                            <div className="conflict-list" style={{ maxHeight: '320px' }}>
+                                {mappingStep.columns.map(column => {
+                                    const { target, name } = mappingStep.mapping[column];
+                                    return (
+                                        <div key={column} className="conflict-item mapping-row">
+                                            <div className="mapping-source">
+                                                <strong>{column}</strong>
+                                                <span className="mapping-sample">{sampleValue(column) || 'No values'}</span>
+                                            </div>
+                                            <div className="mapping-target">
+                                                <select
+                                                    className="input"
+                                                    value={target}
+                                                    onChange={(e) => setColumnTarget(column, e.target.value)}
+                                                >
+                                                    {IMPORT_FIELDS.map(f => (
+                                                        <option key={f.field} value={f.field}>{f.label}</option>
+                                                    ))}
+                                                    <option value="custom">Custom field</option>
+                                                    <option value="ignore">Ignore</option>
+                                                </select>
+                                                {target === 'custom' && (
+                                                    <input
+                                                        className="input"
+                                                        value={name || ''}
+                                                        placeholder="field_name"
+                                                        onChange={(e) => setCustomName(column, e.target.value)}
+                                                    />
+                                                )}
+                                            </div>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                            <label className="import-proximity">
+                                Treat new sections within
+                                <input
+                                    type="number"
+                                    min="1"
+                                    className="input"
+                                    value={mappingStep.proximityMeters}
+                                    onChange={(e) => setMappingStep(prev => ({ ...prev, proximityMeters: e.target.value }))}
+                                />
+                                m of an existing one as duplicates
+                            </label>
+                            {mappingErrors.length > 0 && (
+                                <ul className="mapping-errors">
+                                    {mappingErrors.map(err => <li key={err}><AlertTriangle size={12} /> {err}</li>)}
+                                </ul>
+                            )}
                         </div>
                     )}
 
-                    {!report && !isAnalyzing && (
+                    {!report && !pendingWorkbook && !mappingStep && !isAnalyzing && (
                         <div className="import-setup">
                             <div className="file-drop-area" onClick={() => fileInputRef.current?.click()}>
-                                <input type="file" accept=".csv" ref={fileInputRef} className="hidden" onChange={handleFileChange} />
+                                <input type="file" accept=".csv,.xlsx,.xls,.geojson,.json,.kml,.kmz,.gpx" ref={fileInputRef} className="hidden" onChange={handleFileChange} />
                                 <div style={{ marginBottom: '1rem', color: 'var(--color-primary)' }}><Upload size={32} /></div>
-                                <p style={{ fontSize: '1.1rem', fontWeight: 500 }}>Click to upload CSV</p>
+                                <p style={{ fontSize: '1.1rem', fontWeight: 500 }}>Click to upload CSV, Excel or GIS file</p>
                                 <p style={{ fontSize: '0.875rem', color: 'var(--color-text-secondary)' }}>or drag and drop file here</p>
                             </div>
 
                             <div className="import-info-box">
                                 <div className="info-header">
-                                    <h3>CSV Structure</h3>
+                                    <h3>File Structure</h3>
                                     <button className="btn btn-glass btn-sm" onClick={handleDownloadTemplate} title="Download Excel-ready template">
                                         Download Template
                                     </button>
                                 </div>
                                 <p className="info-description">
-                                    Your CSV should include the following columns.
+                                    Your CSV or Excel sheet should include the following columns.
                                     Extra columns will be saved as additional section details.
+                                    GeoJSON, KML/KMZ and GPX waypoints are read one section per feature,
+                                    with its location as the GPS Coordinates.
                                 </p>
                                 <div className="fields-grid">
                                     {recognizedFields.map(f => (
@@ -165,20 +399,60 @@ const ImportModal = ({ onClose, onImportComplete, projectId }) => {
                             {report.mergeable.length > 0 && (
                                 <div style={{ marginTop: '1rem' }}>
                                     <h3 style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '0.5rem' }}>
-                                        <GitMerge size={16} color="#3b82f6" /> Auto-merge ({report.mergeable.length})
+                                        <GitMerge size={16} color="#3b82f6" /> Merge ({mergeData.length} of {report.mergeable.length})
                                     </h3>
                                     <p style={{ fontSize: '0.8rem', color: 'hsl(var(--muted-foreground))', marginBottom: '0.5rem' }}>
-                                        These sections already exist but have new fields that will be appended.
+                                        These sections already exist. Checked fields take the incoming value; uncheck one to keep what is stored.
                                     </p>
+                                    <MergeReview
+                                        mergeable={report.mergeable}
+                                        decisions={decisions}
+                                        rules={mergeRules}
+                                        onDecide={handleDecide}
+                                        onRule={handleMergeRule}
+                                    />
+                                </div>
+                            )}
+
+                            {/* Coordinates that were converted or corrected */}
+                            {report.coordinateFixes.length > 0 && (
+                                <div style={{ marginTop: '1rem' }}>
+                                    <h3 style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '0.5rem' }}>
+                                        <MapPin size={16} color="#3b82f6" /> Coordinates adjusted ({report.coordinateFixes.length})
+                                    </h3>
                                     <div className="conflict-list" style={{ maxHeight: '150px', overflowY: 'auto' }}>
-                                        {report.mergeable.map((m, idx) => (
-                                            <div key={idx} className="conflict-item" style={{ padding: '0.5rem 0.75rem' }}>
+                                        {report.coordinateFixes.map((fix, idx) => (
+                                            <div key={idx} className="conflict-item" style={{ padding: '0.5rem 0.75rem', flexDirection: 'column', gap: '2px' }}>
                                                 <div>
-                                                    <strong>#{m.newSection.id}</strong>
-                                                    <span style={{ fontSize: '0.75rem', color: '#3b82f6', marginLeft: '8px' }}>
-                                                        + {m.fieldNames.join(', ')}
+                                                    <strong>#{fix.section.id}</strong>
+                                                    <span className="font-mono" style={{ fontSize: '0.75rem', marginLeft: '8px' }}>
+                                                        {fix.original} → {fix.section.coordinates}
                                                     </span>
                                                 </div>
+                                                <span style={{ fontSize: '0.75rem', color: 'hsl(var(--muted-foreground))' }}>
+                                                    {[fix.format !== 'decimal' && `From ${fix.format}`, ...fix.warnings].filter(Boolean).join('; ')}
+                                                </span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
+
+                            {/* Coordinates that couldn't be read */}
+                            {report.coordinateIssues.length > 0 && (
+                                <div style={{ marginTop: '1rem' }}>
+                                    <h3><AlertTriangle size={16} color="#ef4444" /> Unreadable coordinates ({report.coordinateIssues.length})</h3>
+                                    <p style={{ fontSize: '0.8rem', color: 'hsl(var(--muted-foreground))', marginBottom: '0.5rem' }}>
+                                        These sections are imported as-is but won't appear on the map until their coordinates are fixed.
+                                    </p>
+                                    <div className="conflict-list" style={{ maxHeight: '150px', overflowY: 'auto' }}>
+                                        {report.coordinateIssues.map((issue, idx) => (
+                                            <div key={idx} className="conflict-item" style={{ padding: '0.5rem 0.75rem', flexDirection: 'column', gap: '2px' }}>
+                                                <div>
+                                                    <strong>#{issue.section.id}</strong>
+                                                    <span className="font-mono" style={{ fontSize: '0.75rem', marginLeft: '8px' }}>{issue.section.coordinates}</span>
+                                                </div>
+                                                <span style={{ fontSize: '0.75rem', color: '#ef4444' }}>{issue.error}</span>
                                             </div>
                                         ))}
                                     </div>
@@ -210,6 +484,11 @@ const ImportModal = ({ onClose, onImportComplete, projectId }) => {
 
                 <div className="modal-footer">
                     <button onClick={onClose} className="btn btn-glass">Cancel</button>
+                    {mappingStep && (
+                        <button onClick={handleConfirmMapping} className="btn btn-primary" disabled={isAnalyzing || mappingErrors.length > 0}>
+                            <Check size={18} /> Continue
+                        </button>
+                    )}
                     {report && (
                         <button onClick={handleImport} className="btn btn-primary" disabled={totalImportCount === 0}>
                             <Check size={18} /> Import {totalImportCount}
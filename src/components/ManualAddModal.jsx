@@ -1,5 +1,6 @@
 import { useState } from 'react';
 import { X } from 'lucide-react';
+import CoordinateFeedback from './CoordinateFeedback';
 
 const ManualAddModal = ({ onClose, onComplete, existingTypes = [] }) => {
     const [formData, setFormData] = useState({
@@ -177,6 +178,10 @@ const ManualAddModal = ({ onClose, onComplete, existingTypes = [] }) => {
                                     placeholder="Lat, Long"
                                 />
                             </div>
+                            <CoordinateFeedback
+                                value={formData.coordinates}
+                                onApply={(value) => setFormData(prev => ({ ...prev, coordinates: value }))}
+                            />
                         </div>
                     </div>
 
@@ -0,0 +1,75 @@
+import { IMPORT_FIELDS } from '../utils/csvImporter';
+
+const fieldLabel = (field) => IMPORT_FIELDS.find(f => f.field === field)?.label || field;
+
+const displayValue = (value) => value == null || String(value).trim() === '' ? '—' : String(value);
+
+// Existing vs incoming values of the sections an import would merge into, with a checkbox per
+// field and trip-wide rules for fields that conflict ("always keep existing coordinates")
+const MergeReview = ({ mergeable, decisions, rules, onDecide, onRule }) => {
+    const conflictFields = [...new Set(mergeable.flatMap(m => m.conflicts))];
+
+    return (
+        <div>
+            {conflictFields.length > 0 && (
+                <div className="merge-rules">
+                    <span className="text-xs text-muted">When a value differs:</span>
+                    {conflictFields.map(field => (
+                        <label key={field} className="merge-rule">
+                            <span>{fieldLabel(field)}</span>
+                            <select
+                                className="input"
+                                value={rules[field] || ''}
+                                onChange={(e) => onRule(field, e.target.value)}
+                            >
+                                <option value="">Choose per section</option>
+                                <option value="existing">Always keep existing</option>
+                                <option value="incoming">Always take incoming</option>
+                            </select>
+                        </label>
+                    ))}
+                </div>
+            )}
+
+            <div className="conflict-list" style={{ maxHeight: '300px' }}>
+                {mergeable.map((m, idx) => (
+                    <div key={idx} className="conflict-item merge-item">
+                        <strong>#{m.newSection.id}</strong>
+                        <table className="merge-table">
+                            <thead>
+                                <tr>
+                                    <th />
+                                    <th>Field</th>
+                                    <th>Existing</th>
+                                    <th>Incoming</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {m.fieldNames.map(field => {
+                                    const accepted = !!decisions[idx]?.[field];
+                                    return (
+                                        <tr key={field} className={accepted ? '' : 'rejected'}>
+                                            <td>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={accepted}
+                                                    onChange={(e) => onDecide(idx, field, e.target.checked)}
+                                                    title={accepted ? 'Keep the existing value instead' : 'Take the incoming value'}
+                                                />
+                                            </td>
+                                            <td>{fieldLabel(field)}</td>
+                                            <td className="merge-existing">{displayValue(m.existingSection[field])}</td>
+                                            <td className="merge-incoming">{displayValue(m.newFields[field])}</td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default MergeReview;
@@ -0,0 +1,138 @@
+import { useState, useEffect, useMemo } from 'react';
+import { X, RotateCcw, Loader } from 'lucide-react';
+import { getDetailRevisions, restoreDetailRevision } from '../db';
+import { useUser } from '../context/UserContext';
+import { useNotification } from '../context/NotificationContext';
+import { htmlToText, diffText } from '../utils/textDiff';
+
+const DIFF_STYLES = {
+    added: { background: 'rgba(34, 197, 94, 0.2)', color: '#15803d' },
+    removed: { background: 'rgba(239, 68, 68, 0.15)', color: '#b91c1c', textDecoration: 'line-through' },
+    same: {}
+};
+
+const formatTime = (iso) => iso ? new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : 'Unknown time';
+
+const NoteRevisionsModal = ({ detail, onClose, canRestore }) => {
+    const { user } = useUser();
+    const { showAlert, showConfirm } = useNotification();
+    const [revisions, setRevisions] = useState(null);
+    const [selectedIndex, setSelectedIndex] = useState(0);
+    const [isRestoring, setIsRestoring] = useState(false);
+
+    // Reloads after a restore too, since the note's content (and revision count) changes
+    useEffect(() => {
+        let active = true;
+        getDetailRevisions({ id: detail.id, sectionId: detail.sectionId })
+            .then(result => active && setRevisions(result))
+            .catch(err => {
+                console.error("Failed to load revisions", err);
+                if (active) setRevisions([]);
+            });
+        return () => { active = false; };
+    }, [detail.id, detail.sectionId, detail.revisionCount]);
+
+    // Every version of the note, oldest first, ending with the current one
+    const versions = useMemo(() => {
+        if (!revisions) return [];
+        return [
+            ...revisions.map((r, i) => ({
+                id: r.id,
+                label: i === 0 ? 'Original' : `Revision ${i}`,
+                content: r.content,
+                at: r.authoredAt,
+                by: r.authoredBy,
+                revision: r
+            })),
+            { id: 'current', label: 'Current', content: detail.content, at: detail.editedAt || detail.timestamp, by: detail.editedBy }
+        ];
+    }, [revisions, detail]);
+
+    const selected = versions[Math.min(selectedIndex, versions.length - 1)];
+    const current = versions[versions.length - 1];
+
+    // Changes from the selected version to the current note
+    const diff = useMemo(() => {
+        if (!selected || selected === current) return null;
+        return diffText(htmlToText(selected.content), htmlToText(current.content));
+    }, [selected, current]);
+
+    const handleRestore = async () => {
+        if (!await showConfirm(`Restore the ${selected.label.toLowerCase()} version? The current text will be kept as a revision.`)) return;
+        setIsRestoring(true);
+        try {
+            await restoreDetailRevision(detail, selected.revision, user.username);
+            setSelectedIndex(versions.length); // the new current version
+        } catch (err) {
+            console.error("Restore failed", err);
+            showAlert("Restore failed: " + err.message);
+        } finally {
+            setIsRestoring(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content fade-in" style={{ maxWidth: '820px' }} onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>Note History</h2>
+                    <button className="btn btn-glass" onClick={onClose}><X size={20} /></button>
+                </div>
+
+                <div className="modal-body">
+                    {!revisions ? (
+                        <div className="flex justify-center p-8"><Loader className="animate-spin text-primary" size={24} /></div>
+                    ) : (
+                        <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
+                            <div style={{ flex: '0 0 200px', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                                {versions.map((v, i) => (
+                                    <button
+                                        key={v.id}
+                                        onClick={() => setSelectedIndex(i)}
+                                        className={`btn ${v === selected ? 'btn-primary' : 'btn-ghost'}`}
+                                        style={{ flexDirection: 'column', alignItems: 'flex-start', gap: 0, height: 'auto', padding: '0.4rem 0.6rem' }}
+                                    >
+                                        <span style={{ fontWeight: 600 }}>{v.label}</span>
+                                        <span style={{ fontSize: '0.7rem', opacity: 0.8 }}>{formatTime(v.at)}{v.by ? ` • ${v.by}` : ''}</span>
+                                    </button>
+                                ))}
+                            </div>
+
+                            <div style={{ flex: '1 1 360px', minWidth: 0 }}>
+                                {diff ? (
+                                    <>
+                                        <p className="text-xs text-muted" style={{ marginBottom: '0.5rem' }}>
+                                            Changes from {selected.label.toLowerCase()} to the current version
+                                        </p>
+                                        <div style={{ whiteSpace: 'pre-wrap', fontSize: '0.9rem', lineHeight: 1.6, padding: '0.75rem', border: '1px solid hsl(var(--border))', borderRadius: '6px', maxHeight: '50vh', overflowY: 'auto' }}>
+                                            {diff.map((run, i) => (
+                                                <span key={i} style={DIFF_STYLES[run.type]}>{run.text}</span>
+                                            ))}
+                                        </div>
+                                    </>
+                                ) : (
+                                    <div
+                                        className="ql-editor prose prose-sm max-w-none dark:prose-invert"
+                                        style={{ padding: '0.75rem', border: '1px solid hsl(var(--border))', borderRadius: '6px', maxHeight: '50vh', overflowY: 'auto' }}
+                                        dangerouslySetInnerHTML={{ __html: current?.content || '' }}
+                                    />
+                                )}
+                            </div>
+                        </div>
+                    )}
+                </div>
+
+                <div className="modal-footer">
+                    <button onClick={onClose} className="btn btn-glass">Close</button>
+                    {canRestore && selected && selected !== current && (
+                        <button onClick={handleRestore} className="btn btn-primary" disabled={isRestoring}>
+                            <RotateCcw size={16} /> Restore this version
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default NoteRevisionsModal;
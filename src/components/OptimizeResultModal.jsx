@@ -0,0 +1,73 @@
+import { X, Zap, Navigation } from 'lucide-react';
+
+const METERS_PER_MILE = 1609.344;
+
+const formatMiles = (meters) => `${(meters / METERS_PER_MILE).toFixed(1)} mi`;
+
+const formatHours = (seconds) => {
+    const minutes = Math.round(Math.abs(seconds) / 60);
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+const formatChange = (before, after, format) => {
+    if (Math.abs(after - before) < 1) return 'No change';
+    return `${after < before ? '−' : '+'}${format(Math.abs(after - before))}`;
+};
+
+// Before/after totals of an optimized route (as optimizeRoute returns them), so the planner can
+// apply or discard it
+const OptimizeResultModal = ({ title, description, result, onApply, onDiscard }) => {
+    const { before, after, estimated } = result;
+    const rows = [
+        { label: 'Distance', before: before.meters, after: after.meters, format: formatMiles },
+        { label: 'Drive time', before: before.seconds, after: after.seconds, format: formatHours }
+    ];
+    const better = after.seconds < before.seconds - 1;
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-content fade-in" style={{ maxWidth: '460px' }}>
+                <div className="modal-header">
+                    <h2 className="flex items-center gap-2"><Zap size={20} /> {title}</h2>
+                    <button className="btn btn-glass" onClick={onDiscard}><X size={20} /></button>
+                </div>
+
+                <div className="modal-body">
+                    {description && <p className="text-sm text-muted" style={{ marginBottom: '0.75rem' }}>{description}</p>}
+                    <table className="optimize-table">
+                        <thead>
+                            <tr><th></th><th>Current</th><th>Optimized</th><th>Change</th></tr>
+                        </thead>
+                        <tbody>
+                            {rows.map(row => (
+                                <tr key={row.label}>
+                                    <td>{row.label}</td>
+                                    <td>{row.format(row.before)}</td>
+                                    <td><strong>{row.format(row.after)}</strong></td>
+                                    <td>{formatChange(row.before, row.after, row.format)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {!better && (
+                        <p className="text-sm text-muted" style={{ marginTop: '0.75rem' }}>The current order is already as short as the optimizer could find.</p>
+                    )}
+                    {estimated && (
+                        <p className="text-xs text-muted flex items-center gap-1" style={{ marginTop: '0.75rem' }}>
+                            <Navigation size={12} /> Some drive times are estimated from straight-line distance (road route unavailable).
+                        </p>
+                    )}
+                </div>
+
+                <div className="modal-footer">
+                    <button onClick={onDiscard} className="btn btn-glass">Discard</button>
+                    <button onClick={onApply} className="btn btn-primary">
+                        <Zap size={16} /> Apply
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default OptimizeResultModal;
@@ -0,0 +1,84 @@
+import { X, RotateCcw, Trash2, CheckCircle } from 'lucide-react';
+import { useOutbox } from '../hooks/useOutbox';
+import { useNotification } from '../context/NotificationContext';
+import SyncBadge from './SyncBadge';
+
+const OutboxPanel = ({ onClose }) => {
+    const { entries, failedCount, retry, discard, retryAll } = useOutbox();
+    const { showAlert, showConfirm } = useNotification();
+
+    const handleRetry = async (id) => {
+        try {
+            await retry(id);
+        } catch (err) {
+            showAlert("Retry failed: " + err.message);
+        }
+    };
+
+    const handleDiscard = async (entry) => {
+        if (await showConfirm(`Discard "${entry.summary}"? This change will be lost.`)) {
+            discard(entry.id);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content fade-in" style={{ maxWidth: '560px' }} onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>Unsynced Changes</h2>
+                    <button className="btn btn-glass" onClick={onClose}><X size={20} /></button>
+                </div>
+
+                <div className="modal-body">
+                    {entries.length === 0 ? (
+                        <div style={{ textAlign: 'center', padding: '2rem', color: 'hsl(var(--muted-foreground))' }}>
+                            <CheckCircle size={32} color="#22c55e" style={{ margin: '0 auto 0.5rem' }} />
+                            <p>Everything has reached the server.</p>
+                        </div>
+                    ) : (
+                        <div className="conflict-list" style={{ maxHeight: '50vh', overflowY: 'auto' }}>
+                            {entries.map(entry => (
+                                <div key={entry.id} className="conflict-item" style={{ alignItems: 'flex-start', gap: '8px' }}>
+                                    <div style={{ flex: 1, minWidth: 0 }}>
+                                        <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                                            <strong style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{entry.summary}</strong>
+                                            <SyncBadge status={entry.status} />
+                                        </div>
+                                        <div style={{ fontSize: '0.75rem', color: 'hsl(var(--muted-foreground))' }}>
+                                            Queued {new Date(entry.createdAt).toLocaleString()}
+                                            {entry.attempts > 0 && ` • ${entry.attempts} attempt${entry.attempts === 1 ? '' : 's'}`}
+                                        </div>
+                                        {entry.lastError && (
+                                            <div style={{ fontSize: '0.75rem', color: '#ef4444', marginTop: '2px' }}>{entry.lastError}</div>
+                                        )}
+                                    </div>
+                                    {entry.status === 'failed' && (
+                                        <div style={{ display: 'flex', gap: '4px' }}>
+                                            <button className="btn btn-ghost p-1" onClick={() => handleRetry(entry.id)} title="Retry">
+                                                <RotateCcw size={14} />
+                                            </button>
+                                            <button className="btn btn-ghost p-1 text-destructive" onClick={() => handleDiscard(entry)} title="Discard">
+                                                <Trash2 size={14} />
+                                            </button>
+                                        </div>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+
+                <div className="modal-footer">
+                    <button onClick={onClose} className="btn btn-glass">Close</button>
+                    {failedCount > 0 && (
+                        <button onClick={retryAll} className="btn btn-primary">
+                            <RotateCcw size={16} /> Retry all failed
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default OutboxPanel;
@@ -0,0 +1,96 @@
+import { addDays, isWeekend, formatDayDate } from '../utils/schedule';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Month grids covering the trip, with each planned day on its date (several on one date when
+// crews work in parallel). Planners click a date in the trip to mark it as a rest day (or clear
+// it), which moves later days along; clicking a day's label opens it in the list.
+const PlanCalendar = ({ project, dayDates, dayColors, dayStops, schedule, canPlan, onToggleRestDate, onToggleWeekends, onSelectDay }) => {
+    const { startDate, endDate } = project || {};
+    if (!startDate) {
+        return (
+            <div className="text-muted text-center p-4 text-sm">
+                Set the trip's start date on the trips screen to place the days on a calendar.
+            </div>
+        );
+    }
+
+    const daysByDate = {};
+    for (const [day, { date }] of Object.entries(dayDates)) (daysByDate[date] ||= []).push(Number(day));
+    const lastDate = [endDate || startDate, ...Object.values(dayDates).map(d => d.date)].sort().pop();
+
+    // Months from the start date's month through the last date's month
+    const months = [];
+    for (let month = `${startDate.slice(0, 7)}-01`; month <= lastDate; month = addDays(month, 32).slice(0, 7) + '-01') {
+        months.push(month);
+    }
+
+    const inTrip = (date) => date >= startDate && (!endDate || date <= endDate);
+
+    return (
+        <div className="plan-calendar">
+            {canPlan && (
+                <label className="flex items-center gap-2 text-xs mb-2">
+                    <input type="checkbox" checked={schedule.skipWeekends} onChange={onToggleWeekends} />
+                    Skip weekends
+                </label>
+            )}
+            {months.map(month => {
+                const leading = new Date(`${month}T00:00:00Z`).getUTCDay();
+                const dates = [];
+                for (let date = month; date.slice(0, 7) === month.slice(0, 7); date = addDays(date, 1)) dates.push(date);
+
+                return (
+                    <div key={month} className="plan-calendar-month">
+                        <div className="font-bold text-sm mb-1">{formatDayDate(month, { month: 'long', year: 'numeric' })}</div>
+                        <div className="plan-calendar-grid">
+                            {WEEKDAYS.map(name => <div key={name} className="plan-calendar-weekday">{name}</div>)}
+                            {Array.from({ length: leading }, (_, i) => <div key={`blank-${i}`} />)}
+                            {dates.map(date => {
+                                const days = daysByDate[date] || [];
+                                const rest = schedule.restDates.includes(date);
+                                const skipped = schedule.skipWeekends && isWeekend(date);
+                                const classes = [
+                                    'plan-calendar-cell',
+                                    !inTrip(date) && 'outside',
+                                    (rest || skipped) && 'off',
+                                    days.some(day => dayDates[day].afterEnd) && 'after-end'
+                                ].filter(Boolean).join(' ');
+
+                                const canToggle = canPlan && inTrip(date) && !skipped;
+                                const title = rest ? `Rest day${canToggle ? ' (click to clear)' : ''}`
+                                    : skipped ? 'Weekend'
+                                        : canToggle ? 'Click to mark as a rest day' : '';
+
+                                return (
+                                    <div
+                                        key={date}
+                                        className={`${classes}${canToggle ? ' clickable' : ''}`}
+                                        onClick={() => canToggle && onToggleRestDate(date)}
+                                        title={title}
+                                    >
+                                        <span className="plan-calendar-date">{Number(date.slice(8))}</span>
+                                        {days.map(day => (
+                                            <button
+                                                key={day}
+                                                className="plan-calendar-day"
+                                                style={{ background: dayColors[day] }}
+                                                onClick={(e) => { e.stopPropagation(); onSelectDay(day); }}
+                                                title={`Day ${day}: ${dayStops[day] || 0} stops${dayDates[day].afterEnd ? ' (after the trip ends)' : ''}`}
+                                            >
+                                                Day {day}
+                                            </button>
+                                        ))}
+                                        {rest && <span className="plan-calendar-rest">Rest</span>}
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default PlanCalendar;
@@ -0,0 +1,35 @@
+import { Loader } from 'lucide-react';
+
+// Blocking progress dialog for long-running operations (cascade deletes, purges).
+// `progress` is { phase, done, total }; total 0 means the amount of work isn't known yet.
+const ProgressModal = ({ title, progress }) => {
+    const { phase, done = 0, total = 0 } = progress || {};
+    const percent = total > 0 ? Math.round((done / total) * 100) : null;
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-content fade-in" style={{ maxWidth: '420px' }}>
+                <div className="modal-header">
+                    <h2 className="flex items-center gap-2">
+                        <Loader size={20} className="animate-spin" /> {title}
+                    </h2>
+                </div>
+                <div className="modal-body">
+                    <p className="text-sm text-muted" style={{ marginBottom: '0.5rem' }}>
+                        {phase || 'Working'}{percent !== null && ` — ${done} of ${total}`}
+                    </p>
+                    <div style={{ height: '8px', borderRadius: '4px', background: 'hsl(var(--muted))', overflow: 'hidden' }}>
+                        <div style={{
+                            height: '100%',
+                            width: `${percent ?? 5}%`,
+                            background: 'hsl(var(--primary))',
+                            transition: 'width 0.2s ease'
+                        }} />
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ProgressModal;
@@ -1,14 +1,18 @@
 
 import React, { useState, useEffect } from 'react';
-import { getProjects, createProject, deleteProject, updateProject, duplicateProject } from '../db';
+import { getProjects, createProject, deleteProject, updateProject, duplicateProject, trashProject, restoreProject, isTrashed, getTrashRetentionDays, trashDaysRemaining, getMyInvitations, acceptInvitation, declineInvitation } from '../db';
 import { useUser } from '../context/UserContext';
-import { Plus, FolderOpen, Loader, Trash2, Edit2, Map, Calendar, X, Check, Wrench, User, Mail, Moon, Sun, Sunset, LogOut, Copy } from 'lucide-react';
+import { usePermissions } from '../hooks/usePermissions';
+import { ROLE_LABELS } from '../roles';
+import { Plus, FolderOpen, Loader, Trash2, Edit2, Map, Calendar, X, Check, Wrench, User, Mail, Moon, Sun, Sunset, LogOut, Copy, RotateCcw, MailOpen } from 'lucide-react';
 import { useNotification } from '../context/NotificationContext';
+import ProgressModal from './ProgressModal';
 import './ProjectSelection.css';
 
 const ProjectSelection = ({ user, onSelectProject }) => {
-    const { showAlert, showConfirm, showPrompt } = useNotification();
+    const { showAlert, showConfirm, showPrompt, showToast } = useNotification();
     const [projects, setProjects] = useState([]);
+    const [invitations, setInvitations] = useState([]);
     const [loading, setLoading] = useState(true);
     const [newProjectName, setNewProjectName] = useState('');
     const [isCreating, setIsCreating] = useState(false);
@@ -17,6 +21,7 @@ const ProjectSelection = ({ user, onSelectProject }) => {
     const [editName, setEditName] = useState('');
     const [editStartDate, setEditStartDate] = useState('');
     const [editEndDate, setEditEndDate] = useState('');
+    const [deleteProgress, setDeleteProgress] = useState(null);
 
     const formatDate = (dateStr) => {
         if (!dateStr) return '';
@@ -32,19 +37,30 @@ const ProjectSelection = ({ user, onSelectProject }) => {
         return `${formatDate(start)} — ${formatDate(end)}`;
     };
 
-    // Admin email check (case-insensitive)
-    const isAdmin = user?.email?.toLowerCase() === 'samuel.alalade@ttu.edu';
-
     const { logout, updateUserProfile } = useUser();
 
     const [searchQuery, setSearchQuery] = useState('');
     const [activeTab, setActiveTab] = useState('all'); // 'all', 'recent'
 
+    const { isSuperAdmin, canAdminProject, canViewProject, roleFor } = usePermissions();
+
     const fetchProjects = async () => {
         try {
             setLoading(true);
-            const data = await getProjects(user.username);
-            setProjects(data || []);
+            let data = await getProjects(user.username, { email: user.email, includeAll: isSuperAdmin }) || [];
+
+            // Trashed trips past their retention period are purged by the first admin to see them
+            const expired = data.filter(p => isTrashed(p) && canAdminProject(p) && trashDaysRemaining(p, getTrashRetentionDays(p)) === 0);
+            for (const project of expired) {
+                await deleteProject(project.id, user.username).catch(err => console.warn("[Trash] Failed to purge trip:", err));
+            }
+            if (expired.length > 0) data = data.filter(p => !expired.includes(p));
+
+            setProjects(data);
+            setInvitations(await getMyInvitations(user.email).catch(err => {
+                console.warn("Error loading invitations:", err);
+                return [];
+            }));
         } catch (err) {
             console.error("Error loading trips:", err);
             setError("Failed to load trips.");
@@ -55,7 +71,29 @@ const ProjectSelection = ({ user, onSelectProject }) => {
 
     useEffect(() => {
         fetchProjects();
-    }, [user]);
+    }, [user, isSuperAdmin]);
+
+    const handleAcceptInvitation = async (invitation) => {
+        try {
+            await acceptInvitation(invitation, user);
+            showToast(`You joined ${invitation.projectName}`);
+            await fetchProjects();
+        } catch (err) {
+            console.error("Error accepting invitation:", err);
+            showAlert("Failed to accept invitation: " + err.message);
+        }
+    };
+
+    const handleDeclineInvitation = async (invitation) => {
+        if (!await showConfirm(`Decline the invitation to ${invitation.projectName}?`)) return;
+        try {
+            await declineInvitation(invitation);
+            setInvitations(prev => prev.filter(inv => inv.id !== invitation.id));
+        } catch (err) {
+            console.error("Error declining invitation:", err);
+            showAlert("Failed to decline invitation: " + err.message);
+        }
+    };
 
     const handleCreate = async (e) => {
         e.preventDefault();
@@ -67,7 +105,7 @@ const ProjectSelection = ({ user, onSelectProject }) => {
             const creatorName = user.username || user.email || 'admin';
             console.log("Creating trip with:", creatorName);
 
-            const newProject = await createProject(newProjectName, creatorName);
+            const newProject = await createProject(newProjectName, creatorName, user.email);
             await fetchProjects();
             setNewProjectName('');
         } catch (err) {
@@ -80,9 +118,9 @@ const ProjectSelection = ({ user, onSelectProject }) => {
 
     const handleDelete = async (e, projectId) => {
         e.stopPropagation();
-        if (await showConfirm("Are you sure you want to delete this trip? This will delete all sections associated with it.")) {
+        if (await showConfirm("Move this trip to the trash? It can be restored from the Trash tab until it is purged.")) {
             try {
-                await deleteProject(projectId, user.username);
+                await trashProject(projectId, user.username);
                 await fetchProjects();
             } catch (err) {
                 console.error("Error deleting trip:", err);
@@ -91,6 +129,30 @@ const ProjectSelection = ({ user, onSelectProject }) => {
         }
     };
 
+    const handleRestoreTrip = async (projectId) => {
+        try {
+            await restoreProject(projectId, user.username);
+            await fetchProjects();
+        } catch (err) {
+            console.error("Error restoring trip:", err);
+            showAlert("Failed to restore trip: " + err.message);
+        }
+    };
+
+    const handlePurgeTrip = async (project) => {
+        if (!await showConfirm(`Permanently delete "${project.name}" with all of its sections, notes, private notes, days plan and uploaded media? This cannot be undone.`)) return;
+        setDeleteProgress({ phase: 'Starting', done: 0, total: 0 });
+        try {
+            await deleteProject(project.id, user.username, { onProgress: setDeleteProgress });
+            await fetchProjects();
+        } catch (err) {
+            console.error("Error deleting trip:", err);
+            showAlert("Failed to delete trip: " + err.message);
+        } finally {
+            setDeleteProgress(null);
+        }
+    };
+
 
 
     const handleDuplicate = async (e, projectId, projectName) => {
@@ -100,7 +162,7 @@ const ProjectSelection = ({ user, onSelectProject }) => {
 
         setLoading(true);
         try {
-            await duplicateProject(projectId, newName, user.username);
+            await duplicateProject(projectId, newName, user.username, user.email);
             showAlert("Trip duplicated successfully!");
             await fetchProjects();
         } catch (err) {
@@ -148,17 +210,11 @@ const ProjectSelection = ({ user, onSelectProject }) => {
         const matchesSearch = p.name.toLowerCase().includes(searchQuery.toLowerCase());
         const matchesTab = activeTab === 'all' || (activeTab === 'recent' && new Date(p.createdAt) > new Date(Date.now() - 7 * 24 * 60 * 60 * 1000));
 
-        // Check if user has access (is creator, is in users list, or is global admin)
-        // Also show legacy projects if they don't have users array (backwards compat)
-        const isGlobalAdmin = user.email === 'samuel.alalade@ttu.edu';
-        const hasAccess = isGlobalAdmin ||
-            p.createdBy === user.username ||
-            (p.users && p.users.some(u => u.email === user.email)) ||
-            (!p.users && !p.createdBy); // Show old legacy if no owner? Optional.
-
-        return matchesSearch && matchesTab && hasAccess;
+        return matchesSearch && matchesTab && canViewProject(p) && !isTrashed(p);
     });
 
+    const trashedProjects = projects.filter(p => isTrashed(p) && canAdminProject(p));
+
 
 
     const handleUpdateProfile = async (e) => {
@@ -174,11 +230,8 @@ const ProjectSelection = ({ user, onSelectProject }) => {
 
     // calculate if user has ANY assigned trips (ignoring search)
     const hasAssignedTrips = projects.some(p => {
-        const isGlobalAdmin = user.email === 'samuel.alalade@ttu.edu';
-        return isGlobalAdmin ||
-            p.createdBy === user.username ||
-            (p.users && p.users.some(u => u.email === user.email)) ||
-            (!p.users && !p.createdBy);
+        if (isTrashed(p)) return false;
+        return canViewProject(p);
     });
 
     // Theme state
@@ -239,6 +292,15 @@ const ProjectSelection = ({ user, onSelectProject }) => {
                             <Calendar size={18} />
                             Recent
                         </button>
+                        {trashedProjects.length > 0 && (
+                            <button
+                                onClick={() => setActiveTab('trash')}
+                                className={`sidebar-btn ${activeTab === 'trash' ? 'active' : ''}`}
+                            >
+                                <Trash2 size={18} />
+                                Trash ({trashedProjects.length})
+                            </button>
+                        )}
                         <button
                             onClick={() => setActiveTab('settings')}
                             className={`sidebar-btn ${activeTab === 'settings' ? 'active' : ''}`}
@@ -259,9 +321,10 @@ const ProjectSelection = ({ user, onSelectProject }) => {
                             {activeTab === 'all' && 'All Trips'}
                             {activeTab === 'recent' && 'Recent Trips'}
                             {activeTab === 'settings' && 'Settings & Profile'}
+                            {activeTab === 'trash' && 'Trash'}
                         </h2>
 
-                        {activeTab !== 'settings' && (
+                        {activeTab !== 'settings' && activeTab !== 'trash' && (
                             <div className="search-wrapper">
                                 <FolderOpen size={16} className="search-icon" />
                                 <input
@@ -329,8 +392,65 @@ const ProjectSelection = ({ user, onSelectProject }) => {
                         </div>
                     )}
 
+                    {/* Trashed Trips */}
+                    {activeTab === 'trash' && (
+                        <div className="card" style={{ maxWidth: '720px' }}>
+                            {trashedProjects.length === 0 ? (
+                                <p className="text-muted">The trash is empty.</p>
+                            ) : trashedProjects.map(project => {
+                                const daysLeft = trashDaysRemaining(project, getTrashRetentionDays(project));
+                                return (
+                                    <div key={project.id} className="flex justify-between items-center p-2" style={{ gap: '8px' }}>
+                                        <div style={{ minWidth: 0 }}>
+                                            <div className="font-medium truncate">{project.name}</div>
+                                            <div className="text-xs text-muted">
+                                                Deleted by {project.deletedBy} on {new Date(project.deletedAt).toLocaleString()} • purged in {daysLeft} day{daysLeft === 1 ? '' : 's'}
+                                            </div>
+                                        </div>
+                                        <div className="flex items-center gap-2">
+                                            <button onClick={() => handleRestoreTrip(project.id)} className="btn btn-outline p-1 h-auto" title="Restore">
+                                                <RotateCcw size={14} />
+                                            </button>
+                                            <button onClick={() => handlePurgeTrip(project)} className="btn btn-outline p-1 text-destructive hover:bg-destructive/10 h-auto" title="Delete permanently">
+                                                <Trash2 size={14} />
+                                            </button>
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+
+                    {/* Pending Invitations */}
+                    {activeTab !== 'settings' && activeTab !== 'trash' && invitations.length > 0 && (
+                        <div className="card" style={{ maxWidth: '720px', marginBottom: '1.5rem' }}>
+                            <h3 className="font-bold mb-2 flex items-center gap-2">
+                                <MailOpen size={18} /> Invitations
+                            </h3>
+                            {invitations.map(inv => (
+                                <div key={inv.id} className="flex justify-between items-center p-2" style={{ gap: '8px' }}>
+                                    <div style={{ minWidth: 0 }}>
+                                        <div className="font-medium truncate">{inv.projectName}</div>
+                                        <div className="text-xs text-muted">
+                                            {inv.invitedBy} invited you as {ROLE_LABELS[inv.role] || inv.role}
+                                            {inv.expiresAt && ` • expires ${new Date(inv.expiresAt).toLocaleDateString()}`}
+                                        </div>
+                                    </div>
+                                    <div className="flex items-center gap-2">
+                                        <button onClick={() => handleAcceptInvitation(inv)} className="btn btn-primary p-1 h-auto" title="Accept">
+                                            <Check size={14} /> Accept
+                                        </button>
+                                        <button onClick={() => handleDeclineInvitation(inv)} className="btn btn-outline p-1 h-auto" title="Decline">
+                                            <X size={14} /> Decline
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
                     {/* Projects Grid (Only show if NOT settings) */}
-                    {activeTab !== 'settings' && (
+                    {activeTab !== 'settings' && activeTab !== 'trash' && (
                         <div className="projects-grid">
 
                             {/* Create New Trip - Dotted Card (Desktop Only) */}
@@ -382,11 +502,7 @@ const ProjectSelection = ({ user, onSelectProject }) => {
 
                             {/* Project Cards */}
                             {filteredProjects.map(project => {
-                                // Check privileges for this specific project
-                                const isGlobalAdmin = user.email === 'samuel.alalade@ttu.edu';
-                                const isProjectAdmin = isGlobalAdmin ||
-                                    project.createdBy === user.username ||
-                                    (project.users?.find(u => u.email === user.email)?.role === 'admin');
+                                const isProjectAdmin = canAdminProject(project);
 
                                 return (
                                     <div
@@ -473,8 +589,8 @@ const ProjectSelection = ({ user, onSelectProject }) => {
                                                 <Calendar size={14} className="calendar-icon" />
                                                 <span style={{ fontSize: '0.8rem', fontWeight: 500 }}>Trip Day(s): {formatDateRange(project.startDate, project.endDate)}</span>
                                             </div>
-                                            {project.role === 'viewer' && (
-                                                <span className="legacy-badge" style={{ background: '#3b82f6' }}>VIEWER</span>
+                                            {!isProjectAdmin && roleFor(project) && (
+                                                <span className="legacy-badge" style={{ background: '#3b82f6' }}>{ROLE_LABELS[roleFor(project)].toUpperCase()}</span>
                                             )}
                                             {project.name.includes('(Legacy)') && (
                                                 <span className="legacy-badge">LEGACY</span>
@@ -509,7 +625,7 @@ const ProjectSelection = ({ user, onSelectProject }) => {
             </div>
 
             {/* Mobile Create FAB */}
-            {hasAssignedTrips && activeTab !== 'settings' && (
+            {hasAssignedTrips && activeTab !== 'settings' && activeTab !== 'trash' && (
                 <button
                     className="fab-create-btn"
                     onClick={() => {
@@ -521,13 +637,15 @@ const ProjectSelection = ({ user, onSelectProject }) => {
                             const fakeEvent = { preventDefault: () => { } };
                             // Use username fallback here for mobile too
                             const creatorName = user.username || user.email || 'admin';
-                            createProject(name, creatorName).then(() => fetchProjects()).catch(err => console.error(err));
+                            createProject(name, creatorName, user.email).then(() => fetchProjects()).catch(err => console.error(err));
                         }
                     }}
                 >
                     <Plus size={24} />
                 </button>
             )}
+
+            {deleteProgress && <ProgressModal title="Deleting trip" progress={deleteProgress} />}
         </div>
     );
 };
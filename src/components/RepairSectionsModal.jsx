@@ -0,0 +1,57 @@
+import { X, Wrench, Trophy } from 'lucide-react';
+
+// Preview of what repairSections will do, one row per affected section ID
+const RepairSectionsModal = ({ repairs, onConfirm, onClose }) => {
+    const losers = repairs.reduce((sum, r) => sum + r.losers.length, 0);
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-content fade-in">
+                <div className="modal-header">
+                    <h2 className="flex items-center gap-2"><Wrench size={20} /> Repair Duplicate Sections</h2>
+                    <button className="btn btn-glass" onClick={onClose}><X size={20} /></button>
+                </div>
+
+                <div className="modal-body">
+                    <p className="text-sm text-muted" style={{ marginBottom: '0.75rem' }}>
+                        For each ID the newest copy wins and is stored as the trip's section. Notes, note history and
+                        the change log of the other copies move to it, then {losers} duplicate document{losers === 1 ? '' : 's'} {losers === 1 ? 'is' : 'are'} deleted.
+                    </p>
+                    <div className="conflict-list" style={{ maxHeight: '320px' }}>
+                        {repairs.map(repair => (
+                            <div key={repair.shortId} className="conflict-item" style={{ flexDirection: 'column', gap: '4px', cursor: 'default' }}>
+                                <strong>#{repair.shortId}</strong>
+                                {repair.copies.map(copy => {
+                                    const wins = copy === repair.winner;
+                                    const deleted = repair.losers.includes(copy);
+                                    return (
+                                        <div key={copy.docId} className="text-xs flex items-center gap-2" style={{ color: wins ? 'inherit' : 'hsl(var(--muted-foreground))' }}>
+                                            {wins ? <Trophy size={12} style={{ color: '#f59e0b' }} /> : <span style={{ width: 12 }} />}
+                                            <span className="font-mono">{copy.docId}</span>
+                                            <span>
+                                                {copy.lastModified ? new Date(copy.lastModified).toLocaleString() : 'never modified'}
+                                                {copy.lastModifiedBy && ` by ${copy.lastModifiedBy}`}
+                                            </span>
+                                            {wins && copy.docId !== repair.docId && <span>→ {repair.docId}</span>}
+                                            {deleted && !wins && <span style={{ color: '#ef4444' }}>deleted</span>}
+                                            {!wins && !deleted && <span>replaced</span>}
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+
+                <div className="modal-footer">
+                    <button onClick={onClose} className="btn btn-glass">Cancel</button>
+                    <button onClick={onConfirm} className="btn btn-primary">
+                        <Wrench size={18} /> Repair {repairs.length} section{repairs.length === 1 ? '' : 's'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RepairSectionsModal;
@@ -2,7 +2,7 @@ import { useState, useRef, useEffect } from 'react';
 import { useNotification } from '../context/NotificationContext';
 import { MoreVertical, CheckCircle, Circle, Edit2, Trash2, Tag, MapPinned } from 'lucide-react';
 
-const SectionActionMenu = ({ section, allTypes = [], onChangeStatus, onChangeType, onDelete, onEdit, onViewOnMap, isAdmin }) => {
+const SectionActionMenu = ({ section, allTypes = [], onChangeStatus, onChangeType, onDelete, onEdit, onViewOnMap, can }) => {
     const { showConfirm } = useNotification();
     const [open, setOpen] = useState(false);
     const [showTypeSubmenu, setShowTypeSubmenu] = useState(false);
@@ -45,7 +45,7 @@ const SectionActionMenu = ({ section, allTypes = [], onChangeStatus, onChangeTyp
     };
 
     const handleDelete = async () => {
-        if (await showConfirm(`Are you sure you want to delete section "${section.id}"? This cannot be undone.`)) {
+        if (await showConfirm(`Move section "${section.id}" to the trash? Admins can restore it from the Trash.`)) {
             onDelete(section);
             setOpen(false);
         }
@@ -89,8 +89,8 @@ const SectionActionMenu = ({ section, allTypes = [], onChangeStatus, onChangeTyp
                         overflow: 'visible'
                     }}
                 >
-                    {/* Status Options - Admin Only */}
-                    {isAdmin && (
+                    {/* Status Options - Field editors and up */}
+                    {can('setStatus') && (
                         <>
                             <div style={{ padding: '4px 8px', fontSize: '0.7rem', textTransform: 'uppercase', letterSpacing: '0.05em', color: 'hsl(var(--muted-foreground))', fontWeight: 600 }}>
                                 Status
@@ -126,7 +126,12 @@ const SectionActionMenu = ({ section, allTypes = [], onChangeStatus, onChangeTyp
 
                             {/* Divider */}
                             <div style={{ height: '1px', backgroundColor: 'hsl(var(--border))', margin: '4px 0' }} />
+                        </>
+                    )}
 
+                    {/* Type and Edit - Admin Only */}
+                    {can('editSections') && (
+                        <>
                             {/* Type Options */}
                             <div style={{ padding: '4px 8px', fontSize: '0.7rem', textTransform: 'uppercase', letterSpacing: '0.05em', color: 'hsl(var(--muted-foreground))', fontWeight: 600 }}>
                                 Type
@@ -248,7 +253,7 @@ const SectionActionMenu = ({ section, allTypes = [], onChangeStatus, onChangeTyp
                     <div style={{ height: '1px', backgroundColor: 'hsl(var(--border))', margin: '4px 0' }} />
 
                     {/* Delete */}
-                    {isAdmin && (
+                    {can('deleteData') && (
                         <button
                             onClick={(e) => { e.stopPropagation(); handleDelete(); }}
                             style={{
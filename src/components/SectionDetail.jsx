@@ -1,18 +1,20 @@
 import { useState, useEffect } from 'react';
-import { Map, CheckCircle, Circle, MapPin, Printer, BookLock, X, Save } from 'lucide-react';
+import { Map, CheckCircle, Circle, MapPin, Printer, BookLock, X, Save, History, FileClock } from 'lucide-react';
 import { addSection, getPrivateNote, savePrivateNote } from '../db';
 import DetailEditor from './DetailEditor';
+import SectionHistory from './SectionHistory';
 import ErrorBoundary from './ErrorBoundary';
 import { useUser } from '../context/UserContext';
 import SectionActionMenu from './SectionActionMenu';
 import { printSections } from '../utils/printUtils';
 
-const SectionDetail = ({ section, onUpdate, allTypes, onChangeStatus, onChangeType, onDeleteSection, onEdit, onViewOnMap, isAdmin, projectId }) => {
+const SectionDetail = ({ section, onUpdate, allTypes, onChangeStatus, onChangeType, onDeleteSection, onEdit, onViewOnMap, can, projectId }) => {
     const { user } = useUser();
     const [isUpdating, setIsUpdating] = useState(false);
     const [showPrivateNote, setShowPrivateNote] = useState(false);
     const [privateNoteContent, setPrivateNoteContent] = useState('');
     const [loadingNote, setLoadingNote] = useState(false);
+    const [activeTab, setActiveTab] = useState('activity'); // 'activity' | 'history'
 
     useEffect(() => {
         if (section?.id && user && projectId) {
@@ -27,7 +29,7 @@ const SectionDetail = ({ section, onUpdate, allTypes, onChangeStatus, onChangeTy
     const handleSavePrivateNote = async () => {
         if (!user || !section || !projectId) return;
         setLoadingNote(true);
-        await savePrivateNote(section.id, user.username, privateNoteContent, projectId);
+        await savePrivateNote(section.id, user.username, privateNoteContent, projectId, user.email);
         setLoadingNote(false);
         setShowPrivateNote(false);
     };
@@ -97,7 +99,7 @@ const SectionDetail = ({ section, onUpdate, allTypes, onChangeStatus, onChangeTy
                                 onDelete={onDeleteSection}
                                 onEdit={onEdit}
                                 onViewOnMap={onViewOnMap}
-                                isAdmin={isAdmin}
+                                can={can}
                             />
                         </div>
                     </div>
@@ -138,7 +140,25 @@ const SectionDetail = ({ section, onUpdate, allTypes, onChangeStatus, onChangeTy
 
                 {/* Main Content (Editor) - Full Width */}
                 <div className="card dashboard-main-card">
-                    <DetailEditor section={section} onUpdate={onUpdate} />
+                    <div className="flex gap-2 mb-4 border-b border-[hsl(var(--border))] pb-2">
+                        <button
+                            onClick={() => setActiveTab('activity')}
+                            className={`btn ${activeTab === 'activity' ? 'btn-primary' : 'btn-ghost'}`}
+                        >
+                            <History size={16} /> Activity
+                        </button>
+                        <button
+                            onClick={() => setActiveTab('history')}
+                            className={`btn ${activeTab === 'history' ? 'btn-primary' : 'btn-ghost'}`}
+                        >
+                            <FileClock size={16} /> Change History
+                        </button>
+                    </div>
+                    {activeTab === 'activity' ? (
+                        <DetailEditor section={section} onUpdate={onUpdate} canEdit={can('addNotes')} canDelete={can('deleteData')} />
+                    ) : (
+                        <SectionHistory section={section} canRevert={can('editSections')} onReverted={onUpdate} />
+                    )}
                 </div>
 
             </div>
@@ -0,0 +1,111 @@
+import { useState, useEffect } from 'react';
+import { Loader, RotateCcw } from 'lucide-react';
+import { getSectionHistory, revertSectionField } from '../db';
+import { useUser } from '../context/UserContext';
+import { useNotification } from '../context/NotificationContext';
+
+const SOURCE_LABELS = {
+    edit: 'Edit',
+    import: 'Import',
+    map: 'Trip Map',
+    optimizer: 'Optimizer',
+    trash: 'Trash',
+    restore: 'Restore',
+    revert: 'Revert',
+    repair: 'Repair',
+    rollback: 'Import Rollback'
+};
+
+// Fields that are managed elsewhere (e.g. restoring from the Trash) and can't be reverted here
+const NON_REVERTIBLE_FIELDS = new Set(['deletedAt']);
+
+const formatField = (field) => field.replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+
+const formatValue = (value) => {
+    if (value === null || value === '') return <em className="text-muted">empty</em>;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const SectionHistory = ({ section, canRevert, onReverted }) => {
+    const { user } = useUser();
+    const { showAlert, showConfirm } = useNotification();
+    const [entries, setEntries] = useState(null);
+
+    // Reload whenever the section itself changes (lastModified moves on every write)
+    useEffect(() => {
+        let active = true;
+        getSectionHistory(section.docId, section.projectId)
+            .then(result => active && setEntries(result))
+            .catch(err => {
+                console.error("Failed to load section history", err);
+                if (active) setEntries([]);
+            });
+        return () => { active = false; };
+    }, [section.docId, section.projectId, section.lastModified]);
+
+    const handleRevert = async (entry) => {
+        if (!await showConfirm(`Set ${formatField(entry.field)} back to "${entry.oldValue ?? ''}"?`)) return;
+        try {
+            await revertSectionField(entry, user.username);
+            if (onReverted) onReverted();
+        } catch (err) {
+            console.error("Revert failed", err);
+            showAlert("Revert failed: " + err.message);
+        }
+    };
+
+    if (!entries) {
+        return <div className="flex justify-center p-8"><Loader className="animate-spin text-primary" size={24} /></div>;
+    }
+
+    if (entries.length === 0) {
+        return <div className="pl-4 pt-1 opacity-50">No recorded changes yet.</div>;
+    }
+
+    return (
+        <div className="timeline" style={{ overflowY: 'auto', maxHeight: '60vh' }}>
+            {entries.map(entry => (
+                <div key={entry.id} className="timeline-item">
+                    <div className="timeline-dot"></div>
+                    <div className="timeline-content">
+                        <div className="flex justify-between items-center gap-2">
+                            <div className="flex items-center gap-2">
+                                <span className="timeline-date">
+                                    {new Date(entry.changedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}
+                                </span>
+                                <span className="badge">{SOURCE_LABELS[entry.source] || entry.source}</span>
+                                <span className="text-xs text-muted">{entry.changedBy}</span>
+                            </div>
+                            {canRevert && entry.field && !NON_REVERTIBLE_FIELDS.has(entry.field) && (
+                                <button
+                                    onClick={() => handleRevert(entry)}
+                                    className="btn btn-ghost p-1 text-muted hover:text-[hsl(var(--foreground))]"
+                                    title="Revert this field to its previous value"
+                                    disabled={sameValue(section[entry.field], entry.oldValue)}
+                                >
+                                    <RotateCcw size={14} />
+                                </button>
+                            )}
+                        </div>
+                        <div className="text-sm mt-1">
+                            {entry.field === null ? (
+                                <span>Section created</span>
+                            ) : entry.field === 'deletedAt' ? (
+                                <span>{entry.newValue ? 'Moved to trash' : 'Restored from trash'}</span>
+                            ) : (
+                                <span>
+                                    <strong className="capitalize">{formatField(entry.field)}</strong>: {formatValue(entry.oldValue)} → {formatValue(entry.newValue)}
+                                </span>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default SectionHistory;
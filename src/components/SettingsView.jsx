@@ -1,12 +1,31 @@
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import { useUser } from '../context/UserContext';
 import { useNotification } from '../context/NotificationContext';
-import { getAllData, restoreData, manageProjectUsers, getProjectData, restoreProjectData } from '../db';
-import { Moon, Sun, Sunset, Download, Upload, LogOut, User, Edit2, Save, Trash2, X, Plus, Wrench, Loader } from 'lucide-react';
+import { usePermissions } from '../hooks/usePermissions';
+import { ROLES, ROLE_LABELS, ROLE_DESCRIPTIONS, DEFAULT_ROLE, normalizeRole } from '../roles';
+import { getAllData, restoreData, manageProjectUsers, getProjectData, restoreProjectData, findOrphans, purgeOrphans, updateProject, getTrashRetentionDays, grantSuperAdmin, revokeSuperAdmin, inviteToProject, getProjectInvitations, revokeInvitation, isInvitationExpired, DEFAULT_INVITATION_EXPIRY_DAYS, getImports, rollbackImport } from '../db';
+import ProgressModal from './ProgressModal';
+import CrewSettings from './CrewSettings';
+import { ROUTING_PROVIDERS, getRoutingSettings } from '../routing';
+import { Moon, Sun, Sunset, Download, Upload, LogOut, User, Edit2, Save, Trash2, X, Plus, Wrench, Loader, ShieldCheck, Mail, History, Undo2, Route } from 'lucide-react';
 
-const SettingsView = ({ onClose, isAdmin, currentProject, onProjectUpdate }) => {
+const ORPHAN_LABELS = {
+    sections: 'Sections of deleted trips',
+    details: 'Notes of deleted sections',
+    privateNotes: 'Private notes',
+    plans: 'Days plans of deleted trips',
+    audit: 'Change history of deleted sections',
+    revisions: 'Revisions of deleted notes',
+    invitations: 'Invitations to deleted trips',
+    imports: 'Import history of deleted trips',
+    importSections: 'Import rollback data of deleted trips',
+    mediaFolders: 'Media folders'
+};
+
+const SettingsView = ({ onClose, currentProject, onProjectUpdate, onSectionsChange }) => {
     const { user, logout, updateUserProfile, deleteUserAccount } = useUser();
-    const { showAlert, showConfirm } = useNotification();
+    const { can, isSuperAdmin, superAdmins, bootstrapSuperAdmins } = usePermissions(currentProject);
+    const { showAlert, showConfirm, showToast } = useNotification();
     const [theme, setTheme] = useState(document.documentElement.getAttribute('data-theme') || 'light');
 
     const fileInputRef = useRef(null);
@@ -14,6 +33,20 @@ const SettingsView = ({ onClose, isAdmin, currentProject, onProjectUpdate }) =>
     // Profile editing state
     const [isEditingProfile, setIsEditingProfile] = useState(false);
     const [inviteEmail, setInviteEmail] = useState('');
+    const [inviteRole, setInviteRole] = useState(DEFAULT_ROLE);
+    const [inviteExpiryDays, setInviteExpiryDays] = useState(String(DEFAULT_INVITATION_EXPIRY_DAYS));
+    const [invitations, setInvitations] = useState([]);
+    const [invitationsKey, setInvitationsKey] = useState(0);
+    const [imports, setImports] = useState([]);
+    const [importsKey, setImportsKey] = useState(0);
+    const [rollbackProgress, setRollbackProgress] = useState(null);
+    const [allowedDomains, setAllowedDomains] = useState((currentProject?.allowedEmailDomains || []).join(', '));
+    const [orphans, setOrphans] = useState(null);
+    const [isScanning, setIsScanning] = useState(false);
+    const [purgeProgress, setPurgeProgress] = useState(null);
+    const [superAdminEmail, setSuperAdminEmail] = useState('');
+    const [retentionDays, setRetentionDays] = useState(getTrashRetentionDays(currentProject));
+    const [routing, setRouting] = useState(getRoutingSettings(currentProject));
     const [profileData, setProfileData] = useState({
         username: user.username || '',
         firstName: '',
@@ -37,7 +70,7 @@ const SettingsView = ({ onClose, isAdmin, currentProject, onProjectUpdate }) =>
                 showAlert("No active trip to backup.");
                 return;
             }
-            const data = await getProjectData(currentProject.id);
+            const data = await getProjectData(currentProject.id, { ownerEmail: user.email });
             const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
@@ -118,18 +151,180 @@ const SettingsView = ({ onClose, isAdmin, currentProject, onProjectUpdate }) =>
         }
     };
 
+    const handleScanOrphans = async () => {
+        setIsScanning(true);
+        try {
+            setOrphans(await findOrphans());
+        } catch (err) {
+            console.error("Orphan scan failed", err);
+            // The security rules only know the stored list, not super admins set in the app configuration
+            showAlert(err.code === 'permission-denied'
+                ? "Orphan scan failed: scanning every trip is limited to super admins saved in the Super Admins list."
+                : "Orphan scan failed: " + err.message);
+        } finally {
+            setIsScanning(false);
+        }
+    };
+
+    const orphanCount = orphans ? Object.values(orphans).reduce((sum, ids) => sum + ids.length, 0) : 0;
+
+    const handlePurgeOrphans = async () => {
+        if (!await showConfirm(`Permanently delete ${orphanCount} leftover records and media folders? This cannot be undone.`)) return;
+        setPurgeProgress({ phase: 'Starting', done: 0, total: 0 });
+        try {
+            const result = await purgeOrphans(orphans, { onProgress: setPurgeProgress });
+            setOrphans(null);
+            showAlert(`Removed ${result.records} records and ${result.mediaFiles} media files.`);
+        } catch (err) {
+            console.error("Orphan purge failed", err);
+            showAlert("Purge failed: " + err.message);
+        } finally {
+            setPurgeProgress(null);
+        }
+    };
+
+    const handleSaveRetention = async () => {
+        const days = parseInt(retentionDays, 10);
+        if (!Number.isFinite(days) || days < 1) {
+            showAlert("Retention must be at least 1 day.");
+            return;
+        }
+        try {
+            await updateProject(currentProject.id, { trashRetentionDays: days }, user.username);
+            if (onProjectUpdate) onProjectUpdate();
+            showAlert(`Deleted items will be kept for ${days} days.`);
+        } catch (err) {
+            console.error("Saving retention failed", err);
+            showAlert("Failed to save: " + err.message);
+        }
+    };
+
+    const handleSaveRouting = async () => {
+        const url = routing.provider === 'straight' ? '' : routing.url.trim();
+        if (url && !/^https?:\/\//i.test(url)) {
+            showAlert("The server URL must start with http:// or https://");
+            return;
+        }
+        try {
+            await updateProject(currentProject.id, { routing: { provider: routing.provider, url } }, user.username);
+            setRouting(r => ({ ...r, url }));
+            if (onProjectUpdate) onProjectUpdate();
+            showAlert("Routing settings saved. Routes will be recalculated with the new provider.");
+        } catch (err) {
+            console.error("Saving routing settings failed", err);
+            showAlert("Failed to save: " + err.message);
+        }
+    };
+
+    const handleGrantSuperAdmin = async () => {
+        try {
+            await grantSuperAdmin(superAdminEmail, user.username);
+            setSuperAdminEmail('');
+        } catch (err) {
+            console.error("Granting super admin failed", err);
+            showAlert("Failed: " + err.message);
+        }
+    };
+
+    const handleRevokeSuperAdmin = async (email) => {
+        const self = email === user.email?.toLowerCase();
+        if (!await showConfirm(self
+            ? "Remove your own super admin access? You will only see trips you belong to."
+            : `Remove super admin access for ${email}?`)) return;
+        try {
+            await revokeSuperAdmin(email, user.username);
+        } catch (err) {
+            console.error("Revoking super admin failed", err);
+            showAlert("Failed: " + err.message);
+        }
+    };
+
     const handleManageUser = async (action, payload) => {
         try {
             await manageProjectUsers(currentProject.id, action, payload, user.username);
             // Optimistic update or callback?
             if (onProjectUpdate) onProjectUpdate();
-            if (action === 'add') setInviteEmail('');
         } catch (err) {
             console.error("User management error:", err);
             showAlert("Failed: " + err.message);
         }
     };
 
+    const canManageTrip = can('manageTrip');
+    useEffect(() => {
+        if (!canManageTrip || !currentProject) return;
+        let active = true;
+        getProjectInvitations(currentProject.id)
+            .then(list => active && setInvitations(list))
+            .catch(err => console.error("Loading invitations failed", err));
+        return () => { active = false; };
+    }, [canManageTrip, currentProject, invitationsKey]);
+
+    const handleInvite = async () => {
+        try {
+            await inviteToProject(currentProject, inviteEmail, inviteRole, user, {
+                expiresInDays: inviteExpiryDays ? parseInt(inviteExpiryDays, 10) : null
+            });
+            setInviteEmail('');
+            setInvitationsKey(k => k + 1);
+            showToast(`Invitation sent to ${inviteEmail.trim().toLowerCase()}`);
+        } catch (err) {
+            console.error("Invitation failed", err);
+            showAlert("Failed: " + err.message);
+        }
+    };
+
+    const handleRevokeInvitation = async (invitation) => {
+        if (!await showConfirm(`Withdraw the invitation for ${invitation.email}?`)) return;
+        try {
+            await revokeInvitation(invitation.id);
+            setInvitationsKey(k => k + 1);
+        } catch (err) {
+            console.error("Withdrawing invitation failed", err);
+            showAlert("Failed: " + err.message);
+        }
+    };
+
+    const canEditSections = can('editSections');
+    useEffect(() => {
+        if (!canEditSections || !currentProject) return;
+        let active = true;
+        getImports(currentProject.id)
+            .then(list => active && setImports(list))
+            .catch(err => console.error("Loading import history failed", err));
+        return () => { active = false; };
+    }, [canEditSections, currentProject, importsKey]);
+
+    const handleRollbackImport = async (record) => {
+        const what = `${record.fileName || 'this import'} (${new Date(record.importedAt).toLocaleString()})`;
+        if (!await showConfirm(`Roll back ${what}? ${record.updated} changed sections get their previous values back and ${record.created} new sections go to the Trash. Edits made to these sections since the import are undone too.`)) return;
+        setRollbackProgress({ phase: 'Starting', done: 0, total: 0 });
+        try {
+            const result = await rollbackImport(record, user.username, { onProgress: setRollbackProgress });
+            setImportsKey(k => k + 1);
+            if (onSectionsChange) onSectionsChange();
+            showAlert(`Restored ${result.restored} sections and moved ${result.removed} to the Trash.`);
+        } catch (err) {
+            console.error("Import rollback failed", err);
+            showAlert("Rollback failed: " + err.message);
+        } finally {
+            setRollbackProgress(null);
+        }
+    };
+
+    const handleSaveDomains = async () => {
+        const domains = [...new Set(allowedDomains.split(/[\s,]+/).map(d => d.trim().toLowerCase().replace(/^@/, '')).filter(Boolean))];
+        try {
+            await updateProject(currentProject.id, { allowedEmailDomains: domains }, user.username);
+            setAllowedDomains(domains.join(', '));
+            if (onProjectUpdate) onProjectUpdate();
+            showAlert(domains.length ? `Only ${domains.map(d => '@' + d).join(', ')} addresses can be invited.` : "Any email address can be invited.");
+        } catch (err) {
+            console.error("Saving allowed domains failed", err);
+            showAlert("Failed to save: " + err.message);
+        }
+    };
+
 
 
     return (
@@ -217,7 +412,7 @@ const SettingsView = ({ onClose, isAdmin, currentProject, onProjectUpdate }) =>
                 </div>
             </div>
 
-            {isAdmin && (
+            {can('manageTrip') && (
                 <>
                     <div className="card">
                         <h3 className="mb-4 text-lg font-medium flex items-center gap-2">
@@ -235,7 +430,7 @@ const SettingsView = ({ onClose, isAdmin, currentProject, onProjectUpdate }) =>
                                                 </div>
                                                 <div>
                                                     <div className="font-medium text-sm">{u.email}</div>
-                                                    <div className="text-xs text-muted capitalize">{u.role}</div>
+                                                    <div className="text-xs text-muted">{ROLE_LABELS[normalizeRole(u.role, currentProject)] || u.role}</div>
                                                 </div>
                                             </div>
 
@@ -243,11 +438,12 @@ const SettingsView = ({ onClose, isAdmin, currentProject, onProjectUpdate }) =>
                                                 <div className="flex items-center gap-2">
                                                     <select
                                                         className="input text-xs py-1 px-2 h-auto"
-                                                        value={u.role}
+                                                        value={normalizeRole(u.role, currentProject) || ''}
                                                         onChange={(e) => handleManageUser('updateRole', { email: u.email, role: e.target.value })}
                                                     >
-                                                        <option value="viewer">Viewer</option>
-                                                        <option value="admin">Admin</option>
+                                                        {ROLES.map(role => (
+                                                            <option key={role} value={role} title={ROLE_DESCRIPTIONS[role]}>{ROLE_LABELS[role]}</option>
+                                                        ))}
                                                     </select>
                                                     <button
                                                         onClick={() => handleManageUser('remove', { email: u.email })}
@@ -278,8 +474,31 @@ const SettingsView = ({ onClose, isAdmin, currentProject, onProjectUpdate }) =>
                                             value={inviteEmail}
                                             onChange={(e) => setInviteEmail(e.target.value)}
                                         />
+                                        <select
+                                            className="input"
+                                            style={{ width: 'auto' }}
+                                            value={inviteRole}
+                                            onChange={(e) => setInviteRole(e.target.value)}
+                                            title={ROLE_DESCRIPTIONS[inviteRole]}
+                                        >
+                                            {ROLES.map(role => (
+                                                <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                                            ))}
+                                        </select>
+                                        <select
+                                            className="input"
+                                            style={{ width: 'auto' }}
+                                            value={inviteExpiryDays}
+                                            onChange={(e) => setInviteExpiryDays(e.target.value)}
+                                            title="Invitation expires after"
+                                        >
+                                            <option value="7">7 days</option>
+                                            <option value="14">14 days</option>
+                                            <option value="30">30 days</option>
+                                            <option value="">No expiry</option>
+                                        </select>
                                         <button
-                                            onClick={() => handleManageUser('add', { email: inviteEmail, role: 'viewer' })}
+                                            onClick={handleInvite}
                                             className="btn btn-primary whitespace-nowrap"
                                             disabled={!inviteEmail.trim()}
                                         >
@@ -287,11 +506,98 @@ const SettingsView = ({ onClose, isAdmin, currentProject, onProjectUpdate }) =>
                                         </button>
                                     </div>
                                 </div>
+
+                                {invitations.length > 0 && (
+                                    <div className="mt-4 pt-4 border-t border-[hsl(var(--border))]">
+                                        <h4 className="font-bold mb-2 text-sm uppercase text-muted">Pending Invitations</h4>
+                                        <div className="space-y-2">
+                                            {invitations.map(inv => (
+                                                <div key={inv.id} className="flex justify-between items-center p-2 hover:bg-[hsl(var(--muted))]/10 rounded">
+                                                    <div className="flex items-center gap-2">
+                                                        <Mail size={16} className="text-muted" />
+                                                        <div>
+                                                            <div className="font-medium text-sm">{inv.email}</div>
+                                                            <div className="text-xs text-muted">
+                                                                {ROLE_LABELS[inv.role] || inv.role} · invited by {inv.invitedBy}
+                                                                {inv.expiresAt && (isInvitationExpired(inv)
+                                                                    ? ' · expired'
+                                                                    : ` · expires ${new Date(inv.expiresAt).toLocaleDateString()}`)}
+                                                            </div>
+                                                        </div>
+                                                    </div>
+                                                    <button
+                                                        onClick={() => handleRevokeInvitation(inv)}
+                                                        className="btn btn-outline p-1 text-destructive hover:bg-destructive/10 h-auto"
+                                                        title="Withdraw Invitation"
+                                                    >
+                                                        <X size={14} />
+                                                    </button>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    </div>
+                                )}
+
+                                <div className="mt-4 pt-4 border-t border-[hsl(var(--border))]">
+                                    <h4 className="font-bold mb-2 text-sm uppercase text-muted">Allowed Email Domains</h4>
+                                    <p className="text-xs text-muted mb-2">Only addresses on these domains can be invited, e.g. ttu.edu. Leave empty to allow any address.</p>
+                                    <div className="flex gap-2">
+                                        <input
+                                            type="text"
+                                            placeholder="ttu.edu, sponsor.org"
+                                            className="input flex-1"
+                                            value={allowedDomains}
+                                            onChange={(e) => setAllowedDomains(e.target.value)}
+                                        />
+                                        <button
+                                            onClick={handleSaveDomains}
+                                            className="btn btn-outline"
+                                            disabled={allowedDomains === (currentProject?.allowedEmailDomains || []).join(', ')}
+                                        >
+                                            <Save size={16} /> Save
+                                        </button>
+                                    </div>
+                                </div>
                             </div>
                         </div>
                     </div>
 
+                    <div className="card">
+                        <h3 className="mb-4 text-lg font-medium flex items-center gap-2">
+                            <Route size={20} /> Routing
+                        </h3>
+                        <p className="text-xs text-muted mb-2">
+                            Drive times and road routes on the Trip Map come from this provider. Enter a server URL to use your own
+                            OSRM or Valhalla server instead of the public one; routes are cached on this device for 30 days.
+                        </p>
+                        <div className="flex gap-2">
+                            <select
+                                className="input"
+                                style={{ width: 'auto' }}
+                                value={routing.provider}
+                                onChange={(e) => setRouting(r => ({ ...r, provider: e.target.value }))}
+                                title={ROUTING_PROVIDERS.find(p => p.key === routing.provider)?.description}
+                            >
+                                {ROUTING_PROVIDERS.map(p => (
+                                    <option key={p.key} value={p.key} title={p.description}>{p.label}</option>
+                                ))}
+                            </select>
+                            <input
+                                type="url"
+                                placeholder="Public server"
+                                className="input flex-1"
+                                value={routing.provider === 'straight' ? '' : routing.url}
+                                disabled={routing.provider === 'straight'}
+                                onChange={(e) => setRouting(r => ({ ...r, url: e.target.value }))}
+                            />
+                            <button onClick={handleSaveRouting} className="btn btn-outline">
+                                <Save size={16} /> Save
+                            </button>
+                        </div>
+                        <p className="text-xs text-muted mt-2">{ROUTING_PROVIDERS.find(p => p.key === routing.provider)?.description}</p>
+                    </div>
 
+                    <CrewSettings key={currentProject.id} project={currentProject} onProjectUpdate={onProjectUpdate} />
 
                     <div className="card">
                         <h3 className="mb-4 text-lg font-medium">Data Management</h3>
@@ -307,6 +613,62 @@ const SettingsView = ({ onClose, isAdmin, currentProject, onProjectUpdate }) =>
                                 </button>
                             </div>
 
+                            <div className="flex justify-between items-center pt-4">
+                                <div>
+                                    <strong className="block">Trash Retention</strong>
+                                    <span className="text-sm text-muted">Days deleted sections and notes stay in the Trash before they are purged</span>
+                                </div>
+                                <div className="flex gap-2 items-center">
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        className="input"
+                                        style={{ width: '80px' }}
+                                        value={retentionDays}
+                                        onChange={(e) => setRetentionDays(e.target.value)}
+                                    />
+                                    <button
+                                        onClick={handleSaveRetention}
+                                        className="btn btn-outline"
+                                        disabled={String(retentionDays) === String(getTrashRetentionDays(currentProject))}
+                                    >
+                                        <Save size={16} /> Save
+                                    </button>
+                                </div>
+                            </div>
+
+                            {canEditSections && (
+                                <div className="pt-4">
+                                    <strong className="flex items-center gap-2"><History size={16} /> Import History</strong>
+                                    {imports.length === 0 ? (
+                                        <span className="text-sm text-muted">No imports yet</span>
+                                    ) : (
+                                        <div className="space-y-2 mt-2">
+                                            {imports.map(record => (
+                                                <div key={record.id} className="flex justify-between items-center p-2 hover:bg-[hsl(var(--muted))]/10 rounded">
+                                                    <div>
+                                                        <div className="font-medium text-sm">{record.fileName || 'Untitled import'}</div>
+                                                        <div className="text-xs text-muted">
+                                                            {new Date(record.importedAt).toLocaleString()} by {record.importedBy} · {record.created} new, {record.updated} updated
+                                                            {record.rolledBackAt && ` · rolled back by ${record.rolledBackBy} on ${new Date(record.rolledBackAt).toLocaleDateString()}`}
+                                                        </div>
+                                                    </div>
+                                                    {!record.rolledBackAt && (
+                                                        <button
+                                                            onClick={() => handleRollbackImport(record)}
+                                                            className="btn btn-outline p-1 h-auto"
+                                                            title="Roll back this import"
+                                                        >
+                                                            <Undo2 size={14} />
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+                                </div>
+                            )}
+
                             <div className="flex justify-between items-center pt-4">
                                 <div>
                                     <strong className="block">Restore Data</strong>
@@ -324,6 +686,97 @@ const SettingsView = ({ onClose, isAdmin, currentProject, onProjectUpdate }) =>
                 </>
             )}
 
+            {isSuperAdmin && (
+                <div className="card">
+                    <h3 className="mb-4 text-lg font-medium flex items-center gap-2">
+                        <ShieldCheck size={20} /> Super Admins
+                    </h3>
+                    <p className="text-sm text-muted mb-4">Super admins can open and manage every trip.</p>
+                    <div className="bg-[hsl(var(--background))] p-4 rounded-md border border-[hsl(var(--border))]">
+                        <div className="space-y-2">
+                            {superAdmins.map(email => (
+                                <div key={email} className="flex justify-between items-center p-2 hover:bg-[hsl(var(--muted))]/10 rounded">
+                                    <div className="font-medium text-sm">{email}</div>
+                                    {bootstrapSuperAdmins.includes(email) ? (
+                                        <span className="text-xs badge bg-primary/10 text-primary px-2 py-1 rounded" title="Set in the app configuration (VITE_SUPER_ADMINS)">Config</span>
+                                    ) : (
+                                        <button
+                                            onClick={() => handleRevokeSuperAdmin(email)}
+                                            className="btn btn-outline p-1 text-destructive hover:bg-destructive/10 h-auto"
+                                            title="Revoke Super Admin"
+                                        >
+                                            <Trash2 size={14} />
+                                        </button>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+
+                        <div className="mt-4 pt-4 border-t border-[hsl(var(--border))]">
+                            <h4 className="font-bold mb-2 text-sm uppercase text-muted">Grant Super Admin</h4>
+                            <div className="flex gap-2">
+                                <input
+                                    type="email"
+                                    placeholder="Enter email address"
+                                    className="input flex-1"
+                                    value={superAdminEmail}
+                                    onChange={(e) => setSuperAdminEmail(e.target.value)}
+                                />
+                                <button
+                                    onClick={handleGrantSuperAdmin}
+                                    className="btn btn-primary whitespace-nowrap"
+                                    disabled={!superAdminEmail.trim()}
+                                >
+                                    <Plus size={16} /> Grant
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {isSuperAdmin && (
+                <div className="card">
+                    <h3 className="mb-4 text-lg font-medium flex items-center gap-2">
+                        <Wrench size={20} /> Orphan Cleanup
+                    </h3>
+                    <div className="flex justify-between items-center">
+                        <div>
+                            <strong className="block">Scan for leftovers</strong>
+                            <span className="text-sm text-muted">Find notes, private notes, plans and media left behind by deleted trips and sections</span>
+                        </div>
+                        <button onClick={handleScanOrphans} className="btn btn-outline" disabled={isScanning}>
+                            {isScanning ? <Loader size={16} className="animate-spin" /> : <Wrench size={16} />} Scan
+                        </button>
+                    </div>
+
+                    {orphans && (
+                        <div className="bg-[hsl(var(--background))] p-4 rounded-md border border-[hsl(var(--border))] mt-4">
+                            {orphanCount === 0 ? (
+                                <p className="text-sm text-muted">No orphaned data found.</p>
+                            ) : (
+                                <>
+                                    <div className="space-y-1 text-sm">
+                                        {Object.entries(ORPHAN_LABELS).map(([key, label]) => (
+                                            <div key={key} className="flex justify-between">
+                                                <span>{label}</span>
+                                                <span className="badge">{orphans[key].length}</span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                    <button onClick={handlePurgeOrphans} className="btn btn-outline text-destructive hover:bg-destructive/10 mt-4">
+                                        <Trash2 size={16} /> Purge {orphanCount} items
+                                    </button>
+                                </>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {purgeProgress && <ProgressModal title="Removing orphaned data" progress={purgeProgress} />}
+            {rollbackProgress && <ProgressModal title="Rolling back import" progress={rollbackProgress} />}
+
             <div className="card">
                 <h3 className="mb-4 text-lg font-medium text-destructive">Danger Zone</h3>
                 <div className="bg-[hsl(var(--background))] p-4 rounded-md border border-destructive/50">
@@ -1,7 +1,9 @@
 import { useState, useMemo, useEffect } from 'react';
-import { ChevronLeft, ChevronRight, Upload, Plus, Search, ChevronDown, ChevronUp, CheckCircle, Settings as SettingsIcon, Printer, MapPinned } from 'lucide-react';
+import { ChevronLeft, ChevronRight, Upload, Plus, Search, ChevronDown, ChevronUp, CheckCircle, Settings as SettingsIcon, Printer, MapPinned, Trash2, ClipboardCheck } from 'lucide-react';
 import SectionActionMenu from './SectionActionMenu';
+import SyncBadge from './SyncBadge';
 import { printSections } from '../utils/printUtils';
+import { useOutbox } from '../hooks/useOutbox';
 
 const Sidebar = ({
     sections,
@@ -24,13 +26,18 @@ const Sidebar = ({
     allSections,
     username,
     onViewOnMap,
-    isAdmin,
+    can,
     projectName,
-    onSwitchProject
+    onSwitchProject,
+    onOpenOutbox,
+    onOpenTrash,
+    onOpenQuality
 }) => {
     const [searchTerm, setSearchTerm] = useState('');
     const [expandedGroups, setExpandedGroups] = useState({});
     const [isOnline, setIsOnline] = useState(navigator.onLine);
+    const { pendingCount, failedCount, statusForSection } = useOutbox();
+    const unsyncedCount = pendingCount + failedCount;
 
     useEffect(() => {
         const handleOnline = () => setIsOnline(true);
@@ -68,7 +75,11 @@ const Sidebar = ({
         <aside className={`sidebar ${isCollapsed ? 'collapsed' : 'open'}`}>
             {/* Header */}
             <div className="sidebar-header flex justify-between items-center relative">
-                <div style={{ position: 'absolute', top: '8px', right: '40px', background: 'hsl(var(--card))', padding: '2px 6px', borderRadius: '12px', border: '1px solid hsl(var(--border))', fontSize: '0.65rem', display: 'flex', alignItems: 'center', gap: '4px', zIndex: 10 }}>
+                <div
+                    onClick={onOpenOutbox}
+                    title={unsyncedCount > 0 ? `${pendingCount} pending, ${failedCount} failed` : 'All changes synced'}
+                    style={{ position: 'absolute', top: '8px', right: '40px', background: 'hsl(var(--card))', padding: '2px 6px', borderRadius: '12px', border: '1px solid hsl(var(--border))', fontSize: '0.65rem', display: 'flex', alignItems: 'center', gap: '4px', zIndex: 10, cursor: onOpenOutbox ? 'pointer' : 'default' }}
+                >
                     {isOnline ? (
                         <>
                             <div style={{ width: '6px', height: '6px', borderRadius: '50%', background: '#22c55e' }} />
@@ -80,6 +91,11 @@ const Sidebar = ({
                             <span style={{ color: '#ef4444' }}>Offline</span>
                         </>
                     )}
+                    {unsyncedCount > 0 && (
+                        <span style={{ color: failedCount > 0 ? '#ef4444' : '#f59e0b', fontWeight: 600 }}>
+                            • {unsyncedCount} unsynced
+                        </span>
+                    )}
                 </div>
                 <div className="flex-1 overflow-hidden mr-8">
                     <h2
@@ -110,7 +126,7 @@ const Sidebar = ({
                 <>
                     <div className="p-4 flex flex-col gap-4 border-b border-[hsl(var(--border))]">
                         {/* Actions */}
-                        {isAdmin && (
+                        {can('editSections') && (
                             <div className="flex gap-2">
                                 <button className="btn btn-primary w-full" onClick={onOpenImport}>
                                     <Upload size={16} /> Import
@@ -176,6 +192,7 @@ const Sidebar = ({
                                                     <div className="section-title-row">
                                                         <span className="section-id">{section.id}</span>
                                                         {section.status === 'Evaluated' && <CheckCircle size={14} color="hsl(var(--primary))" />}
+                                                        <SyncBadge status={statusForSection(section.docId)} compact />
                                                     </div>
                                                     <span className="section-subtitle">
                                                         {section.city || 'No City'} • {section.county || 'No County'}
@@ -189,7 +206,7 @@ const Sidebar = ({
                                                     onDelete={onDeleteSection}
                                                     onEdit={onEdit}
                                                     onViewOnMap={onViewOnMap}
-                                                    isAdmin={isAdmin}
+                                                    can={can}
                                                 />
                                             </div>
                                         ))}
@@ -222,6 +239,26 @@ const Sidebar = ({
                             <Printer size={20} />
                             <span>Print All</span>
                         </button>
+                        <button
+                            onClick={onOpenQuality}
+                            className="btn btn-ghost"
+                            style={{ flexDirection: 'column', gap: '4px', padding: '0.5rem', fontSize: '0.7rem', minWidth: '60px' }}
+                            title="Find sections with missing coordinates, duplicate IDs or sequence problems"
+                        >
+                            <ClipboardCheck size={20} />
+                            <span>Quality</span>
+                        </button>
+                        {can('deleteData') && (
+                            <button
+                                onClick={onOpenTrash}
+                                className="btn btn-ghost"
+                                style={{ flexDirection: 'column', gap: '4px', padding: '0.5rem', fontSize: '0.7rem', minWidth: '60px' }}
+                                title="Restore or permanently delete removed sections and notes"
+                            >
+                                <Trash2 size={20} />
+                                <span>Trash</span>
+                            </button>
+                        )}
                         <button
                             onClick={onOpenSettings}
                             className="btn btn-ghost"
@@ -0,0 +1,26 @@
+import { CloudOff, AlertTriangle } from 'lucide-react';
+
+// Small inline marker for writes that have not reached the server yet
+const SyncBadge = ({ status, compact = false }) => {
+    if (!status) return null;
+    const isFailed = status === 'failed';
+    const color = isFailed ? '#ef4444' : '#f59e0b';
+
+    return (
+        <span
+            title={isFailed ? 'Sync failed — open the outbox to retry or discard' : 'Waiting to sync'}
+            style={{
+                display: 'inline-flex', alignItems: 'center', gap: '3px',
+                fontSize: '0.65rem', fontWeight: 600, lineHeight: 1,
+                padding: compact ? '2px' : '2px 6px', borderRadius: '10px',
+                color, background: color + '1a', border: `1px solid ${color}55`,
+                whiteSpace: 'nowrap'
+            }}
+        >
+            {isFailed ? <AlertTriangle size={10} /> : <CloudOff size={10} />}
+            {!compact && (isFailed ? 'Failed' : 'Pending')}
+        </span>
+    );
+};
+
+export default SyncBadge;
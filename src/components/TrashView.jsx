@@ -0,0 +1,177 @@
+import { useState, useEffect } from 'react';
+import { Trash2, RotateCcw, ArrowLeft, Loader, FileText, MapPin } from 'lucide-react';
+import { getTrash, restoreSection, restoreDetail, deleteSection, deleteDetail, getTrashRetentionDays, trashDaysRemaining } from '../db';
+import { useNotification } from '../context/NotificationContext';
+import ProgressModal from './ProgressModal';
+
+// Plain-text preview of a note's HTML content
+const notePreview = (html) => {
+    const doc = new DOMParser().parseFromString(html || '', 'text/html');
+    const text = doc.body.textContent.replace(/\s+/g, ' ').trim();
+    return text.length > 120 ? text.slice(0, 120) + '…' : text || '(media only)';
+};
+
+const TrashRow = ({ icon, title, subtitle, item, retentionDays, onRestore, onPurge }) => {
+    const daysLeft = trashDaysRemaining(item, retentionDays);
+    return (
+        <div className="flex justify-between items-center p-2 hover:bg-[hsl(var(--muted))]/10 rounded" style={{ gap: '8px' }}>
+            <div className="flex items-center gap-2" style={{ minWidth: 0 }}>
+                {icon}
+                <div style={{ minWidth: 0 }}>
+                    <div className="font-medium text-sm truncate">{title}</div>
+                    {subtitle && <div className="text-xs text-muted truncate">{subtitle}</div>}
+                    <div className="text-xs text-muted">
+                        Deleted by {item.deletedBy} on {new Date(item.deletedAt).toLocaleString()} • purged in {daysLeft} day{daysLeft === 1 ? '' : 's'}
+                    </div>
+                </div>
+            </div>
+            <div className="flex items-center gap-2">
+                <button onClick={onRestore} className="btn btn-outline p-1 h-auto" title="Restore">
+                    <RotateCcw size={14} />
+                </button>
+                <button onClick={onPurge} className="btn btn-outline p-1 text-destructive hover:bg-destructive/10 h-auto" title="Delete permanently">
+                    <Trash2 size={14} />
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const TrashView = ({ project, username, onBack, onChanged }) => {
+    const { showAlert, showConfirm } = useNotification();
+    const [trash, setTrash] = useState(null);
+    const [purgeProgress, setPurgeProgress] = useState(null);
+    const retentionDays = getTrashRetentionDays(project);
+
+    const [reloadKey, setReloadKey] = useState(0);
+
+    useEffect(() => {
+        let active = true;
+        getTrash(project.id)
+            .then(result => active && setTrash(result))
+            .catch(err => {
+                console.error("Failed to load trash", err);
+                showAlert("Failed to load trash: " + err.message);
+            });
+        return () => { active = false; };
+    }, [project.id, reloadKey, showAlert]);
+
+    const run = async (action, failureMessage) => {
+        try {
+            await action();
+        } catch (err) {
+            console.error(failureMessage, err);
+            showAlert(`${failureMessage}: ${err.message}`);
+        }
+        setReloadKey(k => k + 1);
+        if (onChanged) onChanged();
+    };
+
+    const handleRestoreSection = (section) => run(() => restoreSection(section.docId, username), "Restore failed");
+
+    const handleRestoreDetail = (detail) => run(() => restoreDetail(detail.id, username), "Restore failed");
+
+    const handlePurgeSection = async (section) => {
+        if (!await showConfirm(`Permanently delete section "${section.id}" with all of its notes and media? This cannot be undone.`)) return;
+        setPurgeProgress({ phase: 'Starting', done: 0, total: 0 });
+        await run(() => deleteSection(section.docId, username, { onProgress: setPurgeProgress }), "Delete failed");
+        setPurgeProgress(null);
+    };
+
+    const handlePurgeDetail = async (detail) => {
+        if (!await showConfirm("Permanently delete this note? This cannot be undone.")) return;
+        await run(() => deleteDetail(detail.id, username), "Delete failed");
+    };
+
+    const handleEmptyTrash = async () => {
+        const total = trash.sections.length + trash.details.length;
+        if (!await showConfirm(`Permanently delete all ${total} items in the trash? This cannot be undone.`)) return;
+        setPurgeProgress({ phase: 'Starting', done: 0, total });
+        await run(async () => {
+            let done = 0;
+            for (const section of trash.sections) {
+                await deleteSection(section.docId, username);
+                setPurgeProgress({ phase: 'Deleting sections', done: ++done, total });
+            }
+            for (const detail of trash.details) {
+                await deleteDetail(detail.id, username);
+                setPurgeProgress({ phase: 'Deleting notes', done: ++done, total });
+            }
+        }, "Emptying trash failed");
+        setPurgeProgress(null);
+    };
+
+    const isEmpty = trash && trash.sections.length === 0 && trash.details.length === 0;
+
+    return (
+        <div className="max-w-4xl mx-auto space-y-6">
+            <div className="flex justify-between items-center border-b border-[hsl(var(--border))] pb-4 mb-6">
+                <h2 className="text-2xl font-bold flex items-center gap-2">
+                    <button onClick={onBack} className="btn btn-ghost p-1" title="Back"><ArrowLeft size={20} /></button>
+                    Trash
+                </h2>
+                {trash && !isEmpty && (
+                    <button onClick={handleEmptyTrash} className="btn btn-outline text-destructive hover:bg-destructive/10">
+                        <Trash2 size={16} /> Empty Trash
+                    </button>
+                )}
+            </div>
+
+            <p className="text-sm text-muted">
+                Deleted sections and notes stay here for {retentionDays} days before they are removed permanently.
+            </p>
+
+            {!trash ? (
+                <div className="flex justify-center p-8"><Loader className="animate-spin text-primary" size={24} /></div>
+            ) : isEmpty ? (
+                <div className="card text-center text-muted">The trash is empty.</div>
+            ) : (
+                <>
+                    {trash.sections.length > 0 && (
+                        <div className="card">
+                            <h3 className="mb-4 text-lg font-medium">Sections ({trash.sections.length})</h3>
+                            <div className="space-y-2">
+                                {trash.sections.map(section => (
+                                    <TrashRow
+                                        key={section.docId}
+                                        icon={<MapPin size={16} className="text-muted" />}
+                                        title={section.id}
+                                        subtitle={[section.type, section.city, section.county].filter(Boolean).join(' • ')}
+                                        item={section}
+                                        retentionDays={retentionDays}
+                                        onRestore={() => handleRestoreSection(section)}
+                                        onPurge={() => handlePurgeSection(section)}
+                                    />
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {trash.details.length > 0 && (
+                        <div className="card">
+                            <h3 className="mb-4 text-lg font-medium">Notes ({trash.details.length})</h3>
+                            <div className="space-y-2">
+                                {trash.details.map(detail => (
+                                    <TrashRow
+                                        key={detail.id}
+                                        icon={<FileText size={16} className="text-muted" />}
+                                        title={notePreview(detail.content)}
+                                        subtitle={`Section ${detail.sectionId.replace(`${project.id}_`, '')}`}
+                                        item={detail}
+                                        retentionDays={retentionDays}
+                                        onRestore={() => handleRestoreDetail(detail)}
+                                        onPurge={() => handlePurgeDetail(detail)}
+                                    />
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                </>
+            )}
+
+            {purgeProgress && <ProgressModal title="Deleting permanently" progress={purgeProgress} />}
+        </div>
+    );
+};
+
+export default TrashView;
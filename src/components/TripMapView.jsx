@@ -1,22 +1,31 @@
 import React, { useState, useMemo, useEffect, useRef, useCallback } from 'react';
 import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
-import { ArrowLeft, MapPin, Navigation, CheckCircle, Clock, ExternalLink, Building2, Route, Home, Hash, Trash2, Save, Landmark, Calendar, Plus, X, ChevronDown, ChevronUp, Eye, EyeOff, Printer, Download, FileSpreadsheet, Zap, RotateCcw, ListOrdered, ArrowDown } from 'lucide-react';
+import { ArrowLeft, MapPin, Navigation, CheckCircle, Clock, ExternalLink, Building2, Route, Home, Hash, Trash2, Save, Landmark, Calendar, Plus, X, ChevronDown, ChevronUp, Eye, EyeOff, Printer, Download, FileSpreadsheet, Zap, RotateCcw, ListOrdered, ArrowDown, SlidersHorizontal, AlertTriangle, Hotel, CalendarDays } from 'lucide-react';
 import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
 
 import 'leaflet/dist/leaflet.css';
-import { saveSharedDaysPlan, getSharedDaysPlan, updateProject } from '../db';
-import { exportToExcel } from '../utils/exportUtils';
+import { saveSharedDaysPlan, getSharedPlan, updateProject } from '../db';
+import { exportToExcel, exportRoute, exportCalendar } from '../utils/exportUtils';
+import { toLatLng, parseCoordinates } from '../utils/coordinates';
+import { fetchRoute, getRoutingSettings } from '../routing';
+import { optimizeRoute } from '../routing/optimizer';
+import { getDayPlanningSettings, stopMinutesFor, planDays, splitIntoDays } from '../utils/dayPlanning';
+import { DEFAULT_SCHEDULE, scheduleDays, formatDayDate } from '../utils/schedule';
+import { getCrews, crewForDay, crewColor, crewHome, assignGroupsToCrews } from '../utils/crews';
+import ProgressModal from './ProgressModal';
+import OptimizeResultModal from './OptimizeResultModal';
+import DayPlanningModal from './DayPlanningModal';
+import PlanCalendar from './PlanCalendar';
 import { useNotification } from '../context/NotificationContext';
 
 // --- Constants ---
 const DEFAULT_HOME_POSITION = [33.58703457593024, -101.87436165377096];
 const DARK_TILES = 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png';
 const LIGHT_TILES = 'https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png';
-const OSRM_BASE = 'https://router.project-osrm.org/route/v1/driving';
-
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const DAY_OPTIMIZE_BUDGET_MS = 2000;
+const GLOBAL_OPTIMIZE_BUDGET_MS = 5000;
 
 // --- Custom Marker Icons ---
 const createMarkerIcon = (color, borderColor) => {
@@ -73,16 +82,6 @@ const getCategoryColor = (type, allTypes) => {
     return CATEGORY_COLORS[idx % CATEGORY_COLORS.length];
 };
 
-// --- Parse coordinates helper ---
-const parseCoords = (coordString) => {
-    if (!coordString) return null;
-    const parts = coordString.split(',').map(s => parseFloat(s.trim()));
-    if (parts.length === 2 && !isNaN(parts[0]) && !isNaN(parts[1])) {
-        return [parts[0], parts[1]];
-    }
-    return null;
-};
-
 // --- Component to fit map bounds (initial only) ---
 const FitBounds = ({ positions }) => {
     const map = useMap();
@@ -126,96 +125,9 @@ const calculateDistance = (coord1, coord2) => {
     return R * c;
 };
 
-// --- OSRM Route Fetcher (geometry only, chunked) ---
-const fetchOSRMRoute = async (waypoints) => {
-    const result = await fetchOSRMRouteWithDuration(waypoints);
-    return result ? result.geometry : null;
-};
-
-// --- OSRM Route Fetcher with Duration ---
-const fetchOSRMRouteWithDuration = async (waypoints) => {
-    // waypoints: array of [lat, lng]
-    if (!waypoints || waypoints.length < 2) return null;
-
-    // Helper for single chunk fetch — returns { geometry, durationSeconds }
-    const fetchChunk = async (chunk, retries = 3) => {
-        // OSRM expects lng,lat format
-        const coordString = chunk.map(([lat, lng]) => `${lng},${lat}`).join(';');
-        const url = `${OSRM_BASE}/${coordString}?overview=full&geometries=geojson`;
-
-        for (let attempt = 0; attempt < retries; attempt++) {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 10000); // 10s timeout
-
-            try {
-                const res = await fetch(url, { signal: controller.signal });
-                clearTimeout(timeoutId);
-
-                if (!res.ok) {
-                    throw new Error(`OSRM HTTP error: ${res.status}`);
-                }
-
-                const data = await res.json();
-                if (data.code === 'Ok' && data.routes && data.routes.length > 0) {
-                    const route = data.routes[0];
-                    return {
-                        geometry: route.geometry.coordinates.map(([lng, lat]) => [lat, lng]),
-                        durationSeconds: route.duration,
-                    };
-                }
-                throw new Error(`OSRM error code: ${data.code}`);
-            } catch (err) {
-                clearTimeout(timeoutId);
-                console.warn(`OSRM chunk fetch attempt ${attempt + 1} failed:`, err.message);
-                if (attempt < retries - 1) {
-                    await sleep(500 * (attempt + 1)); // Backoff
-                }
-            }
-        }
-        return null;
-    };
-
-    // If small enough, fetch directly
-    if (waypoints.length <= 15) {
-        return await fetchChunk(waypoints);
-    }
-
-    // Otherwise, chunk it
-    const chunkSize = 15;
-    const geometry = [];
-    let totalDurationSeconds = 0;
-
-    for (let i = 0; i < waypoints.length - 1; i += (chunkSize - 1)) {
-        const chunk = waypoints.slice(i, i + chunkSize);
-        if (chunk.length < 2) break;
-
-        await sleep(200); // Rate limiting protection
-        const chunkResult = await fetchChunk(chunk);
-
-        if (chunkResult) {
-            totalDurationSeconds += chunkResult.durationSeconds;
-            if (geometry.length > 0) {
-                geometry.push(...chunkResult.geometry.slice(1));
-            } else {
-                geometry.push(...chunkResult.geometry);
-            }
-        } else {
-            // Fallback for this segment
-            const straightLine = chunk;
-            if (geometry.length > 0) {
-                geometry.push(...straightLine.slice(1));
-            } else {
-                geometry.push(...straightLine);
-            }
-        }
-    }
-
-    return geometry.length > 0 ? { geometry, durationSeconds: totalDurationSeconds } : null;
-};
-
 // --- Sequence Editor Sub-component ---
-const SequenceEditor = ({ section, onUpdateSequence, onRemoveFromRoute, isAdmin }) => {
-    if (!isAdmin) return null;
+const SequenceEditor = ({ section, onUpdateSequence, onRemoveFromRoute, canPlan }) => {
+    if (!canPlan) return null;
     const [seqValue, setSeqValue] = useState(section.test_sequence || '');
     const [saving, setSaving] = useState(false);
 
@@ -343,9 +255,9 @@ const LocationMarker = () => {
 };
 
 // --- Main Component ---
-const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpdateSection, onUpdateSections, onRemoveFromRoute, username, isAdmin, projectId, project, onUpdateProject }) => {
+const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpdateSection, onUpdateSections, onRemoveFromRoute, username, canPlan, canManageTrip, projectId, project, onUpdateProject }) => {
     const theme = useTheme();
-    const { showAlert, showConfirm } = useNotification();
+    const { showAlert, showConfirm, showPrompt } = useNotification();
     // Use dark tiles for 'dark' and 'medium' themes
     const isDarkTiles = theme === 'dark' || theme === 'medium';
     const allTypes = useMemo(() => [...new Set(sections.map(s => s.type).filter(Boolean))], [sections]);
@@ -353,6 +265,7 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
 
     const [routeLoading, setRouteLoading] = useState(false);
     const [showExportMenu, setShowExportMenu] = useState(false);
+    const [exportSelectedDays, setExportSelectedDays] = useState(false);
 
     // Home Location State
     const [homePosition, setHomePosition] = useState(DEFAULT_HOME_POSITION);
@@ -362,7 +275,7 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
     // Derived Home Location from Project
     useEffect(() => {
         if (project?.homeLocation) {
-            const coords = parseCoords(project.homeLocation.coordinates);
+            const coords = toLatLng(project.homeLocation.coordinates);
             if (coords) {
                 setHomePosition(coords);
             }
@@ -381,17 +294,17 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
     const [savingHome, setSavingHome] = useState(false);
 
     const openEditHome = () => {
-        if (!isAdmin) return;
+        if (!canManageTrip) return;
         setEditHomeName(homeName);
         setEditHomeCoords(homePosition.join(', '));
         setIsEditingHome(true);
     };
 
     const handleSaveHome = async () => {
-        if (!isAdmin || !projectId) return;
-        const coords = parseCoords(editHomeCoords);
-        if (!coords) {
-            showAlert("Invalid coordinates format. Use: lat, lng");
+        if (!canManageTrip || !projectId) return;
+        const parsed = parseCoordinates(editHomeCoords);
+        if (!parsed.latLng) {
+            showAlert(`Invalid coordinates: ${parsed.error || 'enter lat, lng'}`);
             return;
         }
 
@@ -400,7 +313,7 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
             await updateProject(projectId, {
                 homeLocation: {
                     name: editHomeName,
-                    coordinates: editHomeCoords
+                    coordinates: parsed.coordinates
                 }
             }, username);
             if (onUpdateProject) onUpdateProject();
@@ -430,27 +343,44 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
     const [highlightedDays, setHighlightedDays] = useState(new Set()); // Set of day numbers
     const [showAllDays, setShowAllDays] = useState(false);
     const [dayRoutes, setDayRoutes] = useState({}); // { dayNum: coordinates[] }
-    const [dayDriveMinutes, setDayDriveMinutes] = useState({}); // { dayNum: driveMinutes } from OSRM
-    const [dayRouteErrors, setDayRouteErrors] = useState({}); // { dayNum: boolean }
+    const [dayDriveMinutes, setDayDriveMinutes] = useState({}); // { dayNum: driveMinutes } from the routing provider
+    const [dayRouteEstimated, setDayRouteEstimated] = useState({}); // { dayNum: boolean } straight-line estimate for some legs
     const [optimizingDay, setOptimizingDay] = useState(null);
     const [isGlobalOptimizing, setIsGlobalOptimizing] = useState(false);
+    const [optimizeProgress, setOptimizeProgress] = useState(null);
+    const [optimizeProposal, setOptimizeProposal] = useState(null); // { title, description, result, apply }
+    const [isEditingDayPlanning, setIsEditingDayPlanning] = useState(false);
+    const [schedule, setSchedule] = useState(DEFAULT_SCHEDULE); // { skipWeekends, restDates }, saved with the plan
+    const [showCalendar, setShowCalendar] = useState(false);
+
+    // Day limit, stop durations, crews, and where each day starts and ends
+    const dayPlanning = useMemo(() => getDayPlanningSettings(project), [project]);
+    const crews = useMemo(() => getCrews(project), [project]);
+    const plannedDays = useMemo(() => planDays(daysPlan, sections, homePosition, homeName, crews), [daysPlan, sections, homePosition, homeName, crews]);
+    const dayDates = useMemo(() => scheduleDays(daysPlan, project, schedule), [daysPlan, project, schedule]); // { day: { date, afterEnd } }
+
+    // Days are coloured by crew when the trip has several, otherwise each day gets its own colour
+    const getDayColor = (dayNum) => {
+        const day = daysPlan.find(d => d.day === dayNum);
+        return crews.length > 1 && day
+            ? crewColor(crewForDay(day, crews), crews)
+            : CATEGORY_COLORS[(dayNum - 1) % CATEGORY_COLORS.length];
+    };
 
     // Routing Cache and Locks
-    const routingCache = useRef(new Map()); // dayNum (or 'main') -> stringifiedWaypoints
+    const routing = useMemo(() => getRoutingSettings(project), [project]);
+    const routingCache = useRef(new Map()); // dayNum (or 'main') -> stringified routing settings and waypoints
     const isRoutingBusy = useRef(false);
 
     const handleGlobalOptimize = async () => {
-        if (!isAdmin || !onUpdateSections) return;
-
-        if (!await showConfirm("Global Optimization will reorganize ALL stops across ALL days to balance travel time. Proceed?")) {
-            return;
-        }
+        if (!canPlan || !onUpdateSections) return;
 
         setIsGlobalOptimizing(true);
         try {
-            // 1. Gather all assigned sections
-            const allAssignedSections = sections.filter(s =>
-                daysPlan.some(d => d.sequences.includes(Number(s.test_sequence)))
+            // 1. Gather all assigned sections, in their current day and sequence order
+            const allAssignedSections = [...daysPlan].sort((a, b) => a.day - b.day).flatMap(d => sections
+                .filter(s => d.sequences.includes(Number(s.test_sequence)))
+                .sort((a, b) => Number(a.test_sequence) - Number(b.test_sequence))
             );
 
             if (allAssignedSections.length === 0) {
@@ -481,118 +411,143 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
                 return update; // Return the version with originals set for processing
             });
 
-            // 3. Grand Tour (Nearest Neighbor)
-            let unvisited = [...snapshotSections];
-            let currentPos = homePosition;
-            const grandTour = [];
-
-            while (unvisited.length > 0) {
-                let closestIdx = -1;
-                let minDist = Infinity;
-
-                for (let i = 0; i < unvisited.length; i++) {
-                    const coords = parseCoords(unvisited[i].coordinates);
-                    if (!coords) continue;
-                    const d = calculateDistance(currentPos, coords);
-                    if (d < minDist) {
-                        minDist = d;
-                        closestIdx = i;
-                    }
-                }
-
-                if (closestIdx !== -1) {
-                    const next = unvisited[closestIdx];
-                    grandTour.push(next);
-                    unvisited.splice(closestIdx, 1);
-                    const nextCoords = parseCoords(next.coordinates);
-                    if (nextCoords) currentPos = nextCoords;
-                } else {
-                    // Fallback for invalid coords
-                    grandTour.push(...unvisited);
-                    break;
-                }
-            }
-
-            // 4. Partition into Days
-            // Calculate total weight (Drive Time + Stop Time)
-            // Weight = minutes
-            const getSectionWeight = (sec, prevCoord) => {
-                const coords = parseCoords(sec.coordinates);
-                if (!coords || !prevCoord) return 15; // Just stop time
-                const miles = calculateDistance(prevCoord, coords);
-                const driveMin = (miles * 1.2 / 65) * 60;
-                return driveMin + 15; // Drive + 15m stop
-            };
-
-            let totalWeight = 0;
-            let simPos = homePosition;
-            for (const sec of grandTour) {
-                const coords = parseCoords(sec.coordinates);
-                totalWeight += getSectionWeight(sec, simPos);
-                if (coords) simPos = coords;
+            // 3. Grand Tour: Home -> every stop -> Home, optimized on road drive times
+            const located = snapshotSections
+                .map(s => ({ section: s, latLng: toLatLng(s.coordinates) }))
+                .filter(x => x.latLng);
+            const unlocated = snapshotSections.filter(s => !toLatLng(s.coordinates));
+            const stopWeights = (tour, stops) =>
+                tour.order.map((i, k) => tour.after.legs[k].seconds / 60 + stopMinutesFor(stops[i].section, dayPlanning));
+
+            // With several crews, cut the grand tour into one stretch of about equal work per crew
+            // and give each stretch to the crew based nearest to it
+            let groups = [{ crew: crews[0] || null, located, unlocated }];
+            if (crews.length > 1 && located.length > 0) {
+                const grandTour = await optimizeRoute(located.map(x => x.latLng), {
+                    start: homePosition,
+                    end: homePosition,
+                    settings: routing,
+                    timeBudgetMs: GLOBAL_OPTIMIZE_BUDGET_MS,
+                    onProgress: setOptimizeProgress
+                });
+                const tourStops = grandTour.order.map(i => located[i]);
+                const chunkIndexes = splitIntoDays(stopWeights(grandTour, located), 0, crews.length, Infinity);
+                const chunks = [];
+                tourStops.forEach((stop, idx) => (chunks[chunkIndexes[idx]] ||= []).push(stop));
+                const chunkCrews = assignGroupsToCrews(chunks.map(chunk => chunk.map(x => x.latLng)), crews, homePosition);
+                groups = chunks.map((chunk, c) => ({
+                    crew: chunkCrews[c],
+                    located: chunk,
+                    unlocated: c === chunks.length - 1 ? unlocated : []
+                }));
             }
-            // Add return to home weight (approx)
-            totalWeight += (calculateDistance(simPos, homePosition) * 1.2 / 65) * 60;
-
-            const numDays = daysPlan.length;
-            const targetWeightPerDay = totalWeight / numDays;
 
-            const newDaysPlan = daysPlan.map(d => ({ ...d, sequences: [] }));
+            // 4. Each crew's tour from its home and back, partitioned into its days within the crew day limit.
+            // Weight = drive minutes into the stop + its stop time; stops without coordinates are stop time only.
+            // Hotels aren't part of the tour, so their extra driving shows up in the day stats afterwards.
+            const newDaysPlan = [...daysPlan].sort((a, b) => a.day - b.day).map(d => ({ ...d, sequences: [] }));
             const finalUpdates = [...updates]; // Start with snapshot updates
+            const tours = [];
+            let addedDays = 0;
+
+            for (const group of groups) {
+                const home = crewHome(group.crew, homePosition, homeName);
+                const result = await optimizeRoute(group.located.map(x => x.latLng), {
+                    start: home.position,
+                    end: home.position,
+                    settings: routing,
+                    timeBudgetMs: groups.length > 1 ? Math.max(DAY_OPTIMIZE_BUDGET_MS, GLOBAL_OPTIMIZE_BUDGET_MS / groups.length) : GLOBAL_OPTIMIZE_BUDGET_MS,
+                    onProgress: groups.length > 1
+                        ? (progress) => setOptimizeProgress({ ...progress, phase: `${group.crew.name}: ${progress.phase}` })
+                        : setOptimizeProgress
+                });
+                tours.push(result);
+                const tour = [...result.order.map(i => group.located[i].section), ...group.unlocated];
+
+                const weights = [...stopWeights(result, group.located), ...group.unlocated.map(s => stopMinutesFor(s, dayPlanning))];
+                const returnMinutes = result.after.legs[result.order.length].seconds / 60;
+                const crewDays = newDaysPlan.filter(d => !group.crew || crewForDay(d, crews) === group.crew);
+                const dayIndexes = splitIntoDays(weights, returnMinutes, crewDays.length, dayPlanning.maxDayHours * 60);
+
+                while (crewDays.length < Math.max(0, ...dayIndexes) + 1) {
+                    const added = { day: newDaysPlan.length + 1, sequences: [], ...(group.crew ? { crewId: group.crew.id } : {}) };
+                    newDaysPlan.push(added);
+                    crewDays.push(added);
+                    addedDays++;
+                }
 
-            let currentDayIdx = 0;
-            let currentDayWeight = 0;
-            let tourPos = homePosition;
-
-            grandTour.forEach((sec, idx) => {
-                // If we exceeded target and not on last day, switch
-                // But ensure at least one stop per day if possible?
-                // Also look ahead? Simple Greedy Partition:
-
-                const weight = getSectionWeight(sec, tourPos);
+                tour.forEach((sec, idx) => {
+                    const dayObj = crewDays[dayIndexes[idx]];
+                    const newSeq = ((dayObj.day - 1) * 1000) + (dayObj.sequences.length + 1); // e.g. 1, 2, 1001, 1002...
 
-                // If adding this weight pushes us significantly over target, AND we have next days
-                // thresholds can be fuzzy. Let's aim to fill Day 1 to target, then Day 2...
-                if (currentDayIdx < numDays - 1 && (currentDayWeight + weight > targetWeightPerDay * 1.05)) {
-                    // Switch to next day
-                    currentDayIdx++;
-                    currentDayWeight = 0;
-                }
+                    // Assign to new day
+                    dayObj.sequences.push(newSeq);
 
-                const dayNum = newDaysPlan[currentDayIdx].day;
-                const newSeq = (currentDayIdx * 1000) + (newDaysPlan[currentDayIdx].sequences.length + 1); // e.g. 1001, 1002, 2001...
+                    // Update section with NEW sequence
+                    // Check if we already have an update for this section in 'updates'
+                    const existingUpdateIdx = finalUpdates.findIndex(u => u.id === sec.id);
+                    if (existingUpdateIdx !== -1) {
+                        finalUpdates[existingUpdateIdx].test_sequence = String(newSeq);
+                    } else {
+                        finalUpdates.push({ ...sec, test_sequence: String(newSeq) });
+                    }
+                });
+            }
 
-                // Assign to new day
-                newDaysPlan[currentDayIdx].sequences.push(newSeq);
+            // Compare against every crew's current route when stops have moved between crews
+            let result = tours[0];
+            if (groups.length > 1) {
+                const current = await Promise.all(crews.map(crew => {
+                    const home = crewHome(crew, homePosition, homeName).position;
+                    const stops = plannedDays.filter(d => d.crew === crew).flatMap(d => d.located.map(x => x.latLng));
+                    return stops.length > 0
+                        ? fetchRoute([home, ...stops, home], routing)
+                        : { durationSeconds: 0, distanceMeters: 0, estimated: false };
+                }));
+                const sum = (items, key) => items.reduce((total, item) => total + item[key], 0);
+                result = {
+                    before: { seconds: sum(current, 'durationSeconds'), meters: sum(current, 'distanceMeters') },
+                    after: { seconds: sum(tours.map(t => t.after), 'seconds'), meters: sum(tours.map(t => t.after), 'meters') },
+                    estimated: current.some(r => r.estimated) || tours.some(t => t.estimated)
+                };
+            }
 
-                // Update section with NEW sequence
-                // Check if we already have an update for this section in 'updates'
-                const existingUpdateIdx = finalUpdates.findIndex(u => u.id === sec.id);
-                if (existingUpdateIdx !== -1) {
-                    finalUpdates[existingUpdateIdx].test_sequence = String(newSeq);
-                } else {
-                    finalUpdates.push({ ...sec, test_sequence: String(newSeq) });
+            // 5. Apply Updates once the planner has compared the totals
+            setOptimizeProposal({
+                title: 'Optimize All Days',
+                description: (groups.length > 1
+                    ? `Balances the stops across ${groups.length} crews, each taking the stops nearest its home base, and reorganizes each crew's days within the ${dayPlanning.maxDayHours}-hour day limit.`
+                    : `Reorganizes all stops across all days to balance travel time within the ${dayPlanning.maxDayHours}-hour day limit.`)
+                    + (addedDays > 0 ? ` ${addedDays} more day${addedDays === 1 ? ' is' : 's are'} needed and will be added.` : ''),
+                result,
+                apply: async () => {
+                    await onUpdateSections(finalUpdates, 'optimizer');
+                    setDaysPlan(newDaysPlan); // Triggers save effect
                 }
-
-                currentDayWeight += weight;
-                const coords = parseCoords(sec.coordinates);
-                if (coords) tourPos = coords;
             });
 
-            // 5. Apply Updates
-            await onUpdateSections(finalUpdates);
-            setDaysPlan(newDaysPlan); // Triggers save effect
-
         } catch (error) {
             console.error("Global Optimize failed:", error);
             showAlert(`Global Optimization failed: ${error.message}`);
         } finally {
             setIsGlobalOptimizing(false);
+            setOptimizeProgress(null);
+        }
+    };
+
+    const handleApplyOptimization = async () => {
+        const { apply } = optimizeProposal;
+        setOptimizeProposal(null);
+        try {
+            await apply();
+        } catch (error) {
+            console.error("Applying optimization failed:", error);
+            showAlert(`Failed to apply the optimized route: ${error.message}`);
         }
     };
 
     const handleGlobalRevert = async () => {
-        if (!isAdmin || !onUpdateSections) return;
+        if (!canPlan || !onUpdateSections) return;
         if (!await showConfirm("Revert ALL stops to their original days and sequences?")) return;
 
         setIsGlobalOptimizing(true);
@@ -643,72 +598,33 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
     };
 
     const handleOptimizeDay = async (dayNum) => {
-        if (!isAdmin || !onUpdateSections) return;
+        if (!canPlan || !onUpdateSections) return;
         setOptimizingDay(dayNum);
 
         try {
             const dayData = daysPlan.find(d => d.day === dayNum);
             if (!dayData) return;
 
-            // Derive sections for this day
-            const daySections = sections.filter(s =>
-                dayData.sequences.includes(Number(s.test_sequence))
-            ).sort((a, b) => Number(a.test_sequence) - Number(b.test_sequence));
+            // Derive sections for this day, with where it starts and ends
+            const { sections: daySections, located, start, end } = plannedDays.find(d => d.day === dayNum);
 
             if (daySections.length === 0) return;
 
             const sectionsToOptimize = [...daySections];
             const hasOriginal = sectionsToOptimize.some(s => s.original_sequence);
 
-            // Determine start position
-            let currentPos = homePosition;
-            if (dayNum > 1) {
-                const prevDay = daysPlan.find(d => d.day === dayNum - 1);
-                if (prevDay && prevDay.sequences && prevDay.sequences.length > 0) {
-                    // Get sections for prev day to find last coord
-                    const prevDaySections = sections.filter(s =>
-                        prevDay.sequences.includes(Number(s.test_sequence))
-                    ).sort((a, b) => Number(a.test_sequence) - Number(b.test_sequence));
-
-                    if (prevDaySections.length > 0) {
-                        const lastSection = prevDaySections[prevDaySections.length - 1];
-                        const coords = parseCoords(lastSection.coordinates);
-                        if (coords) currentPos = coords;
-                    }
-                }
-            }
-
-            // Greedy Nearest Neighbor Sort
-            let sorted = [];
-            let unvisited = [...sectionsToOptimize];
-
-            while (unvisited.length > 0) {
-                let closestIdx = -1;
-                let minDist = Infinity;
-
-                for (let i = 0; i < unvisited.length; i++) {
-                    const coords = parseCoords(unvisited[i].coordinates);
-                    if (!coords) continue;
-                    // calculateDistance expects [lat, lng] arrays
-                    const d = calculateDistance(currentPos, coords);
-                    if (d < minDist) {
-                        minDist = d;
-                        closestIdx = i;
-                    }
-                }
-
-                if (closestIdx !== -1) {
-                    const next = unvisited[closestIdx];
-                    sorted.push(next);
-                    unvisited.splice(closestIdx, 1);
-                    const nextCoords = parseCoords(next.coordinates);
-                    if (nextCoords) currentPos = nextCoords;
-                } else {
-                    // If remaining items have invalid coords, just append them
-                    sorted.push(...unvisited);
-                    break;
-                }
-            }
+            const result = await optimizeRoute(located.map(x => x.latLng), {
+                start,
+                end,
+                settings: routing,
+                timeBudgetMs: DAY_OPTIMIZE_BUDGET_MS,
+                onProgress: setOptimizeProgress
+            });
+            // Remaining items with invalid coords keep their place at the end
+            const sorted = [
+                ...result.order.map(i => located[i].section),
+                ...sectionsToOptimize.filter(s => !toLatLng(s.coordinates))
+            ];
 
             // Assign new sequence numbers based on existing set
             const sequenceNums = sectionsToOptimize.map(s => Number(s.test_sequence)).sort((a, b) => a - b);
@@ -721,18 +637,23 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
                 return update;
             });
 
-            await onUpdateSections(updates);
+            setOptimizeProposal({
+                title: `Optimize Day ${dayNum}`,
+                result,
+                apply: () => onUpdateSections(updates, 'optimizer')
+            });
 
         } catch (error) {
             console.error("Optimization failed:", error);
             showAlert(`Failed to optimize route: ${error.message}`);
         } finally {
             setOptimizingDay(null);
+            setOptimizeProgress(null);
         }
     };
 
     const handleRevertDay = async (dayNum) => {
-        if (!isAdmin || !onUpdateSections) return;
+        if (!canPlan || !onUpdateSections) return;
         setOptimizingDay(dayNum);
         try {
             const dayData = daysPlan.find(d => d.day === dayNum);
@@ -771,29 +692,46 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
     useEffect(() => {
         if (projectId) {
             setIsPlanLoaded(false); // Reset on project change
-            getSharedDaysPlan(projectId).then(plan => {
+            getSharedPlan(projectId).then(({ plan, schedule: savedSchedule }) => {
                 if (plan && Array.isArray(plan)) {
                     setDaysPlan(plan);
                 } else {
                     setDaysPlan([]); // Reset if no plan found (fixes switching projects issue)
                 }
+                setSchedule({ ...DEFAULT_SCHEDULE, ...savedSchedule });
                 setIsPlanLoaded(true);
             });
         }
     }, [projectId]);
 
-    // Save shared plan (debounced) - Admin Only
+    // Save shared plan (debounced) - Planners and admins
     useEffect(() => {
-        if (isAdmin && projectId && isPlanLoaded) {
+        if (canPlan && projectId && isPlanLoaded) {
             const timer = setTimeout(() => {
                 // Save even if empty to clear it? Or only if modified?
                 if (daysPlan !== undefined) {
-                    saveSharedDaysPlan(projectId, daysPlan);
+                    saveSharedDaysPlan(projectId, daysPlan, schedule);
                 }
             }, 1000); // 1s debounce
             return () => clearTimeout(timer);
         }
-    }, [daysPlan, isAdmin, projectId, isPlanLoaded]);
+    }, [daysPlan, schedule, canPlan, projectId, isPlanLoaded]);
+
+    // Rest days and skipped weekends push the following days to later dates
+    const toggleRestDate = (date) => {
+        if (!canPlan) return;
+        setSchedule(prev => ({
+            ...prev,
+            restDates: prev.restDates.includes(date)
+                ? prev.restDates.filter(d => d !== date)
+                : [...prev.restDates, date].sort()
+        }));
+    };
+
+    const toggleSkipWeekends = () => {
+        if (!canPlan) return;
+        setSchedule(prev => ({ ...prev, skipWeekends: !prev.skipWeekends }));
+    };
 
     const handleAddDay = () => {
         const nextDay = daysPlan.length + 1;
@@ -801,6 +739,46 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
         setExpandedDay(nextDay);
     };
 
+    const handleSetDayCrew = (dayNum, crewId) => {
+        setDaysPlan(prev => prev.map(d => d.day === dayNum ? { ...d, crewId } : d));
+    };
+
+    const handleSaveDayPlanning = async (settings) => {
+        await updateProject(projectId, { dayPlanning: settings }, username);
+        if (onUpdateProject) onUpdateProject();
+        setIsEditingDayPlanning(false);
+    };
+
+    // Sets or clears where a day starts or ends (e.g. a hotel); field is 'startLocation' or 'endLocation'
+    const handleSetDayLocation = async (dayNum, field) => {
+        if (!canPlan) return;
+        const day = daysPlan.find(d => d.day === dayNum);
+        const current = day?.[field];
+        const label = field === 'startLocation' ? 'starts' : 'ends';
+
+        const coords = await showPrompt(`Where Day ${dayNum} ${label} (lat, lng). Leave empty to clear.`, current?.coordinates || '');
+        if (coords === null) return;
+        if (!coords.trim()) {
+            setDaysPlan(prev => prev.map(d => {
+                if (d.day !== dayNum) return d;
+                const { [field]: _removed, ...rest } = d;
+                return rest;
+            }));
+            return;
+        }
+        const parsed = parseCoordinates(coords);
+        if (!parsed.latLng) {
+            showAlert(`Invalid coordinates: ${parsed.error || 'enter lat, lng'}`);
+            return;
+        }
+        const name = await showPrompt("Name for this location:", current?.name || 'Hotel');
+        if (name === null) return;
+
+        setDaysPlan(prev => prev.map(d => d.day === dayNum
+            ? { ...d, [field]: { name: name.trim() || 'Hotel', coordinates: parsed.coordinates } }
+            : d));
+    };
+
     const handleRemoveDay = (dayNum) => {
         const newPlan = daysPlan.filter(d => d.day !== dayNum)
             .map((d, index) => ({ ...d, day: index + 1 })); // Re-index
@@ -817,7 +795,7 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
     };
 
     const toggleSequenceInDay = (dayNum, seq) => {
-        if (!isAdmin) return;
+        if (!canPlan) return;
         setDaysPlan(prev => prev.map(d => {
             if (d.day !== dayNum) return d;
             const newSeqs = d.sequences.includes(seq)
@@ -864,77 +842,27 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
     // const calculateDistance = ...
 
     // Calculate stats for all days (distance, time, start/end locations)
-    // Uses real OSRM drive durations when available (stored in dayDriveMinutes),
-    // falls back to haversine estimate while OSRM is still loading.
+    // Uses drive durations from the routing provider (stored in dayDriveMinutes); legs it
+    // couldn't route are straight-line estimates, and the day is marked as estimated.
+    // Stop time follows the trip's per-type durations, and days over the day limit are flagged.
     const dayStats = useMemo(() => {
         const stats = {};
-        const sortedDays = [...daysPlan].sort((a, b) => a.day - b.day);
-        let currentLocation = homePosition;
-
-        sortedDays.forEach(day => {
-            const daySections = sections.filter(s =>
-                day.sequences.includes(Number(s.test_sequence)) && s.coordinates
-            ).sort((a, b) => Number(a.test_sequence) - Number(b.test_sequence));
 
+        plannedDays.forEach(({ day, crew, sections: daySections, waypoints, startName, endName }) => {
+            // Straight-line miles for display
             let totalMiles = 0;
-            let totalTime = 0;
-            let drivingMinutes = 0;
-            let stopMinutes = 0;
-
-            if (daySections.length > 0) {
-                const dayMappable = daySections
-                    .map(s => parseCoords(s.coordinates))
-                    .filter(c => c);
-
-                // Use real OSRM duration if available
-                const realDriveMinutes = dayDriveMinutes[day.day];
-
-                if (realDriveMinutes != null) {
-                    // OSRM gave us actual road time — just add stop time
-                    drivingMinutes = realDriveMinutes;
-                    stopMinutes = daySections.length * 15;
-                    totalTime = Math.round(drivingMinutes + stopMinutes);
-
-                    // Still compute straight-line miles for display
-                    if (dayMappable.length > 0) {
-                        totalMiles += calculateDistance(currentLocation, dayMappable[0]);
-                    }
-                    for (let i = 0; i < dayMappable.length - 1; i++) {
-                        totalMiles += calculateDistance(dayMappable[i], dayMappable[i + 1]);
-                    }
-                    if (day.day === sortedDays[sortedDays.length - 1].day && dayMappable.length > 0) {
-                        totalMiles += calculateDistance(dayMappable[dayMappable.length - 1], homePosition);
-                    }
-                } else {
-                    // Fallback estimate - REMOVED per user request
-                    // Just calculate miles for display, validation logic remains
-                    if (dayMappable.length > 0) {
-                        totalMiles += calculateDistance(currentLocation, dayMappable[0]);
-                    }
-                    for (let i = 0; i < dayMappable.length - 1; i++) {
-                        totalMiles += calculateDistance(dayMappable[i], dayMappable[i + 1]);
-                    }
-                    if (day.day === sortedDays[sortedDays.length - 1].day && dayMappable.length > 0) {
-                        totalMiles += calculateDistance(dayMappable[dayMappable.length - 1], homePosition);
-                    }
-                    // drivingMinutes = (totalMiles * 1.2 / 65) * 60;
-                    // stopMinutes = daySections.length * 15;
-                    // totalTime = Math.round(drivingMinutes + stopMinutes);
-
-                    // Mark as loading heavily
-                    drivingMinutes = null;
-                    stopMinutes = daySections.length * 15;
-                    totalTime = 0;
-                }
-
-                // Advance current location to last stop of this day
-                if (dayMappable.length > 0) {
-                    currentLocation = dayMappable[dayMappable.length - 1];
-                }
+            for (let i = 0; i < waypoints.length - 1; i++) {
+                totalMiles += calculateDistance(waypoints[i], waypoints[i + 1]);
             }
 
+            const stopMinutes = daySections.reduce((sum, s) => sum + stopMinutesFor(s, dayPlanning), 0);
+            // Nothing to drive, or the routed duration once it has loaded (null while loading)
+            const drivingMinutes = waypoints.length < 2 ? 0 : (dayDriveMinutes[day] ?? null);
+            const totalTime = drivingMinutes === null ? 0 : Math.round(drivingMinutes + stopMinutes);
+
             const h = Math.floor(totalTime / 60);
             const m = totalTime % 60;
+            const estimated = !!dayRouteEstimated[day];
 
             // Breakdown stats
             const driveH = Math.floor(Math.round(drivingMinutes) / 60);
@@ -942,19 +870,47 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
             const stopH = Math.floor(stopMinutes / 60);
             const stopM = stopMinutes % 60;
 
-            stats[day.day] = {
+            stats[day] = {
+                crew,
+                stops: daySections.length,
                 miles: totalMiles.toFixed(1),
-                timeStr: dayRouteErrors[day.day] ? "Road route failed" : (drivingMinutes === null ? "Calculating..." : `${h}h ${m}m`),
-                driveStr: dayRouteErrors[day.day] ? "N/A" : (drivingMinutes === null ? "..." : `${driveH}h ${driveM}m`),
+                timeStr: drivingMinutes === null ? "Calculating..." : `${estimated ? '~' : ''}${h}h ${m}m`,
+                driveStr: drivingMinutes === null ? "..." : `${estimated ? '~' : ''}${driveH}h ${driveM}m`,
                 stopStr: `${stopH}h ${stopM}m`,
                 totalMinutes: totalTime,
-                isLoading: (drivingMinutes === null) && !dayRouteErrors[day.day],
-                isError: !!dayRouteErrors[day.day]
+                startName,
+                endName: endName || 'last stop',
+                isLoading: drivingMinutes === null,
+                isEstimated: estimated,
+                isOverLimit: drivingMinutes !== null && totalTime > dayPlanning.maxDayHours * 60
             };
         });
 
         return stats;
-    }, [daysPlan, sections, homePosition, dayDriveMinutes, dayRouteErrors]);
+    }, [plannedDays, dayPlanning, dayDriveMinutes, dayRouteEstimated]);
+
+    // Totals for each crew's days, for trips with several crews
+    const crewStats = useMemo(() => {
+        if (crews.length < 2) return [];
+        return crews.map(crew => {
+            const days = Object.values(dayStats).filter(stats => stats.crew === crew);
+            const minutes = days.reduce((sum, stats) => sum + stats.totalMinutes, 0);
+            return {
+                crew,
+                days: days.length,
+                stops: days.reduce((sum, stats) => sum + stats.stops, 0),
+                miles: days.reduce((sum, stats) => sum + Number(stats.miles), 0).toFixed(1),
+                timeStr: `${days.some(stats => stats.isEstimated) ? '~' : ''}${Math.floor(minutes / 60)}h ${minutes % 60}m`,
+                isLoading: days.some(stats => stats.isLoading)
+            };
+        });
+    }, [crews, dayStats]);
+
+    // "Day 3", or "Day 3 — Crew B" on trips with several crews, for exports
+    const getDayLabel = (dayNum) => {
+        const crew = dayStats[dayNum]?.crew;
+        return crews.length > 1 && crew ? `Day ${dayNum} — ${crew.name}` : `Day ${dayNum}`;
+    };
 
     const getEstimatedTime = (day) => {
         return dayStats[day.day]?.timeStr || "0h 0m";
@@ -963,7 +919,7 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
     // Parse sections with valid coordinates
     const mappableSections = useMemo(() => {
         return sections
-            .map(s => ({ ...s, latLng: parseCoords(s.coordinates) }))
+            .map(s => ({ ...s, latLng: toLatLng(s.coordinates) }))
             .filter(s => s.latLng);
     }, [sections]);
 
@@ -999,7 +955,7 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
     };
 
     const handleSaveSequence = async () => {
-        if (!isAdmin || !onUpdateSections) return;
+        if (!canPlan || !onUpdateSections) return;
         setIsSavingSequence(true);
         try {
             // Find which sections actually changed
@@ -1060,9 +1016,9 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
         return [homePosition, ...orderedRouteSections.map(s => s.latLng), homePosition];
     }, [orderedRouteSections, homePosition]);
 
-    // Fetch OSRM route when waypoints change
+    // Fetch the road route when waypoints (or the trip's routing provider) change
     useEffect(() => {
-        const waypointsKey = JSON.stringify(routeWaypoints);
+        const waypointsKey = JSON.stringify([routing, routeWaypoints]);
         if (routeWaypoints.length < 2) {
             setRouteGeometry(null);
             routingCache.current.set('main', waypointsKey);
@@ -1077,18 +1033,18 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
         let cancelled = false;
         setRouteLoading(true);
 
-        fetchOSRMRoute(routeWaypoints).then(geometry => {
+        fetchRoute(routeWaypoints, routing).then(result => {
             if (!cancelled) {
-                setRouteGeometry(geometry);
+                setRouteGeometry(result?.geometry || null);
                 setRouteLoading(false);
                 routingCache.current.set('main', waypointsKey);
             }
         });
 
         return () => { cancelled = true; };
-    }, [routeWaypoints]);
+    }, [routeWaypoints, routing]);
 
-    // Fetch routes for each day (geometry + real OSRM drive durations)
+    // Fetch routes for each day (geometry + drive durations)
     useEffect(() => {
         let cancelled = false;
 
@@ -1100,61 +1056,26 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
             try {
                 const newDayRoutes = { ...dayRoutes };
                 const newDayDriveMinutes = { ...dayDriveMinutes };
-                const newDayErrors = { ...dayRouteErrors };
+                const newDayEstimated = { ...dayRouteEstimated };
                 let modified = false;
 
-                // Sort days to ensure sequence
-                const sortedDays = [...daysPlan].sort((a, b) => a.day - b.day);
-
-                // Track where the previous day ended
-                let lastLocation = homePosition;
-
-                for (const day of sortedDays) {
+                // Days in sequence, each from where it starts (previous end or hotel) to where it ends
+                for (const { day, waypoints } of plannedDays) {
                     if (cancelled) break;
-
-                    // Get sections for this day
-                    const daySections = sections.filter(s =>
-                        day.sequences.includes(Number(s.test_sequence)) && s.coordinates
-                    ).sort((a, b) => Number(a.test_sequence) - Number(b.test_sequence));
-
-                    const dayMappable = daySections
-                        .map(s => ({ ...s, latLng: parseCoords(s.coordinates) }))
-                        .filter(s => s.latLng);
-
-                    // Waypoints: Previous End -> Stops
-                    const waypoints = [lastLocation, ...dayMappable.map(s => s.latLng)];
-
-                    // Update lastLocation for the next day's starting point even if we don't fetch
-                    if (dayMappable.length > 0) {
-                        lastLocation = dayMappable[dayMappable.length - 1].latLng;
-                    }
-
-                    // LAST day rules
-                    if (day.day === sortedDays[sortedDays.length - 1].day && waypoints.length > 0) {
-                        waypoints.push(homePosition);
-                    }
-
                     if (waypoints.length >= 2) {
-                        const waypointsKey = JSON.stringify(waypoints);
+                        const waypointsKey = JSON.stringify([routing, waypoints]);
                         // Deduplication: Only fetch if this specific day changed
-                        if (routingCache.current.get(`day-${day.day}`) === waypointsKey && newDayRoutes[day.day]) {
+                        if (routingCache.current.get(`day-${day}`) === waypointsKey && newDayRoutes[day]) {
                             continue;
                         }
 
-                        console.log(`[Deduplicator] Fetching new route for Day ${day.day}`);
-                        await sleep(300); // Rate limiting
-                        const result = await fetchOSRMRouteWithDuration(waypoints);
-
-                        if (result) {
-                            newDayRoutes[day.day] = result.geometry;
-                            newDayDriveMinutes[day.day] = result.durationSeconds / 60;
-                            newDayErrors[day.day] = false;
-                        } else {
-                            // Fallback
-                            newDayRoutes[day.day] = waypoints;
-                            newDayErrors[day.day] = true;
-                        }
-                        routingCache.current.set(`day-${day.day}`, waypointsKey);
+                        console.log(`[Deduplicator] Fetching new route for Day ${day}`);
+                        // Cached legs come back immediately; the service throttles the rest
+                        const result = await fetchRoute(waypoints, routing);
+                        newDayRoutes[day] = result.geometry;
+                        newDayDriveMinutes[day] = result.durationSeconds / 60;
+                        newDayEstimated[day] = result.estimated;
+                        routingCache.current.set(`day-${day}`, waypointsKey);
                         modified = true;
                     }
                 }
@@ -1162,7 +1083,7 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
                 if (modified && !cancelled) {
                     setDayRoutes(newDayRoutes);
                     setDayDriveMinutes(newDayDriveMinutes);
-                    setDayRouteErrors(newDayErrors);
+                    setDayRouteEstimated(newDayEstimated);
                 }
             } finally {
                 isRoutingBusy.current = false;
@@ -1174,7 +1095,7 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
         }
 
         return () => { cancelled = true; };
-    }, [daysPlan, sections, showDaysPlan, highlightedDays.size, homePosition]);
+    }, [plannedDays, showDaysPlan, highlightedDays.size, routing]);
 
     // Fallback straight-line positions
     const fallbackPositions = routeWaypoints;
@@ -1185,7 +1106,7 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
     // Selected section position
     const selectedPosition = useMemo(() => {
         if (!selectedSection) return null;
-        return parseCoords(selectedSection.coordinates);
+        return toLatLng(selectedSection.coordinates);
     }, [selectedSection]);
 
     // Stats
@@ -1225,9 +1146,7 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
         if (seqInt) {
             const assignedDay = getAssignedDay(seqInt);
             if (assignedDay && highlightedDays.has(assignedDay.day)) {
-                // Get color from palette based on day number
-                const colorIdx = (assignedDay.day - 1) % CATEGORY_COLORS.length;
-                dayColor = CATEGORY_COLORS[colorIdx];
+                dayColor = getDayColor(assignedDay.day);
                 dayBorder = '#fff'; // White border for day-highlighted items to make them pop
             }
         }
@@ -1287,7 +1206,8 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
             doc.setFontSize(14);
             doc.setTextColor(0);
             const estTime = getEstimatedTime(day);
-            doc.text(`Day ${day.day} (${estTime})`, 14, finalY);
+            const date = dayDates[day.day] ? ` — ${formatDayDate(dayDates[day.day].date)}` : '';
+            doc.text(`${getDayLabel(day.day)}${date} (${estTime})`, 14, finalY);
             finalY += 10;
 
             // Get stops
@@ -1335,6 +1255,47 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
         doc.save("itinerary.pdf");
     };
 
+    // GIS export: stops as waypoints, one track per day (road geometry once it has loaded,
+    // straight lines between the stops until then)
+    const handleExportRoute = (format) => {
+        const onlySelected = exportSelectedDays && highlightedDays.size > 0;
+        const sortedDays = [...daysPlan]
+            .sort((a, b) => a.day - b.day)
+            .filter(d => !onlySelected || highlightedDays.has(d.day));
+
+        let groups;
+        if (daysPlan.length === 0) {
+            groups = [{ name: 'Route', day: null, stops: orderedRouteSections, track: routeGeometry || routeWaypoints }];
+        } else {
+            groups = sortedDays.map(day => {
+                const stops = orderedRouteSections.filter(s => day.sequences.includes(Number(s.test_sequence)));
+                return { name: getDayLabel(day.day), day: day.day, stops, track: dayRoutes[day.day] || stops.map(s => s.latLng) };
+            });
+            if (!onlySelected) {
+                const unassigned = orderedRouteSections.filter(s => !isSequenceAssigned(Number(s.test_sequence)));
+                if (unassigned.length > 0) groups.push({ name: 'Unassigned', day: null, stops: unassigned, track: [] });
+            }
+        }
+
+        exportRoute(format, { name: project?.name || 'Trip', groups }, showAlert);
+    };
+
+    // iCalendar export: one all-day event per dated day, listing its stops
+    const handleExportCalendar = () => {
+        const days = plannedDays
+            .filter(d => dayDates[d.day])
+            .map(d => ({
+                day: d.day,
+                date: dayDates[d.day].date,
+                stops: d.sections,
+                startName: dayStats[d.day]?.startName,
+                endName: dayStats[d.day]?.endName,
+                timeStr: dayStats[d.day]?.isLoading ? null : dayStats[d.day]?.timeStr,
+                crewName: crews.length > 1 ? d.crew?.name : undefined
+            }));
+        exportCalendar({ name: project?.name || 'Trip', uid: projectId || 'trip', days }, showAlert);
+    };
+
     // Component to handle map background clicks for deselection
     const MapClickHandler = () => {
         useMapEvents({
@@ -1392,6 +1353,37 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
                             >
                                 <FileSpreadsheet size={14} className="mr-2" /> Excel
                             </button>
+                            {[['gpx', 'GPX (Garmin)'], ['kml', 'KML (Google Earth)'], ['geojson', 'GeoJSON (QGIS)']].map(([format, label]) => (
+                                <button
+                                    key={format}
+                                    onClick={() => {
+                                        handleExportRoute(format);
+                                        setShowExportMenu(false);
+                                    }}
+                                    className="btn btn-ghost justify-start text-xs px-2 py-2 h-auto text-left"
+                                >
+                                    <Route size={14} className="mr-2" /> {label}
+                                </button>
+                            ))}
+                            <button
+                                onClick={() => {
+                                    handleExportCalendar();
+                                    setShowExportMenu(false);
+                                }}
+                                className="btn btn-ghost justify-start text-xs px-2 py-2 h-auto text-left"
+                            >
+                                <CalendarDays size={14} className="mr-2" /> Calendar (.ics)
+                            </button>
+                            {highlightedDays.size > 0 && (
+                                <label className="flex items-center gap-2 text-xs px-2 py-2 border-t border-[hsl(var(--border))]">
+                                    <input
+                                        type="checkbox"
+                                        checked={exportSelectedDays}
+                                        onChange={(e) => setExportSelectedDays(e.target.checked)}
+                                    />
+                                    Selected days only ({highlightedDays.size})
+                                </label>
+                            )}
                         </div>
                     )}
                 </div>
@@ -1509,9 +1501,28 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
                             >
                                 {showAllDays ? <Eye size={14} /> : <EyeOff size={14} />}
                             </button>
+                            <button
+                                onClick={() => setShowCalendar(!showCalendar)}
+                                className={`btn-icon ${showCalendar ? 'text-primary' : ''}`}
+                                title={showCalendar ? "Show Day List" : "Show Calendar"}
+                                style={{ padding: '4px' }}
+                            >
+                                {showCalendar ? <ListOrdered size={14} /> : <CalendarDays size={14} />}
+                            </button>
+
+                            {canManageTrip && (
+                                <button
+                                    onClick={() => setIsEditingDayPlanning(true)}
+                                    className="btn-icon"
+                                    title={`Day Planning (${dayPlanning.maxDayHours}h day limit, stop times)`}
+                                    style={{ padding: '4px' }}
+                                >
+                                    <SlidersHorizontal size={14} />
+                                </button>
+                            )}
 
                             {/* Global Optimize Buttons */}
-                            {isAdmin && (
+                            {canPlan && (
                                 <>
                                     <button
                                         onClick={handleGlobalOptimize}
@@ -1538,13 +1549,40 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
                     </div>
 
                     <div className="days-plan-content">
-                        {daysPlan.length === 0 && (
+                        {showCalendar && (
+                            <PlanCalendar
+                                project={project}
+                                dayDates={dayDates}
+                                dayColors={Object.fromEntries(daysPlan.map(d => [d.day, getDayColor(d.day)]))}
+                                dayStops={Object.fromEntries(plannedDays.map(d => [d.day, d.sections.length]))}
+                                schedule={schedule}
+                                canPlan={canPlan}
+                                onToggleRestDate={toggleRestDate}
+                                onToggleWeekends={toggleSkipWeekends}
+                                onSelectDay={(day) => { setShowCalendar(false); setExpandedDay(day); }}
+                            />
+                        )}
+
+                        {!showCalendar && crewStats.length > 0 && daysPlan.length > 0 && (
+                            <div className="crew-totals">
+                                {crewStats.map(({ crew, days, stops, miles, timeStr, isLoading }) => (
+                                    <div key={crew.id} style={{ borderLeftColor: crewColor(crew, crews) }}>
+                                        <div className="font-bold">{crew.name}</div>
+                                        <div className="text-muted">
+                                            {days} day{days === 1 ? '' : 's'} · {stops} stops · {miles} mi · {isLoading ? '...' : timeStr}
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+
+                        {!showCalendar && daysPlan.length === 0 && (
                             <div className="text-muted text-center p-4 text-sm">
                                 No days added yet. Click below to start planning!
                             </div>
                         )}
 
-                        {daysPlan.map(day => (
+                        {!showCalendar && daysPlan.map(day => (
                             <div key={day.day} className="day-card">
                                 <div
                                     className="day-card-header"
@@ -1552,36 +1590,60 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
                                 >
                                     <div
                                         className="day-color-dot"
-                                        style={{ background: CATEGORY_COLORS[(day.day - 1) % CATEGORY_COLORS.length] }}
+                                        style={{ background: getDayColor(day.day) }}
                                     />
                                     <div className="flex flex-col flex-1 overflow-hidden">
                                         <span className="font-bold truncate">
                                             Day {day.day}
+                                            {dayDates[day.day] && (
+                                                <span
+                                                    className={`font-normal text-xs ml-2 ${dayDates[day.day].afterEnd ? 'text-rose-500' : 'text-muted'}`}
+                                                    title={dayDates[day.day].afterEnd ? "After the trip's end date" : undefined}
+                                                >
+                                                    {formatDayDate(dayDates[day.day].date)}
+                                                </span>
+                                            )}
+                                            {crews.length > 1 && dayStats[day.day]?.crew && (
+                                                <span className="crew-badge ml-2" style={{ background: getDayColor(day.day) }}>
+                                                    {dayStats[day.day].crew.name}
+                                                </span>
+                                            )}
                                         </span>
                                         <span className="text-xs text-muted flex flex-col sm:flex-row sm:gap-2">
-                                            {dayStats[day.day]?.isError ? (
-                                                <span className="text-rose-500 flex items-center gap-1">
-                                                    <Navigation size={10} /> Road route unavailable
-                                                </span>
-                                            ) : dayStats[day.day]?.isLoading ? (
+                                            {dayStats[day.day]?.isLoading ? (
                                                 <span className="italic">Estimating time...</span>
+                                            ) : dayStats[day.day]?.isEstimated ? (
+                                                <span
+                                                    className="text-amber-500 flex items-center gap-1"
+                                                    title="Road route unavailable — estimated from straight-line distance"
+                                                >
+                                                    <Navigation size={10} /> Est. Time: {getEstimatedTime(day)}
+                                                </span>
                                             ) : (
                                                 <span>Est. Time: {getEstimatedTime(day)}</span>
                                             )}
+                                            {dayStats[day.day]?.isOverLimit && (
+                                                <span
+                                                    className="text-rose-500 flex items-center gap-1"
+                                                    title={`Longer than the ${dayPlanning.maxDayHours}-hour day limit`}
+                                                >
+                                                    <AlertTriangle size={10} /> Over {dayPlanning.maxDayHours}h
+                                                </span>
+                                            )}
                                         </span>
                                     </div>
 
                                     <button
                                         className="btn-icon"
                                         onClick={(e) => { e.stopPropagation(); toggleDayHighlight(day.day); }}
-                                        style={{ color: highlightedDays.has(day.day) ? CATEGORY_COLORS[(day.day - 1) % CATEGORY_COLORS.length] : 'inherit' }}
+                                        style={{ color: highlightedDays.has(day.day) ? getDayColor(day.day) : 'inherit' }}
                                         title={highlightedDays.has(day.day) ? "Hide on map" : "Show on map"}
                                     >
                                         {highlightedDays.has(day.day) ? <Eye size={16} /> : <EyeOff size={16} />}
                                     </button>
 
-                                    {/* Admin Action Buttons */}
-                                    {isAdmin && (
+                                    {/* Planner Action Buttons */}
+                                    {canPlan && (
                                         <div className="flex items-center gap-1 ml-2" onClick={e => e.stopPropagation()}>
                                             {(day.sections?.some(s => s.original_sequence) || sections.filter(s => day.sequences?.includes(Number(s.test_sequence))).some(s => s.original_sequence)) ? (
                                                 <button
@@ -1622,6 +1684,41 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
 
                                 {expandedDay === day.day && (
                                     <div className="day-card-body">
+                                        {crews.length > 1 && (
+                                            <div className="flex items-center gap-2 text-xs text-muted mb-2">
+                                                <span>Crew</span>
+                                                <select
+                                                    className="input text-xs py-1 px-2 h-auto"
+                                                    value={dayStats[day.day]?.crew?.id || ''}
+                                                    onChange={(e) => handleSetDayCrew(day.day, e.target.value)}
+                                                    disabled={!canPlan}
+                                                >
+                                                    {crews.map(crew => (
+                                                        <option key={crew.id} value={crew.id}>
+                                                            {crew.name}{crew.vehicle ? ` (${crew.vehicle})` : ''}
+                                                        </option>
+                                                    ))}
+                                                </select>
+                                            </div>
+                                        )}
+                                        <div className="text-xs text-muted mb-2">
+                                            {[['startLocation', 'Starts at', dayStats[day.day]?.startName], ['endLocation', 'Ends at', dayStats[day.day]?.endName]].map(([field, label, name]) => (
+                                                <div key={field} className="flex items-center gap-1">
+                                                    {day[field] ? <Hotel size={12} /> : <Home size={12} />}
+                                                    <span className="flex-1 truncate">{label} {name}</span>
+                                                    {canPlan && (
+                                                        <button
+                                                            className="btn-icon"
+                                                            onClick={() => handleSetDayLocation(day.day, field)}
+                                                            title={day[field] ? 'Change or clear this location' : 'Set a hotel or other location'}
+                                                            style={{ padding: '2px' }}
+                                                        >
+                                                            <MapPin size={12} />
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            ))}
+                                        </div>
                                         <div className="text-xs text-muted mb-2">Assign stops to this day:</div>
                                         <div className="sequence-grid">
                                             {orderedRouteSections.length > 0 ? (
@@ -1635,14 +1732,14 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
                                                             key={s.docId}
                                                             className={`sequence-cell ${isAssignedToThis ? 'selected' : ''} ${isAssignedToOther ? 'greyed' : ''}`}
                                                             onClick={() => toggleSequenceInDay(day.day, seq)}
-                                                            disabled={(isAssignedToOther) || (!isAdmin)} // Disable if assigned elsewhere OR not admin
+                                                            disabled={(isAssignedToOther) || (!canPlan)} // Disable if assigned elsewhere OR not a planner
                                                             title={`Stop #${seq}: ${s.id}`}
                                                             style={isAssignedToThis ? {
-                                                                background: CATEGORY_COLORS[(day.day - 1) % CATEGORY_COLORS.length],
+                                                                background: getDayColor(day.day),
                                                                 color: '#fff',
                                                                 borderColor: 'transparent',
-                                                                cursor: isAdmin ? 'pointer' : 'default'
-                                                            } : { cursor: (!isAssignedToOther && isAdmin) ? 'pointer' : 'default' }}
+                                                                cursor: canPlan ? 'pointer' : 'default'
+                                                            } : { cursor: (!isAssignedToOther && canPlan) ? 'pointer' : 'default' }}
                                                         >
                                                             {seq}
                                                         </button>
@@ -1657,7 +1754,7 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
                             </div>
                         ))}
 
-                        {isAdmin && (
+                        {canPlan && (
                             <button onClick={handleAddDay} className="btn btn-outline w-full mt-4 gap-2">
                                 <Plus size={16} /> Add Day {daysPlan.length + 1}
                             </button>
@@ -1709,7 +1806,7 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
                                         Start & End Point
                                     </span>
                                 </div>
-                                {isAdmin && (
+                                {canManageTrip && (
                                     <div className="popup-actions" style={{ marginTop: '8px' }}>
                                         <button
                                             className="popup-view-btn"
@@ -1724,6 +1821,29 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
                         </Popup>
                     </Marker>
 
+                    {/* Crew Home Bases */}
+                    {crews.filter(crew => crew.homeLocation).map(crew => {
+                        const home = crewHome(crew, homePosition, homeName);
+                        return (
+                            <Marker key={`crew-home-${crew.id}`} position={home.position} icon={homeIcon} zIndexOffset={1900}>
+                                <Popup className="trip-map-popup" maxWidth={300}>
+                                    <div className="popup-content">
+                                        <div className="popup-header">
+                                            <span className="popup-section-id">{home.name}</span>
+                                        </div>
+                                        <div className="popup-location">
+                                            <Home size={12} />
+                                            {crew.name}{crew.vehicle ? ` — ${crew.vehicle}` : ''}
+                                        </div>
+                                        {crew.members.length > 0 && (
+                                            <div className="popup-meta text-xs">{crew.members.join(', ')}</div>
+                                        )}
+                                    </div>
+                                </Popup>
+                            </Marker>
+                        );
+                    })}
+
                     {/* Route Polyline — real roads or fallback */}
                     {/* Standard Route Polyline - Only show if NO days are highlighted to avoid clutter, OR if specifically requested */}
                     {/* Standard Route Polyline - Always visible as base layer */}
@@ -1743,7 +1863,7 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
                     {Array.from(highlightedDays).map(dayNum => {
                         const geometry = dayRoutes[dayNum];
                         if (!geometry) return null;
-                        const color = CATEGORY_COLORS[(dayNum - 1) % CATEGORY_COLORS.length];
+                        const color = getDayColor(dayNum);
 
                         return (
                             <Polyline
@@ -1821,12 +1941,12 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
                                             )}
                                         </div>
 
-                                        {/* Sequence Editor - Admin Only */}
+                                        {/* Sequence Editor - Planners and admins */}
                                         <SequenceEditor
                                             section={section}
                                             onUpdateSequence={handleUpdateSequence}
                                             onRemoveFromRoute={handleRemoveFromRoute}
-                                            isAdmin={isAdmin}
+                                            canPlan={canPlan}
                                         />
 
                                         {section.coordinates && (
@@ -1959,6 +2079,25 @@ const TripMapView = ({ sections, selectedSection, onSelectSection, onBack, onUpd
                     </div>
                 )
             }
+
+            {isEditingDayPlanning && (
+                <DayPlanningModal
+                    settings={dayPlanning}
+                    types={allTypes}
+                    onSave={handleSaveDayPlanning}
+                    onClose={() => setIsEditingDayPlanning(false)}
+                />
+            )}
+            {optimizeProgress && <ProgressModal title="Optimizing Route" progress={optimizeProgress} />}
+            {optimizeProposal && (
+                <OptimizeResultModal
+                    title={optimizeProposal.title}
+                    description={optimizeProposal.description}
+                    result={optimizeProposal.result}
+                    onApply={handleApplyOptimization}
+                    onDiscard={() => setOptimizeProposal(null)}
+                />
+            )}
         </div >
     );
 };
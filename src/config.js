@@ -0,0 +1,21 @@
+// Which storage backend the app talks to: 'firestore' (default), 'indexeddb' or 'memory'.
+// A value in localStorage ('storage-backend') overrides the build-time setting so a
+// deployed build can be flipped into a throwaway local dataset for demos and training.
+const readBackendOverride = () => {
+    try {
+        return localStorage.getItem('storage-backend');
+    } catch {
+        return null;
+    }
+};
+
+export const STORAGE_BACKEND = readBackendOverride() || import.meta.env.VITE_STORAGE_BACKEND || 'firestore';
+
+export const isLocalBackend = STORAGE_BACKEND === 'memory' || STORAGE_BACKEND === 'indexeddb';
+
+// Bootstrap super admins (comma-separated emails). They are always treated as super admins
+// and can grant the role to others from Settings; the granted list is stored with the data.
+export const SUPER_ADMIN_EMAILS = (import.meta.env.VITE_SUPER_ADMINS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
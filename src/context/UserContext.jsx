@@ -1,14 +1,39 @@
 import { createContext, useState, useContext, useEffect } from 'react';
 import { auth } from '../firebase';
+import { isLocalBackend } from '../config';
 import { onAuthStateChanged, signInWithEmailAndPassword, createUserWithEmailAndPassword, signOut, updateProfile, deleteUser, sendPasswordResetEmail } from 'firebase/auth';
 
 const UserContext = createContext();
 
+// Local backends have no Firebase Auth: any email signs in and the session lives in localStorage
+const LOCAL_USER_KEY = 'local-user';
+
+const readLocalUser = () => {
+    try {
+        return JSON.parse(localStorage.getItem(LOCAL_USER_KEY));
+    } catch {
+        return null;
+    }
+};
+
+const writeLocalUser = (localUser) => {
+    if (localUser) localStorage.setItem(LOCAL_USER_KEY, JSON.stringify(localUser));
+    else localStorage.removeItem(LOCAL_USER_KEY);
+};
+
+const toLocalUser = (email) => ({
+    uid: `local-${email.toLowerCase()}`,
+    email,
+    username: email.split('@')[0]
+});
+
 export const UserProvider = ({ children }) => {
-    const [user, setUser] = useState(null);
-    const [loading, setLoading] = useState(true);
+    const [user, setUser] = useState(() => isLocalBackend ? readLocalUser() : null);
+    const [loading, setLoading] = useState(!isLocalBackend);
 
     useEffect(() => {
+        if (isLocalBackend) return;
+
         // Listen for Firebase Auth state changes
         const unsubscribe = onAuthStateChanged(auth, (firebaseUser) => {
             if (firebaseUser) {
@@ -29,22 +54,41 @@ export const UserProvider = ({ children }) => {
     }, []);
 
     const login = async (email, password) => {
+        if (isLocalBackend) {
+            const localUser = toLocalUser(email);
+            writeLocalUser(localUser);
+            setUser(localUser);
+            return;
+        }
         await signInWithEmailAndPassword(auth, email, password);
     };
 
     const signup = async (email, password) => {
+        if (isLocalBackend) return login(email, password);
         await createUserWithEmailAndPassword(auth, email, password);
     };
 
     const logout = async () => {
+        if (isLocalBackend) {
+            writeLocalUser(null);
+            setUser(null);
+            return;
+        }
         await signOut(auth);
     };
 
     const resetPassword = async (email) => {
+        if (isLocalBackend) return;
         await sendPasswordResetEmail(auth, email);
     };
 
     const updateUserProfile = async (displayName) => {
+        if (isLocalBackend) {
+            const localUser = { ...user, username: displayName };
+            writeLocalUser(localUser);
+            setUser(localUser);
+            return;
+        }
         const currentUser = auth.currentUser;
         if (currentUser) {
             await updateProfile(currentUser, { displayName });
@@ -54,6 +98,7 @@ export const UserProvider = ({ children }) => {
     };
 
     const deleteUserAccount = async () => {
+        if (isLocalBackend) return logout();
         const currentUser = auth.currentUser;
         if (currentUser) {
             await deleteUser(currentUser);
@@ -1,57 +1,297 @@
-import { db } from './firebase';
-import {
-    collection,
-    getDocs,
-    getDoc,
-    doc,
-    setDoc,
-    addDoc,
-    deleteDoc,
-    updateDoc,
-    query,
-    where,
-    orderBy,
-    writeBatch,
-    onSnapshot
-} from 'firebase/firestore';
-
-// Collection refs
-const sectionsRef = collection(db, 'sections');
-const detailsRef = collection(db, 'details');
-const privateNotesRef = collection(db, 'private_notes');
-const projectsRef = collection(db, 'projects');
-
-// Helper to snapshot to array
-const snapToData = (snap) => snap.docs.map(d => ({ id: d.id, ...d.data(), docId: d.id }));
-
-// Helper to extract short ID from a potentially composite ID
-const getShortId = (section, projectId) => {
-    let sid = section.id || section.docId || "";
-    if (projectId) {
-        // Recursively remove project prefix to handle "double-prefixed" older IDs (e.g. Proj_Proj_Sec)
-        while (sid.startsWith(`${projectId}_`)) {
-            sid = sid.substring(projectId.length + 1);
+import { backend } from './backends';
+import { deleteSectionMedia, listMediaFolders } from './storageUtils';
+import { ROLES, ROLE_MODEL_VERSION, normalizeRole } from './roles';
+import { getShortId, sectionRecord } from './utils/sectionRecords';
+
+// Collection names (the active backend decides where they live: Firestore, IndexedDB or memory)
+const SECTIONS = 'sections';
+const DETAILS = 'details';
+const PRIVATE_NOTES = 'private_notes';
+const PROJECTS = 'projects';
+const USER_PLANS = 'user_plans';
+const SECTION_AUDIT = 'section_audit';
+const DETAIL_REVISIONS = 'detail_revisions';
+const APP_CONFIG = 'app_config';
+const INVITATIONS = 'invitations';
+const IMPORTS = 'imports';
+const IMPORT_SECTIONS = 'import_sections';
+
+const SUPER_ADMINS_DOC = 'super_admins';
+
+// Firestore caps batches at 500 writes
+const BATCH_LIMIT = 400;
+
+// Helper to turn backend records into app objects
+const snapToData = (records) => records.map(r => ({ id: r.id, ...r.data, docId: r.id }));
+
+// --- Trash (soft delete) ---
+// Sections, notes and trips are first flagged with deletedAt/deletedBy and hidden. Admins can
+// restore them from the trip's Trash, and they are purged for good after the trip's retention period.
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RESTORE_FIELDS = { deletedAt: null, deletedBy: null };
+
+const trashFields = (username) => ({
+    deletedAt: new Date().toISOString(),
+    deletedBy: username || 'anon'
+});
+
+export const isTrashed = (item) => !!item?.deletedAt;
+
+export const getTrashRetentionDays = (project) => project?.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
+
+// Days left before a trashed item is purged automatically (0 once it is due)
+export const trashDaysRemaining = (item, retentionDays) => {
+    const elapsed = (Date.now() - new Date(item.deletedAt).getTime()) / DAY_MS;
+    return Math.max(0, Math.ceil(retentionDays - elapsed));
+};
+
+const chunk = (items, size) => {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+    return chunks;
+};
+
+// Delete [collection, id] pairs in batches, then each media folder, reporting progress as it goes.
+// Media failures are logged rather than thrown: the records are already gone and the
+// orphan scan in Settings will pick up any folder left behind.
+const deleteRecordsAndMedia = async (refs, mediaFolders, onProgress) => {
+    const total = refs.length + mediaFolders.length;
+    let done = 0;
+    const report = (phase) => onProgress && onProgress({ phase, done, total });
+
+    for (const group of chunk(refs, BATCH_LIMIT)) {
+        const batch = backend.batch();
+        group.forEach(([col, id]) => batch.delete(col, id));
+        await batch.commit();
+        done += group.length;
+        report('Deleting records');
+    }
+
+    let mediaFiles = 0;
+    for (const folder of mediaFolders) {
+        try {
+            mediaFiles += await deleteSectionMedia(folder);
+        } catch (err) {
+            console.warn(`[Delete] Failed to remove media for ${folder}:`, err);
         }
+        done++;
+        report('Deleting media');
+    }
+
+    return { records: refs.length, mediaFiles };
+};
+
+// Private notes are readable only by their owner (see firestore.rules), so on Firestore an admin
+// cannot list other people's notes. Their IDs are deterministic (`${projectId}_${sectionId}_${username}`),
+// so fall back to the IDs the trip's members would have used.
+const findPrivateNoteIds = async (projectId, shortIds, wholeProject) => {
+    try {
+        const records = await backend.getDocs(PRIVATE_NOTES, [['projectId', '==', projectId]]);
+        return records.filter(r => wholeProject || shortIds.has(r.data.sectionId)).map(r => r.id);
+    } catch (err) {
+        if (err.code !== 'permission-denied') throw err;
+        const project = await backend.getDoc(PROJECTS, projectId);
+        const usernames = new Set([
+            project?.data.createdBy,
+            ...(project?.data.users || []).map(u => u.email.split('@')[0])
+        ].filter(Boolean));
+        return [...shortIds].flatMap(sid => [...usernames].map(name => `${projectId}_${sid}_${name}`));
+    }
+};
+
+// Notes (with their revisions), private notes and audit entries that belong to the given sections.
+// With `wholeProject`, every private note in the project goes, including ones for sections deleted long ago.
+// Queries are per section with equality filters so the security rules can check each of them.
+const findSectionDependents = async (sections, projectId, { wholeProject = false } = {}) => {
+    const refs = [];
+    for (const section of sections) {
+        const bySection = [['sectionId', '==', section.docId]];
+        const [details, revisions, audit] = await Promise.all([
+            backend.getDocs(DETAILS, bySection),
+            backend.getDocs(DETAIL_REVISIONS, bySection),
+            projectId ? backend.getDocs(SECTION_AUDIT, [['projectId', '==', projectId], ...bySection]) : []
+        ]);
+        refs.push(
+            ...details.map(r => [DETAILS, r.id]),
+            ...revisions.map(r => [DETAIL_REVISIONS, r.id]),
+            ...audit.map(r => [SECTION_AUDIT, r.id])
+        );
+    }
+
+    if (projectId) {
+        const shortIds = new Set(sections.map(s => getShortId(s, projectId)));
+        const noteIds = await findPrivateNoteIds(projectId, shortIds, wholeProject);
+        refs.push(...noteIds.map(id => [PRIVATE_NOTES, id]));
+    }
+    return refs;
+};
+
+// --- Section Audit Log ---
+// Every section write through db.js appends one audit entry per changed field
+// ({ sectionId, projectId, field, oldValue, newValue, changedBy, changedAt, source }),
+// written in the same batch as the change itself. New sections get a single entry with field null.
+
+// Bookkeeping fields that change on every write and are not worth auditing
+const AUDIT_IGNORED_FIELDS = new Set(['id', 'docId', 'projectId', 'lastModified', 'lastModifiedBy', 'deletedBy']);
+
+// Firestore rejects undefined, and "unset" vs null is not a meaningful change
+const auditValue = (value) => value === undefined ? null : value;
+
+const sameAuditValue = (a, b) => JSON.stringify(auditValue(a)) === JSON.stringify(auditValue(b));
+
+const buildAuditEntries = (sectionDocId, projectId, before, after, { username, source = 'edit', merge = true }) => {
+    const base = {
+        sectionId: sectionDocId,
+        projectId: projectId || null,
+        changedBy: username || 'anon',
+        changedAt: new Date().toISOString(),
+        source
+    };
+    if (!before) return [{ ...base, field: null, oldValue: null, newValue: null }];
+
+    // Without merge the stored document is replaced, so fields missing from `after` are removed
+    const fields = new Set(Object.keys(after));
+    if (!merge) Object.keys(before).forEach(f => fields.add(f));
+
+    return Array.from(fields)
+        .filter(field => !AUDIT_IGNORED_FIELDS.has(field))
+        .filter(field => !sameAuditValue(before[field], after[field]))
+        .map(field => ({
+            ...base,
+            field,
+            oldValue: auditValue(before[field]),
+            newValue: auditValue(after[field])
+        }));
+};
+
+// Current stored state of a section, used as the "old value" side of the audit.
+// Returns undefined (not null) when it can't be read, so the change is written without an audit entry.
+const readSectionForAudit = async (sectionDocId) => {
+    try {
+        const record = await backend.getDoc(SECTIONS, sectionDocId);
+        return record ? record.data : null;
+    } catch (err) {
+        console.warn(`[Audit] Could not read ${sectionDocId}, change will not be audited:`, err);
+        return undefined;
     }
-    return sid;
 };
 
-export const getProjects = async (username) => {
-    // Projects created by or accessible to user
-    const q = query(projectsRef, orderBy('createdAt', 'desc'));
-    const snap = await getDocs(q);
-    return snapToData(snap);
+const queueAuditEntries = (batch, entries) => {
+    entries.forEach(entry => batch.set(SECTION_AUDIT, backend.newId(SECTION_AUDIT), entry));
+};
+
+// Apply a partial update to a section and record it in the audit log
+const updateSectionAudited = async (sectionDocId, changes, username, source) => {
+    const before = await readSectionForAudit(sectionDocId);
+    const batch = backend.batch();
+    batch.update(SECTIONS, sectionDocId, changes);
+    if (before) queueAuditEntries(batch, buildAuditEntries(sectionDocId, before.projectId, before, changes, { username, source }));
+    await batch.commit();
+};
+
+/**
+ * Audit entries for a section, newest first.
+ */
+export const getSectionHistory = async (sectionDocId, projectId) => {
+    const records = await backend.getDocs(SECTION_AUDIT, [['projectId', '==', projectId], ['sectionId', '==', sectionDocId]]);
+    return snapToData(records).sort((a, b) => b.changedAt.localeCompare(a.changedAt));
+};
+
+/**
+ * Set one field of a section back to the old value recorded in an audit entry.
+ */
+export const revertSectionField = async (entry, username) => {
+    await updateSectionAudited(entry.sectionId, {
+        [entry.field]: entry.oldValue,
+        lastModified: new Date().toISOString(),
+        lastModifiedBy: username || 'anon'
+    }, username, 'revert');
+};
+
+// --- Super Admins ---
+// Super admins can open and administer every trip. The list lives in app_config/super_admins
+// ({ emails }) and is managed from Settings; SUPER_ADMIN_EMAILS (config.js) only bootstraps it.
+
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+/**
+ * Subscribe to the stored super-admin list.
+ * @param {Function} onData - Called with an array of lower-case emails
+ */
+export const subscribeToSuperAdmins = (onData, onError) => {
+    return backend.subscribe(APP_CONFIG, [], (records) => {
+        const record = records.find(r => r.id === SUPER_ADMINS_DOC);
+        onData(record?.data.emails || []);
+    }, onError);
+};
+
+const writeSuperAdmins = async (emails, username) => {
+    await backend.setDoc(APP_CONFIG, SUPER_ADMINS_DOC, {
+        emails,
+        lastModified: new Date().toISOString(),
+        lastModifiedBy: username || 'anon'
+    }, { merge: true });
+};
+
+export const grantSuperAdmin = async (email, username) => {
+    const target = normalizeEmail(email);
+    if (!target.includes('@')) throw new Error("Enter a valid email address");
+    const record = await backend.getDoc(APP_CONFIG, SUPER_ADMINS_DOC);
+    const emails = record?.data.emails || [];
+    if (emails.includes(target)) throw new Error(`${target} is already a super admin`);
+    await writeSuperAdmins([...emails, target], username);
+};
+
+export const revokeSuperAdmin = async (email, username) => {
+    const target = normalizeEmail(email);
+    const record = await backend.getDoc(APP_CONFIG, SUPER_ADMINS_DOC);
+    const emails = record?.data.emails || [];
+    // Without anyone left, nobody could grant the role again from the app
+    if (emails.length === 1 && emails[0] === target) throw new Error("Can't remove the last super admin");
+    await writeSuperAdmins(emails.filter(e => e !== target), username);
+};
+
+// Emails of everyone on a trip, kept alongside users[] so trips can be queried by member
+// (security rules can't search inside the users[] maps for a list query)
+const memberEmailsOf = (users) => [...new Set((users || []).map(u => u.email))];
+
+/**
+ * Trips the user can open: ones they are a member of or created.
+ * @param {string} [options.email] - Signed-in user's email
+ * @param {boolean} [options.includeAll] - List every trip (super admins)
+ */
+export const getProjects = async (username, { email, includeAll = false } = {}) => {
+    if (includeAll) {
+        const records = await backend.getDocs(PROJECTS, [], { orderBy: ['createdAt', 'desc'] });
+        const projects = snapToData(records);
+        // Trips created before memberEmails existed are invisible to their members until backfilled
+        const missing = projects.filter(p => !p.memberEmails && p.users);
+        await Promise.all(missing.map(p => backend.updateDoc(PROJECTS, p.id, { memberEmails: memberEmailsOf(p.users) })
+            .catch(err => console.warn(`[Projects] Could not backfill members of ${p.id}:`, err))));
+        return projects;
+    }
+
+    const [asMember, asCreator] = await Promise.all([
+        email ? backend.getDocs(PROJECTS, [['memberEmails', 'array-contains', email]]) : [],
+        backend.getDocs(PROJECTS, [['createdBy', '==', username]])
+    ]);
+    const byId = new Map([...asMember, ...asCreator].map(r => [r.id, r]));
+    return snapToData(Array.from(byId.values()))
+        .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
 };
 
 export const getProject = async (projectId) => {
-    const d = await getDoc(doc(projectsRef, projectId));
-    if (d.exists()) {
-        return { id: d.id, ...d.data() };
+    const d = await backend.getDoc(PROJECTS, projectId);
+    if (d) {
+        return { id: d.id, ...d.data };
     }
     return null;
 };
 
-export const createProject = async (name, username) => {
+export const createProject = async (name, username, email) => {
     const today = new Date();
     const tomorrow = new Date();
     tomorrow.setDate(today.getDate() + 1);
@@ -62,34 +302,39 @@ export const createProject = async (name, username) => {
         createdAt: new Date().toISOString(),
         startDate: today.toISOString().split('T')[0], // YYYY-MM-DD
         endDate: tomorrow.toISOString().split('T')[0], // YYYY-MM-DD
-        users: [{ email: username, role: 'admin' }] // Creator is always admin
+        users: [{ email: email || username, role: 'admin' }], // Creator is always admin
+        memberEmails: [email || username],
+        roleModel: ROLE_MODEL_VERSION
     };
-    const docRef = await addDoc(projectsRef, newProject);
-    return { id: docRef.id, ...newProject };
+    const id = await backend.addDoc(PROJECTS, newProject);
+    return { id, ...newProject };
 };
 
 export const updateProject = async (projectId, data, username) => {
-    await updateDoc(doc(projectsRef, projectId), {
+    await backend.updateDoc(PROJECTS, projectId, {
         ...data,
         lastModified: new Date().toISOString(),
         lastModifiedBy: username || 'anon'
     });
 };
 
+// Backwards compatibility; legacy 'viewer' entries become field editors (see roles.js)
+const normalizedUsers = (project) => (project.users || []).map(u => ({ ...u, role: normalizeRole(u.role, project) || u.role }));
+
 export const manageProjectUsers = async (projectId, action, payload, username) => {
-    const projectRef = doc(projectsRef, projectId);
-    const projectSnap = await getDoc(projectRef);
-    if (!projectSnap.exists()) throw new Error("Project not found");
+    const projectSnap = await backend.getDoc(PROJECTS, projectId);
+    if (!projectSnap) throw new Error("Project not found");
 
-    const project = projectSnap.data();
-    let users = project.users || []; // Backwards compatibility
+    const project = projectSnap.data;
+    let users = normalizedUsers(project);
 
-    // Check if requester is admin (simple check here, strict check in UI/Rules)
-    // Note: We trust the UI for now as we don't have backend rules
+    // Only trip admins may change users; enforced by firestore.rules
+    if (payload.role && !ROLES.includes(payload.role)) throw new Error(`Unknown role: ${payload.role}`);
 
     if (action === 'add') {
         // payload: { email, role }
         if (users.find(u => u.email === payload.email)) throw new Error("User already exists");
+        if (!isEmailDomainAllowed(payload.email, project)) throw new Error(`${payload.email} is not in this trip's allowed email domains`);
         users.push(payload);
     } else if (action === 'remove') {
         // payload: { email }
@@ -99,47 +344,184 @@ export const manageProjectUsers = async (projectId, action, payload, username) =
         users = users.map(u => u.email === payload.email ? { ...u, role: payload.role } : u);
     }
 
-    await updateDoc(projectRef, {
+    await backend.updateDoc(PROJECTS, projectId, {
         users,
+        memberEmails: memberEmailsOf(users),
+        roleModel: ROLE_MODEL_VERSION,
         lastModified: new Date().toISOString(),
         lastModifiedBy: username
     });
 };
 
-export const deleteProject = async (projectId, username) => {
-    // Ideally we should delete all sections associated with this project too
-    // But since we don't have a backend function, we'd have to allow orphan sections or client-side batch delete.
-    // implementing client-side batch delete for safety.
+// --- Invitations ---
+// Inviting someone stores a pending record (invitations/{projectId}_{email}); they are only added
+// to the trip's users when they accept it from their trip list. Trips can restrict invitations to
+// a list of email domains (project.allowedEmailDomains, empty = anyone).
 
-    // 1. Delete details for this project? (Hard to query details by project directly without join, but sections have projectId)
-    // For now, let's just delete the project doc. Sections will become orphaned (projectId points to nothing).
-    // Or we can query sections and delete them.
+export const DEFAULT_INVITATION_EXPIRY_DAYS = 14;
 
-    const sectionsQ = query(sectionsRef, where('projectId', '==', projectId));
-    const sectionsSnap = await getDocs(sectionsQ);
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const invitationId = (projectId, email) => `${projectId}_${normalizeEmail(email)}`;
+
+export const isEmailDomainAllowed = (email, project) => {
+    const domains = project?.allowedEmailDomains || [];
+    if (domains.length === 0) return true;
+    return domains.includes(normalizeEmail(email).split('@')[1]);
+};
+
+// expiresAt is stored as a timestamp so firestore.rules can refuse expired invitations too. It reads
+// back as a Firestore Timestamp (a Date in the local backends); the app works with ISO strings.
+const expiryToISO = (expiresAt) => {
+    if (!expiresAt) return null;
+    const date = typeof expiresAt.toDate === 'function' ? expiresAt.toDate() : new Date(expiresAt);
+    return date.toISOString();
+};
+
+const toInvitations = (records) => snapToData(records).map(inv => ({ ...inv, expiresAt: expiryToISO(inv.expiresAt) }));
+
+export const isInvitationExpired = (invitation) => !!invitation.expiresAt && new Date(expiryToISO(invitation.expiresAt)) < new Date();
+
+/**
+ * Invite someone to a trip. Replaces any earlier (declined or expired) invitation for the same address.
+ * @param {object} project - The trip ({ id, name, users, allowedEmailDomains, ... })
+ * @param {object} inviter - { username, email } of the admin sending it
+ * @param {number|null} [options.expiresInDays] - Days until it lapses; null for no expiry
+ */
+export const inviteToProject = async (project, email, role, inviter, { expiresInDays = DEFAULT_INVITATION_EXPIRY_DAYS } = {}) => {
+    const address = normalizeEmail(email);
+    if (!EMAIL_PATTERN.test(address)) throw new Error("Enter a valid email address");
+    if (!ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+    if (!isEmailDomainAllowed(address, project)) {
+        throw new Error(`Only ${project.allowedEmailDomains.map(d => '@' + d).join(', ')} addresses can be invited to this trip`);
+    }
+    if ((project.users || []).some(u => normalizeEmail(u.email) === address)) throw new Error(`${address} is already on this trip`);
+
+    const existing = await backend.getDoc(INVITATIONS, invitationId(project.id, address));
+    if (existing && existing.data.status === 'pending' && !isInvitationExpired(existing.data)) {
+        throw new Error(`${address} already has a pending invitation`);
+    }
 
-    const batch = writeBatch(db);
-    sectionsSnap.docs.forEach(doc => {
-        batch.delete(doc.ref);
+    // Accepting appends the invitee as-is, so legacy trips switch to the current role model first
+    if (!(project.roleModel >= ROLE_MODEL_VERSION)) {
+        await backend.updateDoc(PROJECTS, project.id, { users: normalizedUsers(project), roleModel: ROLE_MODEL_VERSION });
+    }
+
+    const now = new Date();
+    await backend.setDoc(INVITATIONS, invitationId(project.id, address), {
+        projectId: project.id,
+        projectName: project.name,
+        email: address,
+        role,
+        status: 'pending',
+        invitedBy: inviter.username,
+        invitedByEmail: inviter.email || null,
+        createdAt: now.toISOString(),
+        expiresAt: expiresInDays ? new Date(now.getTime() + expiresInDays * DAY_MS) : null
     });
-    batch.delete(doc(projectsRef, projectId));
+};
+
+// Pending invitations of a trip, for its admins
+export const getProjectInvitations = async (projectId) => {
+    const records = await backend.getDocs(INVITATIONS, [['projectId', '==', projectId], ['status', '==', 'pending']]);
+    return toInvitations(records).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+// Invitations waiting for the signed-in user
+export const getMyInvitations = async (email) => {
+    if (!email) return [];
+    const records = await backend.getDocs(INVITATIONS, [['email', '==', normalizeEmail(email)], ['status', '==', 'pending']]);
+    return toInvitations(records).filter(inv => !isInvitationExpired(inv));
+};
+
+const respondToInvitation = (batch, invitation, status) => {
+    batch.update(INVITATIONS, invitation.id, { status, respondedAt: new Date().toISOString() });
+};
+
+/**
+ * Join the trip an invitation is for, with the role it offers.
+ * @param {object} user - Signed-in user ({ email, username })
+ */
+export const acceptInvitation = async (invitation, user) => {
+    if (isInvitationExpired(invitation)) throw new Error("This invitation has expired");
+    const projectSnap = await backend.getDoc(PROJECTS, invitation.projectId);
+    if (!projectSnap || isTrashed(projectSnap.data)) throw new Error("This trip no longer exists");
+    const project = projectSnap.data;
+
+    const batch = backend.batch();
+    if (!(project.users || []).some(u => u.email === user.email)) {
+        // Only append: firestore.rules let the invitee add exactly this entry and nothing else
+        batch.update(PROJECTS, invitation.projectId, {
+            users: [...(project.users || []), { email: user.email, role: invitation.role }],
+            memberEmails: [...(project.memberEmails || []), user.email],
+            lastModified: new Date().toISOString(),
+            lastModifiedBy: user.username
+        });
+    }
+    respondToInvitation(batch, invitation, 'accepted');
     await batch.commit();
 };
 
+export const declineInvitation = async (invitation) => {
+    const batch = backend.batch();
+    respondToInvitation(batch, invitation, 'declined');
+    await batch.commit();
+};
+
+export const revokeInvitation = async (invitationId) => {
+    await backend.deleteDoc(INVITATIONS, invitationId);
+};
+
+/**
+ * Delete a trip together with its sections, their notes, private notes, invitations, the shared days plan
+ * and uploaded media.
+ * @param {Function} [options.onProgress] - Called with { phase, done, total }
+ */
+export const deleteProject = async (projectId, username, { onProgress } = {}) => {
+    onProgress && onProgress({ phase: 'Finding related records', done: 0, total: 0 });
+
+    const sections = snapToData(await backend.getDocs(SECTIONS, [['projectId', '==', projectId]]));
+    const dependents = await findSectionDependents(sections, projectId, { wholeProject: true });
+    const byProject = [['projectId', '==', projectId]];
+    const [invitations, imports, importSections] = await Promise.all([
+        backend.getDocs(INVITATIONS, byProject),
+        backend.getDocs(IMPORTS, byProject),
+        backend.getDocs(IMPORT_SECTIONS, byProject)
+    ]);
+
+    const refs = [
+        ...dependents,
+        ...sections.map(s => [SECTIONS, s.docId]),
+        ...invitations.map(r => [INVITATIONS, r.id]),
+        ...importSections.map(r => [IMPORT_SECTIONS, r.id]),
+        ...imports.map(r => [IMPORTS, r.id]),
+        [USER_PLANS, 'PLAN_' + projectId],
+        [PROJECTS, projectId]
+    ];
+    return deleteRecordsAndMedia(refs, sections.map(s => s.docId), onProgress);
+};
+
+export const trashProject = async (projectId, username) => {
+    await backend.updateDoc(PROJECTS, projectId, trashFields(username));
+};
+
+export const restoreProject = async (projectId, username) => {
+    await backend.updateDoc(PROJECTS, projectId, {
+        ...RESTORE_FIELDS,
+        lastModified: new Date().toISOString(),
+        lastModifiedBy: username || 'anon'
+    });
+};
+
 export const getSections = async (username, projectId) => {
     try {
         console.log(`[getSections] Fetching for projectId: ${projectId}`);
-        const sectionsRef = collection(db, "sections");
-        let q;
-
-        if (projectId) {
-            q = query(sectionsRef, where("projectId", "==", projectId));
-        } else {
-            q = query(sectionsRef, where("username", "==", username));
-        }
+        const filters = projectId
+            ? [["projectId", "==", projectId]]
+            : [["username", "==", username]];
 
-        const querySnapshot = await getDocs(q);
-        const rawSections = snapToData(querySnapshot);
+        const records = await backend.getDocs(SECTIONS, filters);
+        const rawSections = snapToData(records).filter(s => !isTrashed(s));
         console.log(`[getSections] Found: ${rawSections.length} raw records.`);
 
         // Deduplicate using a Map based on the Short ID
@@ -167,74 +549,347 @@ export const getSections = async (username, projectId) => {
     }
 };
 
-export const addSection = async (section, username, projectId) => {
+/**
+ * Section documents that getShortId and getSections paper over: several live copies of one
+ * short ID (left by the double-prefix bug), or a single copy stored under a prefixed doc ID.
+ * The winner is the copy getSections shows (latest lastModified); repairSections keeps its
+ * data at the canonical `${projectId}_${shortId}` and removes the other documents.
+ * @returns {Promise<{ shortId: string, docId: string, winner: object, copies: object[], losers: object[] }[]>}
+ *   Copies newest first; losers are the copies stored anywhere but docId
+ */
+export const findSectionRepairs = async (projectId) => {
+    const records = await backend.getDocs(SECTIONS, [['projectId', '==', projectId]]);
+    const byShortId = new Map();
+    for (const section of snapToData(records).filter(s => !isTrashed(s))) {
+        const sid = getShortId(section, projectId);
+        byShortId.set(sid, [...(byShortId.get(sid) || []), section]);
+    }
+
+    const repairs = [];
+    for (const [shortId, copies] of byShortId) {
+        copies.sort((a, b) => new Date(b.lastModified || 0) - new Date(a.lastModified || 0));
+        const docId = `${projectId}_${shortId}`;
+        const losers = copies.filter(c => c.docId !== docId);
+        if (losers.length > 0 || copies[0].id !== shortId) {
+            repairs.push({ shortId, docId, winner: copies[0], copies, losers });
+        }
+    }
+    return repairs.sort((a, b) => a.shortId.localeCompare(b.shortId));
+};
+
+/**
+ * Merge the duplicate section documents found by findSectionRepairs: the winner's data is
+ * written to the canonical doc, notes, note revisions and audit entries of the losing copies are
+ * re-pointed to it, private notes are moved to the canonical ID, and the losers are deleted.
+ * Private notes can only be written by their owner, so only the caller's own are moved; other
+ * members' stay under the old section ID.
+ * @param {Function} [options.onProgress] - Called with { phase, done, total }
+ * @returns {Promise<{ sections: number, deleted: number, details: number, revisions: number, audit: number, privateNotes: number, privateNotesSkipped: boolean }>}
+ */
+export const repairSections = async (projectId, repairs, username, { onProgress } = {}) => {
+    const summary = { sections: 0, deleted: 0, details: 0, revisions: 0, audit: 0, privateNotes: 0, privateNotesSkipped: false };
+
+    let batch = backend.batch();
+    let opCount = 0;
+    const queued = async (write) => {
+        write(batch);
+        if (++opCount >= 400) { await batch.commit(); batch = backend.batch(); opCount = 0; }
+    };
+
+    // Private notes are keyed by the section's short ID as the app showed it
+    let privateNotes = null;
+    try {
+        const records = await backend.getDocs(PRIVATE_NOTES, [['projectId', '==', projectId]]);
+        privateNotes = new Map(snapToData(records).map(n => [n.docId, n]));
+    } catch (err) {
+        if (err.code !== 'permission-denied') throw err;
+        summary.privateNotesSkipped = true;
+    }
+
+    for (const [index, repair] of repairs.entries()) {
+        const { shortId, docId, winner, copies, losers } = repair;
+        if (onProgress) onProgress({ phase: `Repairing ${shortId}`, done: index, total: repairs.length });
+
+        // 1. Winner's data at the canonical doc ID (replacing any older copy already there)
+        if (winner.docId !== docId || winner.id !== shortId) {
+            const { docId: _docId, ...winnerData } = winner;
+            const data = {
+                ...winnerData,
+                id: shortId,
+                projectId,
+                lastModified: new Date().toISOString(),
+                lastModifiedBy: username || 'anon'
+            };
+            const before = copies.find(c => c.docId === docId) || null;
+            await queued(b => b.set(SECTIONS, docId, data));
+            for (const entry of buildAuditEntries(docId, projectId, before, data, { username, source: 'repair', merge: false })) {
+                await queued(b => b.set(SECTION_AUDIT, backend.newId(SECTION_AUDIT), entry));
+            }
+            summary.sections++;
+        }
+
+        // 2. Everything that pointed at a losing copy now points at the canonical doc
+        for (const loser of losers) {
+            const bySection = [['sectionId', '==', loser.docId]];
+            const [details, revisions, audit] = await Promise.all([
+                backend.getDocs(DETAILS, bySection),
+                backend.getDocs(DETAIL_REVISIONS, bySection),
+                backend.getDocs(SECTION_AUDIT, [['projectId', '==', projectId], ...bySection])
+            ]);
+            for (const r of details) await queued(b => b.update(DETAILS, r.id, { sectionId: docId }));
+            for (const r of revisions) await queued(b => b.update(DETAIL_REVISIONS, r.id, { sectionId: docId }));
+            for (const r of audit) await queued(b => b.update(SECTION_AUDIT, r.id, { sectionId: docId }));
+            summary.details += details.length;
+            summary.revisions += revisions.length;
+            summary.audit += audit.length;
+        }
+
+        // 3. Private notes saved under an old (prefixed) short ID
+        const oldIds = new Set(copies.map(c => c.id).filter(id => id && id !== shortId));
+        const stranded = privateNotes
+            ? [...privateNotes.values()].filter(n => oldIds.has(n.sectionId))
+            : null;
+        // Only the owner may write a private note, so other members' notes stay where they are
+        if (stranded?.some(n => n.username !== username)) summary.privateNotesSkipped = true;
+        const movable = stranded
+            ? stranded.filter(n => n.username === username)
+            : (await Promise.all([...oldIds].map(id => backend.getDoc(PRIVATE_NOTES, `${projectId}_${id}_${username}`).catch(() => null))))
+                .filter(Boolean).map(r => ({ ...r.data, docId: r.id }));
+        for (const note of movable) {
+            const { docId: oldNoteId, id: _id, ...noteData } = note;
+            const newNoteId = `${projectId}_${shortId}_${note.username}`;
+            const existing = privateNotes
+                ? privateNotes.get(newNoteId)
+                : await backend.getDoc(PRIVATE_NOTES, newNoteId).then(r => r && r.data).catch(() => null);
+            // Never overwrite a note already kept for the winning ID; keep both texts
+            const moved = {
+                ...noteData,
+                sectionId: shortId,
+                content: existing ? `${existing.content}\n\n${note.content}` : note.content,
+                lastModified: new Date().toISOString()
+            };
+            await queued(b => b.set(PRIVATE_NOTES, newNoteId, moved));
+            await queued(b => b.delete(PRIVATE_NOTES, oldNoteId));
+            if (privateNotes) {
+                privateNotes.set(newNoteId, { ...moved, docId: newNoteId });
+                privateNotes.delete(oldNoteId);
+            }
+            summary.privateNotes++;
+        }
+
+        // 4. The losing documents themselves
+        for (const loser of losers) {
+            await queued(b => b.delete(SECTIONS, loser.docId));
+            summary.deleted++;
+        }
+    }
+
+    if (opCount > 0) await batch.commit();
+    if (onProgress) onProgress({ phase: 'Done', done: repairs.length, total: repairs.length });
+    return summary;
+};
+
+/**
+ * Create or update a single section (merged into the stored document).
+ * @param {string} [options.source] - What made the change, for the audit log ('edit', 'map', ...)
+ */
+export const addSection = async (section, username, projectId, { source = 'edit' } = {}) => {
     if (!projectId && !section.projectId) throw new Error("Project ID is required for addSection");
     const pid = projectId || section.projectId;
 
     // Normalize ID to prevent double-prefixing (e.g. TripA_TripA_Sec1)
-    const shortId = getShortId(section, pid);
-    const compositeDocId = `${pid}_${shortId}`;
-
-    const data = {
-        ...section,
-        id: shortId, // Ensure internal ID is short
-        projectId: pid,
-        lastModifiedBy: username || 'anon',
-        lastModified: new Date().toISOString()
-    };
-    await setDoc(doc(sectionsRef, compositeDocId), data, { merge: true });
+    const { docId: compositeDocId, data } = sectionRecord(section, pid, username);
+
+    const before = await readSectionForAudit(compositeDocId);
+    const batch = backend.batch();
+    batch.set(SECTIONS, compositeDocId, data, { merge: true });
+    if (before !== undefined) queueAuditEntries(batch, buildAuditEntries(compositeDocId, pid, before, data, { username, source }));
+    await batch.commit();
 };
 
-export const addSections = async (sections, username, { merge = false, projectId = null } = {}) => {
-    if (!projectId) throw new Error("Project ID is required for addSections");
-    const batch = writeBatch(db);
+// Writes sections in batches, keeping `existing` (docId -> stored data, or null when it
+// couldn't be read) up to date so later writes in the same run audit against the right state.
+// With `importLog` each section's state before its first write is recorded for rollback.
+const writeSections = async (sections, username, { merge, projectId, source, existing, importLog = null }) => {
+    let batch = backend.batch();
     let count = 0;
 
     for (const section of sections) {
-        const shortId = getShortId(section, projectId);
-        const compositeDocId = `${projectId}_${shortId}`;
-        const docRef = doc(sectionsRef, compositeDocId);
+        const { docId: compositeDocId, shortId, data } = sectionRecord(section, projectId, username);
+        const before = existing ? existing.get(compositeDocId) || null : null;
+        // A section sitting in the trash stays there when an import replaces it; only restoring brings it back
+        if (!merge && isTrashed(before)) {
+            data.deletedAt = before.deletedAt;
+            data.deletedBy = before.deletedBy;
+        }
 
-        const data = {
-            ...section,
-            id: shortId,
-            projectId: projectId,
-            lastModifiedBy: username || 'anon',
-            lastModified: new Date().toISOString()
-        };
+        batch.set(SECTIONS, compositeDocId, data, { merge });
+        count++;
+        if (existing) {
+            const entries = buildAuditEntries(compositeDocId, projectId, before, data, { username, source, merge });
+            queueAuditEntries(batch, entries);
+            count += entries.length;
+
+            if (importLog && !importLog.recorded.has(compositeDocId)) {
+                importLog.recorded.add(compositeDocId);
+                batch.set(IMPORT_SECTIONS, `${importLog.importId}_${shortId}`, {
+                    importId: importLog.importId,
+                    projectId,
+                    sectionId: compositeDocId,
+                    before
+                });
+                count++;
+            }
+            existing.set(compositeDocId, merge && before ? { ...before, ...data } : data);
+        }
+        if (count >= BATCH_LIMIT) {
+            await batch.commit();
+            batch = backend.batch();
+            count = 0;
+        }
+    }
+    if (count > 0) await batch.commit();
+};
+
+// Current state of the trip's sections, keyed by doc ID
+const readTripSections = async (projectId) =>
+    new Map((await backend.getDocs(SECTIONS, [['projectId', '==', projectId]])).map(r => [r.id, r.data]));
+
+/**
+ * Write many sections in batches.
+ * @param {string} [options.source] - What made the change, for the audit log ('import', 'optimizer', ...)
+ */
+export const addSections = async (sections, username, { merge = false, projectId = null, source = 'import' } = {}) => {
+    if (!projectId) throw new Error("Project ID is required for addSections");
+
+    // Current state of the trip's sections for the audit log
+    let existing = null;
+    try {
+        existing = await readTripSections(projectId);
+    } catch (err) {
+        console.warn("[Audit] Could not read existing sections, changes will not be audited:", err);
+    }
+
+    await writeSections(sections, username, { merge, projectId, source, existing });
+};
+
+// --- Import History ---
+// Each import is an `imports` record ({ projectId, fileName, importedBy, importedAt, created, updated,
+// rolledBackAt, rolledBackBy }) plus one `import_sections` entry per written section holding the
+// section as it was before the import (null if the import created it).
+
+/**
+ * Write an import's sections and record it in the trip's import history.
+ * @param {Array<{ sections: object[], merge?: boolean }>} writes - Written in order
+ * @param {string} options.fileName - Shown in the history
+ * @returns {Promise<string>} The import's ID
+ */
+export const importSections = async (projectId, writes, username, { fileName }) => {
+    // Without the before-images the import could not be rolled back, so don't start it
+    const existing = await readTripSections(projectId);
+
+    const docIds = new Set(writes.flatMap(w => w.sections.map(s => `${projectId}_${getShortId(s, projectId)}`)));
+    const created = [...docIds].filter(id => !existing.has(id)).length;
+
+    const importId = backend.newId(IMPORTS);
+    await backend.setDoc(IMPORTS, importId, {
+        projectId,
+        fileName: fileName || null,
+        importedBy: username || 'anon',
+        importedAt: new Date().toISOString(),
+        created,
+        updated: docIds.size - created,
+        rolledBackAt: null,
+        rolledBackBy: null
+    });
+
+    const importLog = { importId, recorded: new Set() };
+    for (const { sections, merge = false } of writes) {
+        await writeSections(sections, username, { merge, projectId, source: 'import', existing, importLog });
+    }
+    return importId;
+};
+
+/**
+ * A trip's imports, newest first.
+ */
+export const getImports = async (projectId) => {
+    const records = await backend.getDocs(IMPORTS, [['projectId', '==', projectId]]);
+    return snapToData(records).sort((a, b) => new Date(b.importedAt) - new Date(a.importedAt));
+};
 
-        if (merge) {
-            batch.set(docRef, data, { merge: true });
-        } else {
-            batch.set(docRef, data);
+/**
+ * Undo an import: sections it changed get their previous values back and sections it created
+ * go to the Trash. Edits made to those sections since the import are undone with it; sections
+ * trashed since then stay in the Trash.
+ * @param {Function} [options.onProgress] - Called with { phase, done, total }
+ * @returns {Promise<{ restored: number, removed: number }>}
+ */
+export const rollbackImport = async (importRecord, username, { onProgress } = {}) => {
+    if (importRecord.rolledBackAt) throw new Error("This import has already been rolled back");
+    const { projectId } = importRecord;
+
+    const [entries, current] = await Promise.all([
+        backend.getDocs(IMPORT_SECTIONS, [['projectId', '==', projectId], ['importId', '==', importRecord.id]]),
+        readTripSections(projectId)
+    ]);
+
+    const summary = { restored: 0, removed: 0 };
+    let batch = backend.batch();
+    let count = 0;
+    let done = 0;
+    for (const { data: entry } of entries) {
+        const docId = entry.sectionId;
+        const now = current.get(docId) || null;
+        if (entry.before) {
+            // Sections trashed since the import get their old values back but stay in the trash
+            const { deletedAt: _deletedAt, deletedBy: _deletedBy, ...before } = entry.before;
+            const data = {
+                ...before,
+                ...(isTrashed(now) ? { deletedAt: now.deletedAt, deletedBy: now.deletedBy } : {}),
+                lastModified: new Date().toISOString(),
+                lastModifiedBy: username || 'anon'
+            };
+            const audit = buildAuditEntries(docId, projectId, now, data, { username, source: 'rollback', merge: false });
+            batch.set(SECTIONS, docId, data);
+            queueAuditEntries(batch, audit);
+            count += 1 + audit.length;
+            summary.restored++;
+        } else if (now && !isTrashed(now)) {
+            const changes = trashFields(username);
+            const audit = buildAuditEntries(docId, projectId, now, changes, { username, source: 'rollback' });
+            batch.update(SECTIONS, docId, changes);
+            queueAuditEntries(batch, audit);
+            count += 1 + audit.length;
+            summary.removed++;
         }
-        count++;
-        if (count >= 400) {
+        done++;
+        if (count >= BATCH_LIMIT) {
             await batch.commit();
+            batch = backend.batch();
             count = 0;
+            if (onProgress) onProgress({ phase: 'Rolling back', done, total: entries.length });
         }
     }
     if (count > 0) await batch.commit();
+    if (onProgress) onProgress({ phase: 'Rolling back', done, total: entries.length });
+
+    await backend.updateDoc(IMPORTS, importRecord.id, {
+        rolledBackAt: new Date().toISOString(),
+        rolledBackBy: username || 'anon'
+    });
+    return summary;
 };
 
 export const getDetails = async (sectionDocId, username) => {
-    const q = query(
-        detailsRef,
-        where('sectionId', '==', sectionDocId),
-    );
-    const snap = await getDocs(q);
-    const data = snapToData(snap);
+    const records = await backend.getDocs(DETAILS, [['sectionId', '==', sectionDocId]]);
+    const data = snapToData(records).filter(d => !isTrashed(d));
     return data.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 };
 
 export const subscribeToDetails = (sectionDocId, username, callback) => {
-    const q = query(
-        detailsRef,
-        where('sectionId', '==', sectionDocId)
-    );
-
-    return onSnapshot(q, (snapshot) => {
-        const data = snapToData(snapshot);
+    return backend.subscribe(DETAILS, [['sectionId', '==', sectionDocId]], (records) => {
+        const data = snapToData(records).filter(d => !isTrashed(d));
         const sortedData = data.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
         callback(sortedData);
     }, (error) => {
@@ -245,20 +900,135 @@ export const subscribeToDetails = (sectionDocId, username, callback) => {
 
 export const addDetail = async (detail, username) => {
     // detail.sectionId should be the section's docId (composite)
-    await addDoc(detailsRef, detail);
+    return backend.addDoc(DETAILS, detail);
 };
 
+/**
+ * Update a note. When the content changes, the content being replaced is kept as a
+ * revision in detail_revisions and the note is marked as edited.
+ */
 export const updateDetail = async (detail, username) => {
     const { id, ...data } = detail;
-    await updateDoc(doc(detailsRef, id), data);
+    const current = await backend.getDoc(DETAILS, id);
+    const batch = backend.batch();
+
+    if (current && current.data.content !== data.content) {
+        const now = new Date().toISOString();
+        batch.set(DETAIL_REVISIONS, backend.newId(DETAIL_REVISIONS), {
+            detailId: id,
+            sectionId: current.data.sectionId,
+            content: current.data.content,
+            // When this version was written and by whom (the original note only has its timestamp)
+            authoredAt: current.data.editedAt || current.data.timestamp || null,
+            authoredBy: current.data.editedBy || null,
+            supersededAt: now,
+            supersededBy: username || 'anon'
+        });
+        data.editedAt = now;
+        data.editedBy = username || 'anon';
+        data.revisionCount = (current.data.revisionCount || 0) + 1;
+    }
+
+    batch.update(DETAILS, id, data);
+    await batch.commit();
+};
+
+/**
+ * Earlier versions of a note, oldest first.
+ */
+export const getDetailRevisions = async (detail) => {
+    const records = await backend.getDocs(DETAIL_REVISIONS, [['sectionId', '==', detail.sectionId], ['detailId', '==', detail.id]]);
+    return snapToData(records).sort((a, b) => a.supersededAt.localeCompare(b.supersededAt));
+};
+
+/**
+ * Bring back an earlier version of a note. The current content becomes a revision itself,
+ * so restoring never loses anything.
+ */
+export const restoreDetailRevision = async (detail, revision, username) => {
+    await updateDetail({ ...detail, content: revision.content }, username);
 };
 
 export const deleteDetail = async (id, username) => {
-    await deleteDoc(doc(detailsRef, id));
+    const detail = await backend.getDoc(DETAILS, id);
+    const revisions = detail
+        ? await backend.getDocs(DETAIL_REVISIONS, [['sectionId', '==', detail.data.sectionId], ['detailId', '==', id]])
+        : [];
+    const batch = backend.batch();
+    revisions.forEach(r => batch.delete(DETAIL_REVISIONS, r.id));
+    batch.delete(DETAILS, id);
+    await batch.commit();
+};
+
+/**
+ * Delete a section together with its notes, everyone's private notes for it and uploaded media.
+ * @param {Function} [options.onProgress] - Called with { phase, done, total }
+ */
+export const deleteSection = async (sectionDocId, username, { onProgress } = {}) => {
+    onProgress && onProgress({ phase: 'Finding related records', done: 0, total: 0 });
+
+    const record = await backend.getDoc(SECTIONS, sectionDocId);
+    const section = record ? { ...record.data, docId: record.id } : { docId: sectionDocId };
+    const dependents = await findSectionDependents([section], section.projectId);
+
+    return deleteRecordsAndMedia([...dependents, [SECTIONS, sectionDocId]], [sectionDocId], onProgress);
 };
 
-export const deleteSection = async (sectionDocId, username) => {
-    await deleteDoc(doc(sectionsRef, sectionDocId));
+export const trashSection = async (sectionDocId, username) => {
+    await updateSectionAudited(sectionDocId, trashFields(username), username, 'trash');
+};
+
+export const restoreSection = async (sectionDocId, username) => {
+    await updateSectionAudited(sectionDocId, {
+        ...RESTORE_FIELDS,
+        lastModified: new Date().toISOString(),
+        lastModifiedBy: username || 'anon'
+    }, username, 'restore');
+};
+
+// Notes don't otherwise carry a projectId; it is stamped on when trashed so the trip's Trash can find them
+export const trashDetail = async (id, projectId, username) => {
+    await backend.updateDoc(DETAILS, id, { ...trashFields(username), projectId });
+};
+
+export const restoreDetail = async (id, username) => {
+    await backend.updateDoc(DETAILS, id, RESTORE_FIELDS);
+};
+
+/**
+ * Everything in a trip's trash: sections and individual notes.
+ */
+export const getTrash = async (projectId) => {
+    const [sectionRecords, detailRecords] = await Promise.all([
+        backend.getDocs(SECTIONS, [['projectId', '==', projectId]]),
+        backend.getDocs(DETAILS, [['projectId', '==', projectId]])
+    ]);
+    const byDeletedAt = (a, b) => b.deletedAt.localeCompare(a.deletedAt);
+    return {
+        sections: snapToData(sectionRecords).filter(isTrashed).sort(byDeletedAt),
+        details: snapToData(detailRecords).filter(isTrashed).sort(byDeletedAt)
+    };
+};
+
+/**
+ * Permanently delete trashed sections and notes of a trip whose retention period has passed.
+ * @returns {Promise<number>} Number of items purged
+ */
+export const purgeExpiredTrash = async (project, username) => {
+    const retentionDays = getTrashRetentionDays(project);
+    const { sections, details } = await getTrash(project.id);
+    const expiredSections = sections.filter(s => trashDaysRemaining(s, retentionDays) === 0);
+    // Notes of an expired section go with it in the cascade
+    const purgedSectionIds = new Set(expiredSections.map(s => s.docId));
+    const expiredDetails = details.filter(d => trashDaysRemaining(d, retentionDays) === 0 && !purgedSectionIds.has(d.sectionId));
+
+    for (const section of expiredSections) {
+        await deleteSection(section.docId, username);
+    }
+    for (const detail of expiredDetails) {
+        await deleteDetail(detail.id, username);
+    }
+    return expiredSections.length + expiredDetails.length;
 };
 
 export const clearSections = async (username) => {
@@ -266,8 +1036,8 @@ export const clearSections = async (username) => {
 };
 
 export const getAllData = async (username) => {
-    const sectionsSnap = await getDocs(sectionsRef);
-    const detailsSnap = await getDocs(detailsRef);
+    const sectionsSnap = await backend.getDocs(SECTIONS);
+    const detailsSnap = await backend.getDocs(DETAILS);
     return {
         sections: snapToData(sectionsSnap),
         details: snapToData(detailsSnap)
@@ -280,11 +1050,10 @@ export const getPrivateNote = async (sectionId, username, projectId) => {
     if (!projectId) return null;
     // Composite ID including projectId for isolation
     const noteId = `${projectId}_${sectionId}_${username}`;
-    const docRef = doc(privateNotesRef, noteId);
     try {
-        const d = await getDoc(docRef);
-        if (d.exists()) {
-            return { id: d.id, ...d.data() };
+        const d = await backend.getDoc(PRIVATE_NOTES, noteId);
+        if (d) {
+            return { id: d.id, ...d.data };
         }
         return null;
     } catch (e) {
@@ -293,13 +1062,14 @@ export const getPrivateNote = async (sectionId, username, projectId) => {
     }
 };
 
-export const savePrivateNote = async (sectionId, username, content, projectId) => {
+export const savePrivateNote = async (sectionId, username, content, projectId, ownerEmail) => {
     if (!projectId) return;
     const noteId = `${projectId}_${sectionId}_${username}`;
-    await setDoc(doc(privateNotesRef, noteId), {
+    await backend.setDoc(PRIVATE_NOTES, noteId, {
         sectionId,
         projectId,
         username,
+        ownerEmail: ownerEmail || null, // Rules only let this user read the note
         content,
         lastModified: new Date().toISOString()
     });
@@ -315,49 +1085,59 @@ export const restoreData = async (data, username) => {
     }
 };
 
-export const saveSharedDaysPlan = async (projectId, plan) => {
+/**
+ * Saves the trip's shared days plan.
+ * @param {object[]} plan - [{ day, sequences, startLocation?, endLocation? }]
+ * @param {object} [schedule] - How days map to dates: { skipWeekends, restDates } (see utils/schedule.js)
+ */
+export const saveSharedDaysPlan = async (projectId, plan, schedule = null) => {
     if (!projectId) return;
-    const planRef = collection(db, 'user_plans');
     // Save to a specific document for this project
-    await setDoc(doc(planRef, 'PLAN_' + projectId), {
+    await backend.setDoc(USER_PLANS, 'PLAN_' + projectId, {
         plan,
+        schedule,
         projectId,
         lastModified: new Date().toISOString()
     });
 };
 
-export const getSharedDaysPlan = async (projectId) => {
-    if (!projectId) return [];
-    const planRef = collection(db, 'user_plans');
+/** @returns {Promise<{ plan: object[], schedule: object|null }>} */
+export const getSharedPlan = async (projectId) => {
+    if (!projectId) return { plan: [], schedule: null };
     try {
-        const d = await getDoc(doc(planRef, 'PLAN_' + projectId));
-        if (d.exists()) {
-            return d.data().plan || [];
+        const d = await backend.getDoc(USER_PLANS, 'PLAN_' + projectId);
+        if (d) {
+            return { plan: d.data.plan || [], schedule: d.data.schedule || null };
         }
     } catch (e) {
         console.error("Error fetching shared days plan:", e);
     }
-    return [];
+    return { plan: [], schedule: null };
 };
 
+export const getSharedDaysPlan = async (projectId) => (await getSharedPlan(projectId)).plan;
+
 // --- Data Management (Scoped) ---
 
-export const getProjectData = async (projectId) => {
+/**
+ * Everything needed to back up or copy a trip.
+ * @param {string} [options.ownerEmail] - Private notes are personal, so only this user's are included
+ */
+export const getProjectData = async (projectId, { ownerEmail } = {}) => {
     if (!projectId) throw new Error("Project ID required");
 
     // Fetch only sections for this project
-    const sectionsQuery = query(sectionsRef, where("projectId", "==", projectId));
-    const sectionsSnap = await getDocs(sectionsQuery);
+    const sectionsSnap = await backend.getDocs(SECTIONS, [["projectId", "==", projectId]]);
     const sections = snapToData(sectionsSnap);
 
     // Fetch details for these sections
-    const detailsQuery = query(detailsRef, where("projectId", "==", projectId));
-    const detailsSnap = await getDocs(detailsQuery);
+    const detailsSnap = await backend.getDocs(DETAILS, [["projectId", "==", projectId]]);
     const details = snapToData(detailsSnap);
 
-    // Fetch private notes
-    const notesQuery = query(privateNotesRef, where("projectId", "==", projectId));
-    const notesSnap = await getDocs(notesQuery);
+    // Fetch the requesting user's private notes
+    const notesSnap = ownerEmail
+        ? await backend.getDocs(PRIVATE_NOTES, [["projectId", "==", projectId], ["ownerEmail", "==", ownerEmail]])
+        : [];
     const notes = snapToData(notesSnap);
 
     return {
@@ -377,7 +1157,8 @@ export const restoreProjectData = async (data, targetProjectId, username) => {
     if (!data || !data.sections) throw new Error("Invalid backup file format");
 
     console.log(`[Restore] Restoring to project ${targetProjectId}...`);
-    const batch = writeBatch(db);
+    const existing = new Map((await backend.getDocs(SECTIONS, [['projectId', '==', targetProjectId]])).map(r => [r.id, r.data]));
+    let batch = backend.batch();
     let opCount = 0;
 
     const sections = data.sections || [];
@@ -389,14 +1170,18 @@ export const restoreProjectData = async (data, targetProjectId, username) => {
         const realId = section.id;
         const newDocId = `${targetProjectId}_${realId}`;
 
-        batch.set(doc(sectionsRef, newDocId), {
+        const data = {
             ...section,
             projectId: targetProjectId,
             lastModifiedBy: username || 'restore',
             lastModified: new Date().toISOString()
-        });
+        };
+        batch.set(SECTIONS, newDocId, data);
         opCount++;
-        if (opCount >= 400) { await batch.commit(); opCount = 0; }
+        const entries = buildAuditEntries(newDocId, targetProjectId, existing.get(newDocId) || null, data, { username, source: 'restore', merge: false });
+        queueAuditEntries(batch, entries);
+        opCount += entries.length;
+        if (opCount >= 400) { await batch.commit(); batch = backend.batch(); opCount = 0; }
     }
 
     // 3. Import Details
@@ -410,16 +1195,15 @@ export const restoreProjectData = async (data, targetProjectId, username) => {
         }
 
         const newSectionDocId = `${targetProjectId}_${shortSectionId}`;
-        const newDetailId = detail.docId ? `${targetProjectId}_${detail.docId}` : doc(detailsRef).id;
-        const newRef = doc(collection(db, 'details'));
+        const newDetailId = detail.docId ? `${targetProjectId}_${detail.docId}` : backend.newId(DETAILS);
 
-        batch.set(newRef, {
+        batch.set(DETAILS, backend.newId(DETAILS), {
             ...detail,
             sectionId: newSectionDocId,
             projectId: targetProjectId
         });
         opCount++;
-        if (opCount >= 400) { await batch.commit(); opCount = 0; }
+        if (opCount >= 400) { await batch.commit(); batch = backend.batch(); opCount = 0; }
     }
 
     // 4. Import Notes
@@ -429,27 +1213,27 @@ export const restoreProjectData = async (data, targetProjectId, username) => {
 
         const newNoteId = `${targetProjectId}_${shortSectionId}_${note.username}`;
 
-        batch.set(doc(privateNotesRef, newNoteId), {
+        batch.set(PRIVATE_NOTES, newNoteId, {
             ...note,
             projectId: targetProjectId,
             lastModified: new Date().toISOString()
         });
         opCount++;
-        if (opCount >= 400) { await batch.commit(); opCount = 0; }
+        if (opCount >= 400) { await batch.commit(); batch = backend.batch(); opCount = 0; }
     }
 
     if (opCount > 0) await batch.commit();
     return { success: true, count: sections.length };
 };
 
-export const duplicateProject = async (sourceProjectId, newName, username) => {
+export const duplicateProject = async (sourceProjectId, newName, username, email) => {
     // 1. Create new project
-    const newProject = await createProject(newName, username);
+    const newProject = await createProject(newName, username, email);
     const targetId = newProject.id;
     console.log(`[Duplicate] Created ${targetId}, copying from ${sourceProjectId}`);
 
     // 2. Fetch source data
-    const sourceData = await getProjectData(sourceProjectId);
+    const sourceData = await getProjectData(sourceProjectId, { ownerEmail: email });
 
     // 3. Restore to new project
     await restoreProjectData(sourceData, targetId, username);
@@ -458,3 +1242,71 @@ export const duplicateProject = async (sourceProjectId, newName, username) => {
 };
 
 
+
+// --- Orphan Cleanup ---
+
+/**
+ * Scan for records and media left behind by deletions that predate cascade delete:
+ * sections of deleted trips, notes and change history of deleted sections, revisions of deleted notes, private notes
+ * and days plans of deleted trips or sections, invitations to deleted trips, import history of deleted trips, and
+ * media folders with no section. Reads every trip's records, which the security rules only allow super admins.
+ */
+export const findOrphans = async () => {
+    const [projects, sections, details, notes, plans, audit, revisions, invitations, imports, importSections, mediaFolders] = await Promise.all([
+        backend.getDocs(PROJECTS),
+        backend.getDocs(SECTIONS),
+        backend.getDocs(DETAILS),
+        backend.getDocs(PRIVATE_NOTES),
+        backend.getDocs(USER_PLANS),
+        backend.getDocs(SECTION_AUDIT),
+        backend.getDocs(DETAIL_REVISIONS),
+        backend.getDocs(INVITATIONS),
+        backend.getDocs(IMPORTS),
+        backend.getDocs(IMPORT_SECTIONS),
+        listMediaFolders().catch(err => {
+            console.warn("[Orphans] Could not list media folders:", err);
+            return [];
+        })
+    ]);
+
+    const projectIds = new Set(projects.map(r => r.id));
+    // Sections without a projectId predate trips and are still reachable, so they are kept
+    const isOrphanSection = (r) => r.data.projectId && !projectIds.has(r.data.projectId);
+
+    const liveSections = sections.filter(r => !isOrphanSection(r));
+    const liveSectionIds = new Set(liveSections.map(r => r.id));
+    const liveDetailIds = new Set(details.filter(r => liveSectionIds.has(r.data.sectionId)).map(r => r.id));
+    const liveNoteKeys = new Set(liveSections.map(r => `${r.data.projectId}|${getShortId({ id: r.data.id || r.id }, r.data.projectId)}`));
+
+    return {
+        sections: sections.filter(isOrphanSection).map(r => r.id),
+        details: details.filter(r => !liveSectionIds.has(r.data.sectionId)).map(r => r.id),
+        privateNotes: notes.filter(r => !liveNoteKeys.has(`${r.data.projectId}|${r.data.sectionId}`)).map(r => r.id),
+        plans: plans.filter(r => r.data.projectId && !projectIds.has(r.data.projectId)).map(r => r.id),
+        audit: audit.filter(r => !liveSectionIds.has(r.data.sectionId)).map(r => r.id),
+        revisions: revisions.filter(r => !liveDetailIds.has(r.data.detailId)).map(r => r.id),
+        invitations: invitations.filter(r => !projectIds.has(r.data.projectId)).map(r => r.id),
+        imports: imports.filter(r => !projectIds.has(r.data.projectId)).map(r => r.id),
+        importSections: importSections.filter(r => !projectIds.has(r.data.projectId)).map(r => r.id),
+        mediaFolders: mediaFolders.filter(folder => !liveSectionIds.has(folder))
+    };
+};
+
+/**
+ * Delete everything reported by findOrphans().
+ * @param {Function} [options.onProgress] - Called with { phase, done, total }
+ */
+export const purgeOrphans = async (orphans, { onProgress } = {}) => {
+    const refs = [
+        ...orphans.details.map(id => [DETAILS, id]),
+        ...orphans.privateNotes.map(id => [PRIVATE_NOTES, id]),
+        ...orphans.plans.map(id => [USER_PLANS, id]),
+        ...orphans.audit.map(id => [SECTION_AUDIT, id]),
+        ...orphans.revisions.map(id => [DETAIL_REVISIONS, id]),
+        ...orphans.invitations.map(id => [INVITATIONS, id]),
+        ...orphans.importSections.map(id => [IMPORT_SECTIONS, id]),
+        ...orphans.imports.map(id => [IMPORTS, id]),
+        ...orphans.sections.map(id => [SECTIONS, id])
+    ];
+    return deleteRecordsAndMedia(refs, orphans.mediaFolders, onProgress);
+};
@@ -2,6 +2,7 @@ import { initializeApp } from "firebase/app";
 import { getAuth } from "firebase/auth";
 import { getFirestore, enableIndexedDbPersistence } from "firebase/firestore";
 import { getStorage } from "firebase/storage";
+import { isLocalBackend } from "./config";
 
 const firebaseConfig = {
     apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
@@ -13,25 +14,28 @@ const firebaseConfig = {
     measurementId: import.meta.env.VITE_FIREBASE_MEASUREMENT_ID
 };
 
-// Initialize Firebase
-const app = initializeApp(firebaseConfig);
+// Initialize Firebase (skipped entirely when running on a local storage backend,
+// so demos and training builds work without any cloud credentials)
+const app = isLocalBackend ? null : initializeApp(firebaseConfig);
 
 // Export services
-export const auth = getAuth(app);
-export const db = getFirestore(app);
+export const auth = app ? getAuth(app) : null;
+export const db = app ? getFirestore(app) : null;
 
 // Enable multi-tab persistence
 import { enableMultiTabIndexedDbPersistence } from "firebase/firestore";
 
-enableMultiTabIndexedDbPersistence(db).catch((err) => {
-    if (err.code == 'failed-precondition') {
-        // Multiple tabs open, persistence can only be enabled in one tab at a time.
-        console.warn("Firestore multi-tab persistence failed to initialize securely.");
-    } else if (err.code == 'unimplemented') {
-        console.warn("Firestore persistence not supported in this environment");
-    }
-});
+if (db) {
+    enableMultiTabIndexedDbPersistence(db).catch((err) => {
+        if (err.code == 'failed-precondition') {
+            // Multiple tabs open, persistence can only be enabled in one tab at a time.
+            console.warn("Firestore multi-tab persistence failed to initialize securely.");
+        } else if (err.code == 'unimplemented') {
+            console.warn("Firestore persistence not supported in this environment");
+        }
+    });
+}
 
-export const storage = getStorage(app);
+export const storage = app ? getStorage(app) : null;
 
 export default app;
@@ -0,0 +1,48 @@
+import { useSyncExternalStore, useMemo, useCallback } from 'react';
+import {
+    subscribeOutbox,
+    getOutboxSnapshot,
+    retryOutboxEntry,
+    discardOutboxEntry,
+    retryAllOutbox
+} from '../backends/outbox';
+
+// 'failed' outranks 'pending' when several queued writes touch the same item
+const worstStatus = (entries) => {
+    if (entries.some(e => e.status === 'failed')) return 'failed';
+    if (entries.length > 0) return 'pending';
+    return null;
+};
+
+export function useOutbox() {
+    const entries = useSyncExternalStore(subscribeOutbox, getOutboxSnapshot);
+
+    const { pendingCount, failedCount } = useMemo(() => ({
+        pendingCount: entries.filter(e => e.status === 'pending').length,
+        failedCount: entries.filter(e => e.status === 'failed').length
+    }), [entries]);
+
+    const statusForSection = useCallback((sectionDocId) => {
+        return worstStatus(entries.filter(e => e.refs.sections.includes(sectionDocId)));
+    }, [entries]);
+
+    const statusForDetail = useCallback((detailId) => {
+        return worstStatus(entries.filter(e => e.refs.details.includes(detailId)));
+    }, [entries]);
+
+    const entriesForDetail = useCallback((detailId) => {
+        return entries.filter(e => e.refs.details.includes(detailId));
+    }, [entries]);
+
+    return {
+        entries,
+        pendingCount,
+        failedCount,
+        statusForSection,
+        statusForDetail,
+        entriesForDetail,
+        retry: retryOutboxEntry,
+        discard: discardOutboxEntry,
+        retryAll: retryAllOutbox
+    };
+}
@@ -0,0 +1,75 @@
+import { useSyncExternalStore, useMemo, useCallback } from 'react';
+import { useUser } from '../context/UserContext';
+import { SUPER_ADMIN_EMAILS } from '../config';
+import { subscribeToSuperAdmins } from '../db';
+import { normalizeRole, roleCan } from '../roles';
+
+// One shared subscription to the stored super-admin list, however many components ask
+let storedSuperAdmins = [];
+let unsubscribeStore = null;
+const listeners = new Set();
+
+const subscribeSuperAdmins = (listener) => {
+    listeners.add(listener);
+    if (!unsubscribeStore) {
+        unsubscribeStore = subscribeToSuperAdmins(
+            (emails) => {
+                storedSuperAdmins = emails;
+                listeners.forEach(l => l());
+            },
+            (err) => console.warn('[Permissions] Could not load super admins:', err)
+        );
+    }
+    return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0 && unsubscribeStore) {
+            unsubscribeStore();
+            unsubscribeStore = null;
+        }
+    };
+};
+
+const getSuperAdminsSnapshot = () => storedSuperAdmins;
+
+/**
+ * The single place permission checks are made (role matrix in roles.js).
+ * @param {object} [project] - Trip the caller is working in; `role`, `can` and `isAdmin` describe it
+ * @returns {{ isSuperAdmin, isAdmin, role, can, roleFor, canAdminProject, canViewProject, superAdmins, bootstrapSuperAdmins }}
+ */
+export function usePermissions(project) {
+    const { user } = useUser();
+    const stored = useSyncExternalStore(subscribeSuperAdmins, getSuperAdminsSnapshot);
+
+    const superAdmins = useMemo(() => [...new Set([...SUPER_ADMIN_EMAILS, ...stored])], [stored]);
+    const email = user?.email?.toLowerCase();
+    const isSuperAdmin = !!email && superAdmins.includes(email);
+
+    const roleIn = useCallback((p) => {
+        if (!user || !p) return null;
+        if (p.createdBy === user.username) return 'admin';
+        return normalizeRole(p.users?.find(u => u.email === user.email)?.role, p);
+    }, [user]);
+
+    const canAdminProject = useCallback((p) => isSuperAdmin || roleIn(p) === 'admin', [isSuperAdmin, roleIn]);
+
+    // Legacy trips with no owner or users list stay visible to everyone
+    const canViewProject = useCallback((p) => {
+        if (!user || !p) return false;
+        return isSuperAdmin || roleIn(p) !== null || (!p.users && !p.createdBy);
+    }, [user, isSuperAdmin, roleIn]);
+
+    const role = isSuperAdmin && project ? 'admin' : roleIn(project);
+    const can = useCallback((capability) => roleCan(role, capability), [role]);
+
+    return {
+        isSuperAdmin,
+        isAdmin: role === 'admin',
+        role,
+        can,
+        roleFor: roleIn,
+        canAdminProject,
+        canViewProject,
+        superAdmins,
+        bootstrapSuperAdmins: SUPER_ADMIN_EMAILS
+    };
+}
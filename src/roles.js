@@ -0,0 +1,53 @@
+// Trip roles and what each one may do. Every permission check in the UI goes through
+// usePermissions, which reads this matrix; firestore.rules enforces the same matrix.
+//
+//   viewer  - read-only (sponsors)
+//   editor  - field editor: add and edit notes, mark sections evaluated
+//   planner - editor + days plan, route sequences and the optimizer in the Trip Map
+//   admin   - everything: edit, import and delete sections, Trash, users, backups
+
+export const ROLES = ['viewer', 'editor', 'planner', 'admin'];
+
+export const ROLE_LABELS = {
+    viewer: 'Viewer',
+    editor: 'Field Editor',
+    planner: 'Planner',
+    admin: 'Admin'
+};
+
+export const ROLE_DESCRIPTIONS = {
+    viewer: 'Can view sections, notes and the map',
+    editor: 'Can add notes and mark sections evaluated',
+    planner: 'Can also plan days and route sequences',
+    admin: 'Can manage users, edit sections and delete data'
+};
+
+// Role given to people invited to a trip
+export const DEFAULT_ROLE = 'editor';
+
+const EDITOR = ['addNotes', 'setStatus'];
+const PLANNER = [...EDITOR, 'editPlan'];
+const ADMIN = [...PLANNER, 'editSections', 'deleteData', 'manageTrip'];
+
+const CAPABILITIES = {
+    viewer: new Set(),
+    editor: new Set(EDITOR),
+    planner: new Set(PLANNER),
+    admin: new Set(ADMIN)
+};
+
+// Trips created before the role matrix (no roleModel) only had 'admin' and 'viewer', and
+// their viewers could add notes: they keep doing so until an admin next edits the trip's users.
+export const ROLE_MODEL_VERSION = 2;
+
+export const normalizeRole = (role, project) => {
+    if (role === 'viewer' && !(project?.roleModel >= ROLE_MODEL_VERSION)) return 'editor';
+    return ROLES.includes(role) ? role : null;
+};
+
+/**
+ * Whether a role may perform an action.
+ * @param {string|null} role - One of ROLES
+ * @param {'addNotes'|'setStatus'|'editPlan'|'editSections'|'deleteData'|'manageTrip'} capability
+ */
+export const roleCan = (role, capability) => !!role && CAPABILITIES[role].has(capability);
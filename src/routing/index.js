@@ -0,0 +1,183 @@
+import { PROVIDERS, ROUTING_PROVIDERS, estimateLeg } from './providers';
+import { getCachedMany, putCachedMany, pointKey } from './routeCache';
+
+/*
+ * Road routing for the Trip Map and the optimizer. Each trip picks a provider (project.routing:
+ * { provider: 'osrm' | 'valhalla' | 'straight', url }), with an optional self-hosted server URL.
+ * Legs and drive-time pairs are cached persistently (routeCache.js), so only changed legs are
+ * fetched; legs the server can't route fall back to straight-line estimates and are flagged.
+ */
+
+export { ROUTING_PROVIDERS };
+
+export const DEFAULT_ROUTING = { provider: 'osrm', url: '' };
+
+export const getRoutingSettings = (project) => {
+    const routing = { ...DEFAULT_ROUTING, ...(project?.routing || {}) };
+    return PROVIDERS[routing.provider] ? routing : DEFAULT_ROUTING;
+};
+
+const baseUrlOf = ({ provider, url }) => (url || PROVIDERS[provider].defaultUrl).trim().replace(/\/+$/, '');
+
+// Provider and server, so switching either never reuses the other's routes
+const cachePrefix = (settings) => `${settings.provider}@${baseUrlOf(settings)}`;
+
+const MAX_ROUTE_POINTS = 15;   // Waypoints per route request
+const MAX_MATRIX_POINTS = 25;  // Sources (and targets) per matrix request
+const REQUEST_TIMEOUT_MS = 10000;
+const RETRIES = 3;
+const REQUEST_SPACING_MS = 250;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Public servers throttle bursts, so requests are spaced out and retried with backoff.
+// Resolves to null once every attempt has failed.
+let nextRequestAt = 0;
+const request = async (call) => {
+    for (let attempt = 0; attempt < RETRIES; attempt++) {
+        const slot = Math.max(Date.now(), nextRequestAt);
+        nextRequestAt = slot + REQUEST_SPACING_MS;
+        await sleep(slot - Date.now());
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+        try {
+            return await call(controller.signal);
+        } catch (err) {
+            console.warn(`[Routing] Attempt ${attempt + 1} failed:`, err.message);
+            if (attempt < RETRIES - 1) await sleep(500 * (attempt + 1));
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+    return null;
+};
+
+/**
+ * Road route through the waypoints, in order.
+ * @param {number[][]} waypoints - [lat, lng] points
+ * @param {object} [settings] - From getRoutingSettings
+ * @returns {Promise<{ geometry: number[][], durationSeconds: number, distanceMeters: number, estimated: boolean } | null>}
+ *   estimated is true when any leg is a straight-line estimate; null for fewer than two waypoints
+ */
+export const fetchRoute = async (waypoints, settings = DEFAULT_ROUTING) => {
+    if (!waypoints || waypoints.length < 2) return null;
+    const provider = PROVIDERS[settings.provider];
+    const baseUrl = baseUrlOf(settings);
+    const online = settings.provider !== 'straight';
+
+    const legKeys = waypoints.slice(1).map((to, i) => `${cachePrefix(settings)}|${pointKey(waypoints[i])}|${pointKey(to)}`);
+    const legs = online ? await getCachedMany('legs', legKeys) : legKeys.map(() => null);
+    legKeys.forEach((_, i) => {
+        // The same stop twice in a row needs no route
+        if (!legs[i] && pointKey(waypoints[i]) === pointKey(waypoints[i + 1])) {
+            legs[i] = { geometry: [waypoints[i]], durationSeconds: 0, distanceMeters: 0 };
+        }
+    });
+
+    let estimated = !online;
+    // Fetch each run of missing legs, a limited number of waypoints at a time
+    for (let start = 0; start < legs.length;) {
+        if (legs[start]) { start++; continue; }
+        let end = start;
+        while (end < legs.length && !legs[end] && end - start < MAX_ROUTE_POINTS - 1) end++;
+
+        const points = waypoints.slice(start, end + 1);
+        const fetched = online
+            ? await request(signal => provider.route(points, { baseUrl, signal }))
+            : await provider.route(points, {});
+        const toCache = [];
+        for (let i = start; i < end; i++) {
+            const leg = fetched?.[i - start];
+            if (leg) {
+                legs[i] = leg;
+                toCache.push([legKeys[i], leg]);
+            } else {
+                legs[i] = estimateLeg(waypoints[i], waypoints[i + 1]);
+                estimated = true;
+            }
+        }
+        if (online) putCachedMany('legs', toCache);
+        start = end;
+    }
+
+    return {
+        // Each leg starts where the previous one ended
+        geometry: legs.flatMap((leg, i) => i === 0 ? leg.geometry : leg.geometry.slice(1)),
+        durationSeconds: legs.reduce((sum, leg) => sum + leg.durationSeconds, 0),
+        distanceMeters: legs.reduce((sum, leg) => sum + leg.distanceMeters, 0),
+        estimated
+    };
+};
+
+const blocks = (count, size) => {
+    const result = [];
+    for (let i = 0; i < count; i += size) result.push([...Array(Math.min(size, count - i)).keys()].map(k => i + k));
+    return result;
+};
+
+/**
+ * Drive times and distances between every pair of points, for the optimizer.
+ * @param {number[][]} points - [lat, lng] points
+ * @param {object} [settings] - From getRoutingSettings
+ * @returns {Promise<{ durations: number[][], distances: number[][], estimated: boolean }>}
+ *   seconds and metres, durations[from][to]; estimated as for fetchRoute
+ */
+export const fetchDurationMatrix = async (points, settings = DEFAULT_ROUTING) => {
+    const provider = PROVIDERS[settings.provider];
+    const baseUrl = baseUrlOf(settings);
+    const online = settings.provider !== 'straight';
+    const keys = points.map(pointKey);
+    const pairKey = (i, j) => `${cachePrefix(settings)}|${keys[i]}|${keys[j]}`;
+
+    const durations = points.map(() => points.map(() => null));
+    const distances = points.map(() => points.map(() => null));
+    const missing = new Set();
+    // One cache read per row rather than one per cell
+    for (const i of points.keys()) {
+        const row = online ? await getCachedMany('pairs', points.map((_, j) => pairKey(i, j))) : points.map(() => null);
+        row.forEach((cached, j) => {
+            if (i === j || keys[i] === keys[j]) {
+                durations[i][j] = 0;
+                distances[i][j] = 0;
+            } else if (cached) {
+                durations[i][j] = cached.durationSeconds;
+                distances[i][j] = cached.distanceMeters;
+            } else {
+                missing.add(`${i}:${j}`);
+            }
+        });
+    }
+
+    let estimated = !online;
+    const indexBlocks = blocks(points.length, MAX_MATRIX_POINTS);
+    for (const sources of indexBlocks) {
+        for (const targets of indexBlocks) {
+            if (!sources.some(i => targets.some(j => missing.has(`${i}:${j}`)))) continue;
+
+            const result = online
+                ? await request(signal => provider.matrix(sources.map(i => points[i]), targets.map(j => points[j]), { baseUrl, signal }))
+                : await provider.matrix(sources.map(i => points[i]), targets.map(j => points[j]), {});
+            const toCache = [];
+            sources.forEach((i, si) => targets.forEach((j, ti) => {
+                if (!missing.has(`${i}:${j}`)) return;
+                const durationSeconds = result?.durations?.[si]?.[ti];
+                const distanceMeters = result?.distances?.[si]?.[ti];
+                if (durationSeconds != null) {
+                    durations[i][j] = durationSeconds;
+                    distances[i][j] = distanceMeters ?? estimateLeg(points[i], points[j]).distanceMeters;
+                    toCache.push([pairKey(i, j), { durationSeconds, distanceMeters: distances[i][j] }]);
+                } else {
+                    // No road between them, or the server failed: straight-line estimate
+                    const leg = estimateLeg(points[i], points[j]);
+                    durations[i][j] = leg.durationSeconds;
+                    distances[i][j] = leg.distanceMeters;
+                    estimated = true;
+                }
+            }));
+            if (online) putCachedMany('pairs', toCache);
+        }
+    }
+
+    return { durations, distances, estimated };
+};
@@ -0,0 +1,67 @@
+import { fetchDurationMatrix } from './index';
+import { optimizeTour } from '../workers/optimizeTasks';
+
+const runOptimizeTask = (durations, options, onProgress) => {
+    const runInline = async () => optimizeTour(durations, { ...options, onProgress });
+    if (typeof Worker === 'undefined') return runInline();
+
+    let worker;
+    try {
+        worker = new Worker(new URL('../workers/optimize.worker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+        console.warn('[Optimizer] Running without a worker:', err);
+        return runInline();
+    }
+
+    return new Promise((resolve, reject) => {
+        worker.onmessage = (e) => {
+            const { type, progress, result, message } = e.data;
+            if (type === 'progress') {
+                if (onProgress) onProgress(progress);
+                return;
+            }
+            worker.terminate();
+            if (type === 'done') resolve(result);
+            else reject(new Error(message));
+        };
+        worker.onerror = (e) => {
+            worker.terminate();
+            reject(new Error(e.message || 'Optimizer worker failed'));
+        };
+        worker.postMessage({ durations, options });
+    });
+};
+
+/**
+ * Reorders stops to cut drive time, with drive times from the trip's routing provider.
+ * @param {number[][]} points - The stops' [lat, lng], in their current order
+ * @param {number[]} options.start - Where the route starts
+ * @param {number[]|null} [options.end] - Where it must finish, or null to finish at the last stop
+ * @param {object} [options.settings] - From getRoutingSettings
+ * @param {number} [options.timeBudgetMs]
+ * @param {Function} [options.onProgress] - Called with { phase, done, total }
+ * @returns {Promise<{ order: number[], before: object, after: object, estimated: boolean }>}
+ *   order indexes `points`. before and after are { seconds, meters, legs } for the current and new
+ *   order, with one leg { seconds, meters } into each stop plus the leg to `end`.
+ */
+export const optimizeRoute = async (points, { start, end = null, settings, timeBudgetMs, onProgress } = {}) => {
+    const matrixPoints = [start, ...points, ...(end ? [end] : [])];
+    if (onProgress) onProgress({ phase: 'Fetching drive times', done: 0, total: 0 });
+    const { durations, distances, estimated } = await fetchDurationMatrix(matrixPoints, settings);
+
+    const stops = points.map((_, i) => i + 1);
+    const endIndex = end ? matrixPoints.length - 1 : null;
+    const { order } = await runOptimizeTask(durations, { start: 0, end: endIndex, stops, timeBudgetMs }, onProgress);
+
+    const totals = (ordered) => {
+        const path = [0, ...ordered, ...(endIndex === null ? [] : [endIndex])];
+        const legs = path.slice(1).map((to, i) => ({ seconds: durations[path[i]][to], meters: distances[path[i]][to] }));
+        return {
+            seconds: legs.reduce((sum, leg) => sum + leg.seconds, 0),
+            meters: legs.reduce((sum, leg) => sum + leg.meters, 0),
+            legs
+        };
+    };
+
+    return { order: order.map(i => i - 1), before: totals(stops), after: totals(order), estimated };
+};
@@ -0,0 +1,151 @@
+import { distanceMeters } from '../utils/spatialIndex';
+
+/*
+ * Routing provider contract used by routing/index.js. Points are [lat, lng].
+ *
+ *   route(points, { baseUrl, signal })                  -> Promise<Array<{ geometry, durationSeconds, distanceMeters }>>
+ *       one leg per consecutive pair of points; geometry is [lat, lng][] from one point to the next
+ *   matrix(sources, targets, { baseUrl, signal })       -> Promise<{ durations: number[][], distances: number[][] }>
+ *       seconds and metres from each source to each target (null where there is no road)
+ *
+ * Both throw when the server can't be reached or answers with an error.
+ */
+
+// Average road speed and detour factor for straight-line estimates (about 65 mph, 20% longer than the crow flies)
+const ROAD_FACTOR = 1.2;
+const ROAD_SPEED_MPS = 29;
+
+export const estimateLeg = (from, to) => {
+    const meters = distanceMeters(from, to) * ROAD_FACTOR;
+    return { geometry: [from, to], durationSeconds: meters / ROAD_SPEED_MPS, distanceMeters: meters };
+};
+
+const getJSON = async (url, signal) => {
+    const res = await fetch(url, { signal });
+    if (!res.ok) throw new Error(`HTTP error: ${res.status}`);
+    return res.json();
+};
+
+// --- OSRM (http://project-osrm.org/docs/v5.24.0/api/) ---
+
+const osrmCoordinates = (points) => points.map(([lat, lng]) => `${lng},${lat}`).join(';');
+
+const osrm = {
+    defaultUrl: 'https://router.project-osrm.org',
+
+    route: async (points, { baseUrl, signal }) => {
+        // Steps carry the geometry of each leg separately
+        const data = await getJSON(`${baseUrl}/route/v1/driving/${osrmCoordinates(points)}?overview=false&steps=true&geometries=geojson`, signal);
+        if (data.code !== 'Ok' || !data.routes?.length) throw new Error(`OSRM error code: ${data.code}`);
+        return data.routes[0].legs.map(leg => ({
+            geometry: leg.steps.flatMap(step => step.geometry.coordinates.map(([lng, lat]) => [lat, lng])),
+            durationSeconds: leg.duration,
+            distanceMeters: leg.distance
+        }));
+    },
+
+    matrix: async (sources, targets, { baseUrl, signal }) => {
+        const points = [...sources, ...targets];
+        const sourceIdx = sources.map((_, i) => i).join(';');
+        const targetIdx = targets.map((_, i) => sources.length + i).join(';');
+        const data = await getJSON(
+            `${baseUrl}/table/v1/driving/${osrmCoordinates(points)}?sources=${sourceIdx}&destinations=${targetIdx}&annotations=duration,distance`,
+            signal
+        );
+        if (data.code !== 'Ok') throw new Error(`OSRM error code: ${data.code}`);
+        return { durations: data.durations, distances: data.distances };
+    }
+};
+
+// --- Valhalla (https://valhalla.github.io/valhalla/api/) ---
+
+// Valhalla shapes are Google-style encoded polylines with 6 decimal places
+const decodePolyline6 = (encoded) => {
+    const points = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+    while (index < encoded.length) {
+        for (const axis of [0, 1]) {
+            let result = 0;
+            let shift = 0;
+            let byte;
+            do {
+                byte = encoded.charCodeAt(index++) - 63;
+                result |= (byte & 0x1f) << shift;
+                shift += 5;
+            } while (byte >= 0x20);
+            const delta = result & 1 ? ~(result >> 1) : result >> 1;
+            if (axis === 0) lat += delta;
+            else lng += delta;
+        }
+        points.push([lat / 1e6, lng / 1e6]);
+    }
+    return points;
+};
+
+const valhallaLocations = (points) => points.map(([lat, lng]) => ({ lat, lon: lng }));
+
+// GET with the request as a json parameter avoids a CORS preflight
+const valhallaRequest = (baseUrl, action, body, signal) =>
+    getJSON(`${baseUrl}/${action}?json=${encodeURIComponent(JSON.stringify(body))}`, signal);
+
+const valhalla = {
+    defaultUrl: 'https://valhalla1.openstreetmap.de',
+
+    route: async (points, { baseUrl, signal }) => {
+        const data = await valhallaRequest(baseUrl, 'route', {
+            locations: valhallaLocations(points),
+            costing: 'auto',
+            directions_type: 'none',
+            units: 'kilometers'
+        }, signal);
+        if (!data.trip?.legs) throw new Error(`Valhalla error: ${data.error || 'no route'}`);
+        return data.trip.legs.map(leg => ({
+            geometry: decodePolyline6(leg.shape),
+            durationSeconds: leg.summary.time,
+            distanceMeters: leg.summary.length * 1000
+        }));
+    },
+
+    matrix: async (sources, targets, { baseUrl, signal }) => {
+        const data = await valhallaRequest(baseUrl, 'sources_to_targets', {
+            sources: valhallaLocations(sources),
+            targets: valhallaLocations(targets),
+            costing: 'auto',
+            units: 'kilometers'
+        }, signal);
+        if (!data.sources_to_targets) throw new Error(`Valhalla error: ${data.error || 'no matrix'}`);
+        const durations = sources.map(() => targets.map(() => null));
+        const distances = sources.map(() => targets.map(() => null));
+        // Rows of cells in most versions, a flat list in some; from/to indexes work for both
+        for (const cell of data.sources_to_targets.flat()) {
+            durations[cell.from_index][cell.to_index] = cell.time;
+            distances[cell.from_index][cell.to_index] = cell.distance == null ? null : cell.distance * 1000;
+        }
+        return { durations, distances };
+    }
+};
+
+// --- Straight lines (offline, no server) ---
+
+const straight = {
+    defaultUrl: '',
+    route: async (points) => points.slice(1).map((to, i) => estimateLeg(points[i], to)),
+    matrix: async (sources, targets) => {
+        const legs = sources.map(from => targets.map(to => estimateLeg(from, to)));
+        return {
+            durations: legs.map(row => row.map(leg => leg.durationSeconds)),
+            distances: legs.map(row => row.map(leg => leg.distanceMeters))
+        };
+    }
+};
+
+export const PROVIDERS = { osrm, valhalla, straight };
+
+// Choices for the trip's routing setting; a server URL replaces the public one (self-hosted)
+export const ROUTING_PROVIDERS = [
+    { key: 'osrm', label: 'OSRM', description: 'Public OSRM demo server, or your own OSRM server' },
+    { key: 'valhalla', label: 'Valhalla', description: 'Public Valhalla server (OpenStreetMap Germany), or your own' },
+    { key: 'straight', label: 'Straight lines', description: 'No routing server; drive times estimated from distance' }
+];
@@ -0,0 +1,69 @@
+import { STORAGE_BACKEND } from '../config';
+import { createIdbStore, createMemoryStore } from '../backends/localBackend';
+
+// Persistent cache of road legs and drive-time pairs, so re-opening the map or re-running the
+// optimizer doesn't ask the routing server again for routes that haven't changed. Entries are
+// keyed by provider and rounded coordinates, and expire so road changes eventually show up.
+
+const CACHE_DB_NAME = 'travel-records-routing';
+const MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// ~1 m; points closer than this are the same stop as far as routing goes
+const roundCoord = (value) => Number(value).toFixed(5);
+
+export const pointKey = ([lat, lng]) => `${roundCoord(lat)},${roundCoord(lng)}`;
+
+// The throwaway memory backend (and environments without IndexedDB) get a throwaway cache
+const store = STORAGE_BACKEND === 'memory' || typeof indexedDB === 'undefined'
+    ? createMemoryStore()
+    : createIdbStore(CACHE_DB_NAME);
+
+const CACHE_KINDS = ['legs', 'pairs'];
+
+const isExpired = (entry) => Date.now() - entry.cachedAt > MAX_AGE_MS;
+
+// Routes between points that have since moved are never asked for again, so expired entries
+// are also swept out once per session rather than only when they're read
+let pruned = null;
+const pruneExpired = () => {
+    if (!pruned) {
+        pruned = Promise.all(CACHE_KINDS.map(async (kind) => {
+            const expired = (await store.getAll(kind)).filter(r => isExpired(r.data));
+            if (expired.length > 0) await store.commit(expired.map(r => ({ col: kind, id: r.id, data: null })));
+        })).catch(err => console.warn('[Routing] Cache cleanup failed:', err));
+    }
+    return pruned;
+};
+
+/**
+ * Cached values for many keys, read in a single transaction.
+ * @param {'legs'|'pairs'} kind - Route legs with geometry, or matrix cells (duration and distance only)
+ * @returns {Promise<Array<object|null>>} In the order of `keys`; null where missing or expired
+ */
+export const getCachedMany = async (kind, keys) => {
+    pruneExpired();
+    try {
+        const entries = (await store.getMany(kind, keys)).map(entry => entry && isExpired(entry) ? 'expired' : entry);
+        const expired = keys.filter((key, i) => entries[i] === 'expired');
+        if (expired.length > 0) await store.commit(expired.map(id => ({ col: kind, id, data: null })));
+        return entries.map(entry => entry && entry !== 'expired' ? entry.value : null);
+    } catch (err) {
+        console.warn('[Routing] Cache read failed:', err);
+        return keys.map(() => null);
+    }
+};
+
+/**
+ * Cache many values at once, written in a single transaction.
+ * @param {Array<[string, object]>} entries - [key, value] pairs
+ */
+export const putCachedMany = async (kind, entries) => {
+    if (entries.length === 0) return;
+    const cachedAt = Date.now();
+    try {
+        await store.commit(entries.map(([id, value]) => ({ col: kind, id, data: { value, cachedAt } })));
+    } catch (err) {
+        console.warn('[Routing] Cache write failed:', err);
+    }
+};
+
@@ -1,5 +1,5 @@
 import { storage } from './firebase';
-import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { ref, uploadBytes, getDownloadURL, listAll, deleteObject } from 'firebase/storage';
 
 /**
  * Upload a base64 data URL to Firebase Storage and return the download URL.
@@ -67,3 +67,33 @@ export const processMediaInContent = async (html, sectionId) => {
 
     return doc.body.innerHTML;
 };
+
+// Collect every file under a folder, descending into sub-folders
+const listFilesRecursive = async (folderRef) => {
+    const { items, prefixes } = await listAll(folderRef);
+    const nested = await Promise.all(prefixes.map(listFilesRecursive));
+    return items.concat(...nested);
+};
+
+/**
+ * Delete all uploaded media for a section (everything under "notes/{sectionId}/").
+ * Does nothing when Firebase Storage is not in use (local storage backends).
+ * @param {string} sectionId - Section doc ID the media was uploaded under
+ * @returns {Promise<number>} Number of files deleted
+ */
+export const deleteSectionMedia = async (sectionId) => {
+    if (!storage || !sectionId) return 0;
+    const files = await listFilesRecursive(ref(storage, `notes/${sectionId}`));
+    await Promise.all(files.map(fileRef => deleteObject(fileRef)));
+    return files.length;
+};
+
+/**
+ * List the section IDs that have a media folder under "notes/".
+ * @returns {Promise<string[]>}
+ */
+export const listMediaFolders = async () => {
+    if (!storage) return [];
+    const { prefixes } = await listAll(ref(storage, 'notes'));
+    return prefixes.map(p => p.name);
+};
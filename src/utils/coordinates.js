@@ -0,0 +1,277 @@
+// Shared coordinate parsing. Sections store "lat,lon" decimal strings, but imports and hand
+// edits bring in whatever the district had: DMS, degrees-decimal-minutes, UTM or Texas State
+// Plane, often with swapped or unsigned values. parseCoordinates reads all of these, fixes the
+// likely mistakes against the Texas extent, and says what it did (warnings) or why it
+// couldn't (error) so callers can show it instead of silently dropping the section.
+// Corrections are only made where someone sees them (imports and edits); reading a stored
+// value (toLatLng) never moves it.
+
+export const TEXAS_BOUNDS = { minLat: 25.8, maxLat: 36.6, minLng: -106.7, maxLng: -93.5 };
+
+export const inBounds = ([lat, lng], bounds) =>
+    lat >= bounds.minLat && lat <= bounds.maxLat && lng >= bounds.minLng && lng <= bounds.maxLng;
+
+const toRad = (deg) => deg * Math.PI / 180;
+const toDeg = (rad) => rad * 180 / Math.PI;
+
+// --- UTM (WGS84) ---
+
+const utmToLatLng = (zone, northern, easting, northing) => {
+    const a = 6378137;
+    const f = 1 / 298.257223563;
+    const k0 = 0.9996;
+    const e2 = f * (2 - f);
+    const ep2 = e2 / (1 - e2);
+
+    const x = easting - 500000;
+    const y = northern ? northing : northing - 10000000;
+    const lng0 = toRad((zone - 1) * 6 - 180 + 3);
+
+    const mu = y / k0 / (a * (1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256));
+    const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+    const phi1 = mu
+        + (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu)
+        + (21 * e1 ** 2 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu)
+        + (151 * e1 ** 3 / 96) * Math.sin(6 * mu)
+        + (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+
+    const sin1 = Math.sin(phi1);
+    const cos1 = Math.cos(phi1);
+    const tan1 = Math.tan(phi1);
+    const N1 = a / Math.sqrt(1 - e2 * sin1 ** 2);
+    const T1 = tan1 ** 2;
+    const C1 = ep2 * cos1 ** 2;
+    const R1 = a * (1 - e2) / Math.pow(1 - e2 * sin1 ** 2, 1.5);
+    const D = x / (N1 * k0);
+
+    const lat = phi1 - (N1 * tan1 / R1) * (D ** 2 / 2
+        - (5 + 3 * T1 + 10 * C1 - 4 * C1 ** 2 - 9 * ep2) * D ** 4 / 24
+        + (61 + 90 * T1 + 298 * C1 + 45 * T1 ** 2 - 252 * ep2 - 3 * C1 ** 2) * D ** 6 / 720);
+    const lng = lng0 + (D
+        - (1 + 2 * T1 + C1) * D ** 3 / 6
+        + (5 - 2 * C1 + 28 * T1 - 3 * C1 ** 2 + 8 * ep2 + 24 * T1 ** 2) * D ** 5 / 120) / cos1;
+
+    return [toDeg(lat), toDeg(lng)];
+};
+
+// --- Texas State Plane (NAD83, Lambert Conformal Conic) ---
+
+// [standard parallel 1, standard parallel 2, latitude of origin, central meridian] in degrees,
+// false easting/northing in metres
+const TEXAS_ZONES = {
+    4201: { name: 'North', parallels: [34 + 39 / 60, 36 + 11 / 60], origin: [34, -101.5], falseEN: [200000, 1000000] },
+    4202: { name: 'North Central', parallels: [32 + 8 / 60, 33 + 58 / 60], origin: [31 + 40 / 60, -98.5], falseEN: [600000, 2000000] },
+    4203: { name: 'Central', parallels: [30 + 7 / 60, 31 + 53 / 60], origin: [29 + 40 / 60, -100 - 20 / 60], falseEN: [700000, 3000000] },
+    4204: { name: 'South Central', parallels: [28 + 23 / 60, 30 + 17 / 60], origin: [27 + 50 / 60, -99], falseEN: [600000, 4000000] },
+    4205: { name: 'South', parallels: [26 + 10 / 60, 27 + 50 / 60], origin: [25 + 40 / 60, -98.5], falseEN: [300000, 5000000] },
+};
+
+const US_SURVEY_FOOT = 1200 / 3937;
+
+const statePlaneToLatLng = (zoneCode, easting, northing) => {
+    const zone = TEXAS_ZONES[zoneCode];
+    const a = 6378137;
+    const f = 1 / 298.257222101; // GRS80
+    const e = Math.sqrt(f * (2 - f));
+
+    const m = (phi) => Math.cos(phi) / Math.sqrt(1 - e ** 2 * Math.sin(phi) ** 2);
+    const t = (phi) => Math.tan(Math.PI / 4 - phi / 2)
+        / Math.pow((1 - e * Math.sin(phi)) / (1 + e * Math.sin(phi)), e / 2);
+
+    const [phi1, phi2] = zone.parallels.map(toRad);
+    const [phi0, lng0] = zone.origin.map(toRad);
+    const n = (Math.log(m(phi1)) - Math.log(m(phi2))) / (Math.log(t(phi1)) - Math.log(t(phi2)));
+    const F = m(phi1) / (n * Math.pow(t(phi1), n));
+    const rho0 = a * F * Math.pow(t(phi0), n);
+
+    const x = easting - zone.falseEN[0];
+    const y = rho0 - (northing - zone.falseEN[1]);
+    const rho = Math.sqrt(x ** 2 + y ** 2);
+    const theta = Math.atan2(x, y);
+    const tp = Math.pow(rho / (a * F), 1 / n);
+
+    let phi = Math.PI / 2 - 2 * Math.atan(tp);
+    for (let i = 0; i < 6; i++) {
+        const es = e * Math.sin(phi);
+        phi = Math.PI / 2 - 2 * Math.atan(tp * Math.pow((1 - es) / (1 + es), e / 2));
+    }
+    return [toDeg(phi), toDeg(theta / n + lng0)];
+};
+
+const ZONE_BY_NAME = Object.fromEntries(
+    Object.entries(TEXAS_ZONES).map(([code, zone]) => [zone.name.toLowerCase(), code])
+);
+
+// "4203 3112345.6 10123456.7 ft", "SPCS 4203 E 3112345 N 10123456", "TX Central 949000 3072000 m"
+const STATE_PLANE_PATTERN = /^(?:spcs\s*)?(?:(42\d{2})|(?:tx|texas)\s+(north central|south central|north|central|south))\s*[:,]?\s*e?\s*(\d+(?:\.\d+)?)\s*e?\s*[,;\s]\s*n?\s*(\d+(?:\.\d+)?)\s*n?\s*(us\s*ft|ftus|ft|feet|m|meters|metres)?$/i;
+
+const parseStatePlane = (text, bounds) => {
+    const match = text.match(STATE_PLANE_PATTERN);
+    if (!match) return null;
+    const code = match[1] || ZONE_BY_NAME[match[2].toLowerCase()];
+    if (!TEXAS_ZONES[code]) return { error: `Unknown Texas State Plane zone ${match[1]}` };
+
+    const easting = Number(match[3]);
+    const northing = Number(match[4]);
+    const unit = match[5]?.toLowerCase();
+    const inMetres = () => statePlaneToLatLng(code, easting, northing);
+    const inFeet = () => statePlaneToLatLng(code, easting * US_SURVEY_FOOT, northing * US_SURVEY_FOOT);
+
+    if (unit) return { latLng: unit.startsWith('m') ? inMetres() : inFeet(), format: 'State Plane' };
+    // TxDOT works in US survey feet; fall back to metres when feet land outside the state
+    const feet = inFeet();
+    const latLng = inBounds(feet, bounds) ? feet : inMetres();
+    return { latLng, format: 'State Plane' };
+};
+
+// "14R 621234 3348765", "14N 621234mE 3348765mN". Letters N-X are northern latitude bands.
+const UTM_PATTERN = /^(\d{1,2})\s*([c-hj-np-x])\s*[,;\s]\s*(\d+(?:\.\d+)?)\s*m?\s*e?\s*[,;\s]\s*(\d+(?:\.\d+)?)\s*m?\s*n?$/i;
+
+const parseUTM = (text) => {
+    const match = text.match(UTM_PATTERN);
+    if (!match) return null;
+    const zone = Number(match[1]);
+    if (zone < 1 || zone > 60) return { error: `UTM zone ${zone} doesn't exist` };
+    const northern = match[2].toUpperCase() >= 'N';
+    return { latLng: utmToLatLng(zone, northern, Number(match[3]), Number(match[4])), format: 'UTM' };
+};
+
+// --- Degrees (decimal, DMS, degrees-decimal-minutes) ---
+
+const FORMAT_BY_PARTS = { 1: 'decimal', 2: 'DDM', 3: 'DMS' };
+
+// One axis: optional hemisphere letter before or after, then 1-3 numbers
+const parseAxis = (text) => {
+    const hemispheres = text.toUpperCase().match(/[NSEW]/g) || [];
+    if (hemispheres.length > 1) return { error: `"${text.trim()}" has more than one hemisphere letter` };
+    const numbers = text.match(/-?\d+(?:\.\d+)?/g) || [];
+    if (numbers.length === 0 || numbers.length > 3) return { error: `Can't read "${text.trim()}"` };
+
+    const [deg, min = 0, sec = 0] = numbers.map(Number);
+    if (numbers.length > 1 && (min >= 60 || sec >= 60 || min < 0 || sec < 0 || !Number.isInteger(deg))) {
+        return { error: `"${text.trim()}" has minutes or seconds out of range` };
+    }
+    const hemisphere = hemispheres[0] || null;
+    const magnitude = Math.abs(deg) + min / 60 + sec / 3600;
+    const negative = deg < 0 || text.trim().startsWith('-') || hemisphere === 'S' || hemisphere === 'W';
+    return { value: negative ? -magnitude : magnitude, hemisphere, parts: numbers.length };
+};
+
+// Splits "lat lon" into its two axes, whatever separates them
+const splitAxes = (text) => {
+    // Trailing hemisphere letters: split after the first ("30 15 N 97 44 W")
+    const trailing = text.match(/^(.*?\d[^NSEW\d]*[NSEW])\s*[,;]?\s*(.+)$/i);
+    if (trailing && /[NSEW]\s*$/i.test(text)) return [trailing[1], trailing[2]];
+    // Leading hemisphere letters: split before the second ("N30 15 W97 44")
+    const leading = text.match(/^([NSEW].*?)\s*[,;]?\s*([NSEW].*)$/i);
+    if (leading && /^[NSEW]/i.test(text)) return [leading[1], leading[2]];
+
+    const delimited = text.split(/\s*[,;]\s*/);
+    if (delimited.length === 2) return delimited;
+
+    // Space separated: "30.1 -97.2", "30 15.5 -97 44.2", "30 15 30 -97 44 12"
+    const tokens = text.split(/\s+/);
+    if (tokens.length % 2 === 0 && tokens.length <= 6) {
+        return [tokens.slice(0, tokens.length / 2).join(' '), tokens.slice(tokens.length / 2).join(' ')];
+    }
+    return null;
+};
+
+const parseDegrees = (text) => {
+    const axesText = splitAxes(text);
+    if (!axesText) return { error: 'Expected a latitude and a longitude' };
+    const axes = axesText.map(parseAxis);
+    const failed = axes.find(a => a.error);
+    if (failed) return { error: failed.error };
+
+    // Hemisphere letters say which axis is which, whatever the order
+    let [first, second] = axes;
+    if (first.hemisphere && 'EW'.includes(first.hemisphere) && (!second.hemisphere || 'NS'.includes(second.hemisphere))) {
+        [first, second] = [second, first];
+    }
+    const parts = Math.max(first.parts, second.parts);
+    return { latLng: [first.value, second.value], format: FORMAT_BY_PARTS[parts] };
+};
+
+// --- Sanity checks ---
+
+// Likely data-entry mistakes, tried in order when a point falls outside the expected area
+const CORRECTIONS = [
+    { fix: ([lat, lng]) => [lat, -lng], warning: 'Longitude sign corrected (west is negative)' },
+    { fix: ([lat, lng]) => [lng, lat], warning: 'Latitude and longitude were swapped' },
+    { fix: ([lat, lng]) => [lng, -lat], warning: 'Latitude and longitude were swapped and the longitude sign corrected' },
+    { fix: ([lat, lng]) => [-lat, lng], warning: 'Latitude sign corrected (north is positive)' },
+];
+
+const checkLatLng = (latLng, bounds, correct) => {
+    let point = latLng;
+    const warnings = [];
+
+    if (correct && Math.abs(point[0]) > 90 && Math.abs(point[1]) <= 90) {
+        point = [point[1], point[0]];
+        warnings.push('Latitude and longitude were swapped');
+    }
+    if (Math.abs(point[0]) > 90 || Math.abs(point[1]) > 180) {
+        return { error: 'Latitude must be within ±90° and longitude within ±180°' };
+    }
+
+    if (bounds && !inBounds(point, bounds)) {
+        const correction = correct && CORRECTIONS.find(c => inBounds(c.fix(point), bounds));
+        if (correction) {
+            point = correction.fix(point);
+            warnings.push(correction.warning);
+        } else {
+            warnings.push('Outside Texas');
+        }
+    }
+    return { latLng: point, warnings };
+};
+
+const EMPTY = { latLng: null, format: null, warnings: [], error: null, coordinates: '' };
+
+/**
+ * Reads a coordinate string in any supported notation.
+ * @param {string} input - Decimal degrees, DMS, DDM, UTM ("14R 621234 3348765") or Texas State
+ *   Plane ("4203 3112345 10123456 ft")
+ * @param {{ bounds?: object|null, correct?: boolean }} [options] - bounds is the area the point
+ *   should fall in (null skips the checks); with correct off, swapped or unsigned values are
+ *   reported or rejected rather than fixed
+ * @returns {{ latLng: [number, number]|null, format: string|null, warnings: string[], error: string|null, coordinates: string }}
+ *   `coordinates` is the normalised "lat,lon" string to store
+ */
+export const parseCoordinates = (input, { bounds = TEXAS_BOUNDS, correct = true } = {}) => {
+    const text = String(input ?? '')
+        .replace(/[′’‘`]/g, "'")
+        .replace(/[″”“]|''/g, '"')
+        .replace(/º/g, '°')
+        .trim();
+    if (!text) return EMPTY;
+
+    const parsed = parseStatePlane(text, bounds || TEXAS_BOUNDS) || parseUTM(text) || parseDegrees(text);
+    if (parsed.error) return { ...EMPTY, error: parsed.error };
+
+    const checked = checkLatLng(parsed.latLng, bounds, correct);
+    if (checked.error) return { ...EMPTY, format: parsed.format, error: checked.error };
+
+    return {
+        latLng: checked.latLng,
+        format: parsed.format,
+        warnings: checked.warnings,
+        error: null,
+        coordinates: formatLatLng(checked.latLng)
+    };
+};
+
+export const formatLatLng = ([lat, lng]) => `${Number(lat.toFixed(6))},${Number(lng.toFixed(6))}`;
+
+/**
+ * [lat, lng] for a stored coordinate string, or null when it can't be read. The value is taken
+ * as stored, without corrections.
+ */
+export const toLatLng = (input) => parseCoordinates(input, { bounds: null, correct: false }).latLng;
+
+/**
+ * Whether parsing changed the stored value: a notation other than decimal, or a correction.
+ */
+export const needsNormalizing = (input, parsed = parseCoordinates(input)) =>
+    !!parsed.latLng && (parsed.format !== 'decimal' || parsed.warnings.some(w => w !== 'Outside Texas'));
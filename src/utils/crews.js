@@ -0,0 +1,64 @@
+import { toLatLng } from './coordinates';
+import { distanceMeters } from './spatialIndex';
+
+// Crews for trips that run several vehicles in parallel (project.crews):
+// [{ id, name, members: [email], vehicle, homeLocation: { name, coordinates } | null }].
+// Each day of the plan belongs to one crew (day.crewId) and its stops follow. Trips without
+// crews work as before: one route from the trip's home.
+
+export const CREW_COLORS = ['#6366f1', '#f97316', '#14b8a6', '#ec4899', '#84cc16', '#0ea5e9'];
+
+export const getCrews = (project) => project?.crews || [];
+
+export const newCrew = (crews) => ({
+    id: `crew-${Date.now().toString(36)}`,
+    name: `Crew ${crews.length + 1}`,
+    members: [],
+    vehicle: '',
+    homeLocation: null
+});
+
+// Days without a crew, or whose crew was removed, belong to the first crew
+export const crewForDay = (day, crews) => crews.find(c => c.id === day.crewId) || crews[0] || null;
+
+export const crewColor = (crew, crews) => CREW_COLORS[Math.max(0, crews.indexOf(crew)) % CREW_COLORS.length];
+
+/**
+ * Where a crew's days start and finish: its home base, or the trip's home if it has none.
+ * @returns {{ position: number[], name: string }}
+ */
+export const crewHome = (crew, homePosition, homeName) => {
+    const latLng = crew?.homeLocation && toLatLng(crew.homeLocation.coordinates);
+    return latLng
+        ? { position: latLng, name: crew.homeLocation.name || `${crew.name} base` }
+        : { position: homePosition, name: homeName };
+};
+
+/**
+ * Pairs groups of stops with crews, nearest crew home to the group's centre first, so each
+ * crew takes the stops closest to its base. Every crew gets at most one group.
+ * @param {number[][][]} groups - Each group's stop [lat, lng]s
+ * @param {object[]} crews
+ * @param {number[]} homePosition - The trip's home, for crews without a home base
+ * @returns {object[]} The crew for each group
+ */
+export const assignGroupsToCrews = (groups, crews, homePosition) => {
+    const centres = groups.map(points => [
+        points.reduce((sum, p) => sum + p[0], 0) / points.length,
+        points.reduce((sum, p) => sum + p[1], 0) / points.length
+    ]);
+    const pairs = groups.flatMap((_, g) => crews.map(crew => ({
+        g,
+        crew,
+        meters: distanceMeters(centres[g], crewHome(crew, homePosition, '').position)
+    }))).sort((a, b) => a.meters - b.meters);
+
+    const assigned = new Array(groups.length).fill(null);
+    const taken = new Set();
+    for (const { g, crew } of pairs) {
+        if (assigned[g] || taken.has(crew)) continue;
+        assigned[g] = crew;
+        taken.add(crew);
+    }
+    return assigned;
+};
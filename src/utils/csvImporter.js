@@ -1,189 +1,268 @@
-import Papa from 'papaparse';
+import { read, utils } from 'xlsx';
 import { getSections } from '../db';
+import { parseCSVFile, analyzeRows } from '../workers/importTasks';
 
-// Helper to calculate distance between two coordinates in meters
-const getDistanceFromLatLonInMeters = (lat1, lon1, lat2, lon2) => {
-    const R = 6371e3; // metres
-    const φ1 = lat1 * Math.PI / 180;
-    const φ2 = lat2 * Math.PI / 180;
-    const Δφ = (lat2 - lat1) * Math.PI / 180;
-    const Δλ = (lon2 - lon1) * Math.PI / 180;
-
-    const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-        Math.cos(φ1) * Math.cos(φ2) *
-        Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-
-    return R * c;
-}
-
-const PARSE_OPTIONS = {
-    header: true,
-    skipEmptyLines: true,
-    transformHeader: (header) => header.trim(),
-};
+export { DEFAULT_PROXIMITY_METERS } from '../workers/importTasks';
+
+// Built-in section fields a source column can be mapped to, with the header variants
+// recognised automatically. Latitude/longitude columns are combined into coordinates.
+export const IMPORT_FIELDS = [
+    { field: 'id', label: 'Section ID', headers: ['Section ID', 'ID', 'SectionId'] },
+    { field: 'type', label: 'Section Type', headers: ['Section Type', 'Section Data Type', 'Type', 'DataType'] },
+    { field: 'highway', label: 'Highway', headers: ['Highway', 'Hwy', 'Hwy Name', 'Highway Name'] },
+    { field: 'district', label: 'District', headers: ['District'] },
+    { field: 'county', label: 'County', headers: ['County'] },
+    { field: 'city', label: 'City', headers: ['City'] },
+    { field: 'coordinates', label: 'GPS Coordinates', headers: ['GPS Coordinates', 'GPS', 'Coordinates', 'LatLong'] },
+    { field: 'latitude', label: 'Latitude', headers: ['Latitude', 'Lat'] },
+    { field: 'longitude', label: 'Longitude', headers: ['Longitude', 'Lon', 'Lng', 'Long'] },
+    { field: 'test_sequence', label: 'Test Sequence', headers: ['Test Sequence', 'TestSequence', 'Sequence'] },
+];
+
+const normalizeHeader = (str) => str ? str.toLowerCase().replace(/[^a-z0-9]/g, '') : '';
+
+export const toFieldName = (header) => header.trim().toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '');
 
-// Helper to find value by fuzzy header match
-const getValue = (row, ...possibleHeaders) => {
-    // Normalize: lowercase and remove non-alphanumeric characters
-    const normalize = (str) => str ? str.toLowerCase().replace(/[^a-z0-9]/g, '') : '';
-    const targets = possibleHeaders.map(normalize);
+/**
+ * Proposes a mapping for each source column: { target: field | 'custom' | 'ignore', name? }.
+ * A mapping saved from an earlier import wins over the header guess; unknown columns
+ * become custom fields, as they always have.
+ * @param {string[]} columns
+ * @param {object} [saved] - Trip's importMapping, keyed by normalised header
+ */
+export const guessMapping = (columns, saved = {}) => {
+    const mapping = {};
+    const taken = new Set();
+
+    for (const column of columns) {
+        const remembered = saved?.[normalizeHeader(column)];
+        if (remembered) {
+            mapping[column] = remembered;
+            if (remembered.target !== 'custom' && remembered.target !== 'ignore') taken.add(remembered.target);
+        }
+    }
 
-    for (const key in row) {
-        if (targets.includes(normalize(key))) {
-            return row[key] ? row[key].trim() : '';
+    for (const column of columns) {
+        if (mapping[column]) continue;
+        const known = IMPORT_FIELDS.find(f => !taken.has(f.field) && f.headers.map(normalizeHeader).includes(normalizeHeader(column)));
+        if (known) {
+            mapping[column] = { target: known.field };
+            taken.add(known.field);
+        } else {
+            mapping[column] = { target: 'custom', name: toFieldName(column) };
         }
     }
-    return '';
+
+    // GIS layers usually label features only by name, which then serves as the section ID
+    const nameColumn = columns.find(c => normalizeHeader(c) === 'name');
+    if (!taken.has('id') && nameColumn && !saved?.[normalizeHeader(nameColumn)]) {
+        mapping[nameColumn] = { target: 'id' };
+    }
+    return mapping;
 };
 
-export const parseCSV = (file) => {
-    return new Promise((resolve, reject) => {
-        Papa.parse(file, {
-            ...PARSE_OPTIONS,
-            complete: (results) => {
-                const rawRows = results.data;
-                const mappedSections = [];
-
-                // Known field mappings: csv header variants -> internal field name
-                const knownMappings = [
-                    { field: 'id', headers: ['Section ID', 'ID', 'SectionId'] },
-                    { field: 'type', headers: ['Section Type', 'Section Data Type', 'Type', 'DataType'] },
-                    { field: 'highway', headers: ['Highway', 'Hwy'] },
-                    { field: 'district', headers: ['District'] },
-                    { field: 'county', headers: ['County'] },
-                    { field: 'city', headers: ['City'] },
-                    { field: 'coordinates', headers: ['GPS Coordinates', 'GPS', 'Coordinates', 'LatLong'] },
-                    { field: 'test_sequence', headers: ['Test Sequence', 'TestSequence', 'Sequence'] },
-                ];
-
-                const normalize = (str) => str ? str.toLowerCase().replace(/[^a-z0-9]/g, '') : '';
-
-                for (const row of rawRows) {
-                    const section = {};
-                    const matchedCsvKeys = new Set();
-
-                    // Map known fields
-                    for (const mapping of knownMappings) {
-                        const targets = mapping.headers.map(normalize);
-                        for (const key in row) {
-                            if (targets.includes(normalize(key))) {
-                                section[mapping.field] = row[key] ? row[key].trim() : '';
-                                matchedCsvKeys.add(key);
-                                break;
-                            }
-                        }
-                    }
-
-                    if (!section.id) continue; // Skip rows without ID
-                    section.id = String(section.id);
-                    if (!section.type) section.type = 'Uncategorized';
-
-                    // Capture any extra/unknown columns as additional fields
-                    for (const key in row) {
-                        if (!matchedCsvKeys.has(key)) {
-                            const snakeKey = key.trim().toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '');
-                            if (snakeKey && row[key] && row[key].trim()) {
-                                section[snakeKey] = row[key].trim();
-                            }
-                        }
-                    }
-
-                    // Don't set status or details here — preserve existing if merging
-                    if (!section.status) section.status = 'Not Evaluated';
-
-                    mappedSections.push(section);
-                }
-
-                resolve({ sections: mappedSections });
-            },
-            error: (error) => reject(error),
-        });
-    });
+// What gets stored on the trip, so the same headers map the same way next time
+export const mappingToSave = (mapping) => {
+    const saved = {};
+    for (const column in mapping) {
+        const key = normalizeHeader(column);
+        if (key) saved[key] = mapping[column];
+    }
+    return saved;
 };
 
-export const analyzeImport = async (parsedData, username, projectId) => {
-    const sectionsToAnalyze = Array.isArray(parsedData) ? parsedData : (parsedData.sections || []);
+/**
+ * Problems that stop a mapping from being imported.
+ * @returns {string[]}
+ */
+export const validateMapping = (mapping) => {
+    const targets = Object.values(mapping).map(m => m.target);
+    const errors = [];
+    if (!targets.includes('id')) errors.push('Map a column to Section ID');
+    for (const field of IMPORT_FIELDS) {
+        if (targets.filter(t => t === field.field).length > 1) errors.push(`${field.label} is mapped more than once`);
+    }
+    if (targets.includes('latitude') !== targets.includes('longitude')) {
+        errors.push('Latitude and Longitude must be mapped together');
+    }
+    const customNames = Object.values(mapping).filter(m => m.target === 'custom').map(m => toFieldName(m.name || ''));
+    if (customNames.some(name => !name)) errors.push('Custom fields need a name');
+    if (customNames.some(name => IMPORT_FIELDS.some(f => f.field === name) || name === 'status')) {
+        errors.push('Custom field names must not repeat a built-in field');
+    }
+    return errors;
+};
 
-    const existingSections = await getSections(username, projectId);
-    const report = {
-        newOrUpdates: [],      // Completely new sections
-        mergeable: [],         // Existing sections with new field data to merge
-        duplicates: [],        // Exact duplicates (no new data)
-        errors: [],
-    };
+/**
+ * Turns header-keyed rows (from a CSV or a worksheet) into sections.
+ * @param {object[]} rawRows
+ * @param {object} mapping - From guessMapping, as adjusted by the user
+ */
+export const applyMapping = (rawRows, mapping) => {
+    const mappedSections = [];
 
-    for (const section of sectionsToAnalyze) {
-        const existingById = existingSections.find(s => s.id === section.id);
-
-        if (existingById) {
-            // Check if the incoming section has any new or changed fields
-            const newFields = {};
-            for (const key in section) {
-                if (key === 'status' || key === 'details') continue; // Don't overwrite status or details
-                const existingVal = existingById[key];
-                const newVal = section[key];
-                if (newVal && newVal !== existingVal) {
-                    newFields[key] = newVal;
-                }
-            }
+    for (const row of rawRows) {
+        const section = {};
+        let latitude = '';
+        let longitude = '';
 
-            // Remove fields that are the same
-            const meaningfulNewFields = Object.keys(newFields).filter(k => k !== 'id');
+        for (const column in mapping) {
+            const { target, name } = mapping[column];
+            const value = row[column] != null ? String(row[column]).trim() : '';
 
-            if (meaningfulNewFields.length > 0) {
-                report.mergeable.push({
-                    newSection: section,
-                    existingSection: existingById,
-                    newFields: newFields,
-                    fieldNames: meaningfulNewFields
-                });
+            if (target === 'ignore') continue;
+            if (target === 'latitude') latitude = value;
+            else if (target === 'longitude') longitude = value;
+            else if (target === 'custom') {
+                const field = toFieldName(name || '');
+                if (field && value) section[field] = value;
             } else {
-                report.duplicates.push({
-                    newSection: section,
-                    existingSection: existingById,
-                    reason: 'Identical — no new data'
-                });
-            }
-        } else {
-            // Check for coordinate proximity clash
-            let lat, lon;
-            if (section.coordinates) {
-                const parts = section.coordinates.split(',').map(s => parseFloat(s.trim()));
-                if (parts.length === 2 && !isNaN(parts[0]) && !isNaN(parts[1])) {
-                    lat = parts[0];
-                    lon = parts[1];
-                }
+                section[target] = value;
             }
+        }
 
-            let nearbySection = null;
-            if (lat && lon) {
-                const thresholdMeters = 50;
-                for (const ex of existingSections) {
-                    if (ex.coordinates) {
-                        const exParts = ex.coordinates.split(',').map(s => parseFloat(s.trim()));
-                        if (exParts.length === 2) {
-                            const dist = getDistanceFromLatLonInMeters(lat, lon, exParts[0], exParts[1]);
-                            if (dist < thresholdMeters) {
-                                nearbySection = ex;
-                                break;
-                            }
-                        }
-                    }
-                }
-            }
+        if (!section.id) continue; // Skip rows without ID
+        section.id = String(section.id);
+        if (!section.type) section.type = 'Uncategorized';
 
-            if (nearbySection) {
-                report.duplicates.push({
-                    newSection: section,
-                    existingSection: nearbySection,
-                    reason: 'Similar coordinates'
-                });
-            } else {
-                report.newOrUpdates.push(section);
-            }
+        // Read (and checked) with the rest in analyzeImport, so DMS columns work too
+        if (!section.coordinates && latitude && longitude) {
+            section.coordinates = `${latitude}, ${longitude}`;
         }
+
+        // Don't set status or details here — preserve existing if merging
+        if (!section.status) section.status = 'Not Evaluated';
+
+        mappedSections.push(section);
     }
 
-    return report;
+    return { sections: mappedSections };
+};
+
+// Runs a task from workers/importTasks.js in a worker so large files don't freeze the page,
+// or inline where module workers aren't available
+const runImportTask = (task, payload, onProgress) => {
+    const runInline = async () => task === 'parse'
+        ? parseCSVFile(payload.file, onProgress)
+        : analyzeRows(payload.sections, payload.existing, { ...payload.options, onProgress });
+    if (typeof Worker === 'undefined') return runInline();
+
+    let worker;
+    try {
+        worker = new Worker(new URL('../workers/import.worker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+        console.warn('[Import] Running without a worker:', err);
+        return runInline();
+    }
+
+    return new Promise((resolve, reject) => {
+        worker.onmessage = (e) => {
+            const { type, progress, result, message } = e.data;
+            if (type === 'progress') {
+                if (onProgress) onProgress(progress);
+                return;
+            }
+            worker.terminate();
+            if (type === 'done') resolve(result);
+            else reject(new Error(message));
+        };
+        worker.onerror = (e) => {
+            worker.terminate();
+            reject(new Error(e.message || 'Import worker failed'));
+        };
+        worker.postMessage({ task, ...payload });
+    });
+};
+
+/**
+ * Reads a CSV file into its columns and header-keyed rows, parsing in a worker.
+ * @param {Function} [options.onProgress] - Called with { phase, done, total }
+ * @returns {Promise<{ columns: string[], rows: object[] }>}
+ */
+export const readCSV = (file, { onProgress } = {}) => runImportTask('parse', { file }, onProgress);
+
+export const parseCSV = async (file) => {
+    const { columns, rows } = await readCSV(file);
+    return applyMapping(rows, guessMapping(columns));
+};
+
+export const isSpreadsheetFile = (file) => /\.(xlsx|xls)$/i.test(file?.name || '');
+
+/**
+ * Reads an Excel workbook and lists its sheets with their data row counts.
+ * @returns {Promise<{ workbook: object, sheets: { name: string, rowCount: number }[] }>}
+ */
+export const readWorkbook = async (file) => {
+    const workbook = read(await file.arrayBuffer(), { type: 'array' });
+    const sheets = workbook.SheetNames.map(name => ({
+        name,
+        rowCount: readSheet(workbook, name).rows.length
+    }));
+    return { workbook, sheets };
+};
+
+// Displayed text that is just the number rounded to the cell's format (e.g. "33.51" for
+// 33.51234): no leading zeros, separators, units or date parts
+const PLAIN_NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?$/;
+
+/**
+ * Reads one worksheet the way readCSV reads a file. Cells come back as their displayed
+ * text, so IDs like "0012" and dates match the CSV path, except plain numbers: those keep
+ * every digit, so coordinates formatted to a few decimals aren't cut short.
+ * @returns {{ columns: string[], rows: object[] }}
+ */
+export const readSheet = (workbook, sheetName) => {
+    const sheet = workbook.Sheets[sheetName];
+    if (!sheet) return { columns: [], rows: [] };
+
+    const options = { defval: '', blankrows: false };
+    const values = utils.sheet_to_json(sheet, { ...options, raw: true });
+    const rows = utils.sheet_to_json(sheet, { ...options, raw: false }).map((row, i) => {
+        const trimmed = {};
+        for (const key in row) {
+            if (key.startsWith('__EMPTY')) continue; // Columns without a header
+            const value = values[i]?.[key];
+            const text = String(row[key]);
+            trimmed[key.trim()] = typeof value === 'number' && PLAIN_NUMBER.test(text) ? String(value) : text;
+        }
+        return trimmed;
+    });
+    // Every row carries every column (defval), so the first one lists them in sheet order
+    return { columns: Object.keys(rows[0] || {}), rows };
+};
+
+/**
+ * Per-field choices for the mergeable rows of an import report, one object per row mapping
+ * each field to true (take the incoming value) or false (keep the existing one). Empty fields
+ * are always filled; conflicting ones take the incoming value unless `rules` says otherwise.
+ * @param {object[]} mergeable - report.mergeable
+ * @param {object} [rules] - { [field]: 'existing' | 'incoming' }, e.g. the trip's importMergeRules
+ */
+export const mergeDecisions = (mergeable, rules = {}) => mergeable.map(m => Object.fromEntries(
+    m.fieldNames.map(field => [field, !(m.conflicts.includes(field) && rules[field] === 'existing')])
+));
+
+/**
+ * The partial section to write (with merge) for one mergeable row, or null if every
+ * change was rejected.
+ */
+export const resolveMerge = (item, decision) => {
+    const accepted = item.fieldNames.filter(field => decision[field]);
+    if (accepted.length === 0) return null;
+    return {
+        id: item.newSection.id,
+        ...Object.fromEntries(accepted.map(field => [field, item.newFields[field]]))
+    };
+};
+
+/**
+ * Compares mapped sections with the trip's stored ones (see analyzeRows), in a worker.
+ * @param {number} [options.proximityMeters] - New sections this close to an existing one are flagged as duplicates
+ * @param {Function} [options.onProgress] - Called with { phase, done, total }
+ */
+export const analyzeImport = async (parsedData, username, projectId, { proximityMeters, onProgress } = {}) => {
+    const sections = Array.isArray(parsedData) ? parsedData : (parsedData.sections || []);
+    if (onProgress) onProgress({ phase: 'Loading the trip', done: 0, total: 0 });
+    const existing = await getSections(username, projectId);
+    return runImportTask('analyze', { sections, existing, options: { proximityMeters } }, onProgress);
 };
@@ -0,0 +1,139 @@
+import { parseCoordinates, inBounds, TEXAS_BOUNDS } from './coordinates';
+import { createSpatialIndex, distanceMeters } from './spatialIndex';
+
+// Checks that decide whether a trip's sections are usable in the field: mappable, in the
+// right place, uniquely identified and sequenced. Each issue names the section to fix.
+
+const NEARBY_METERS = 50;
+const FAR_FROM_TRIP_KM = 200;
+// The optimizer numbers each day's stops in their own block: 1, 2, ... then 1001, 1002, ...
+const SEQUENCE_BLOCK = 1000;
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+export const QUALITY_CHECKS = [
+    { key: 'coordinates', label: 'Missing or invalid coordinates', description: "These sections don't appear on the Trip Map." },
+    { key: 'region', label: 'Outside the trip region', description: 'Far from the rest of the trip, outside Texas for trips in Texas, or probably swapped.' },
+    { key: 'duplicates', label: 'Duplicate IDs', description: 'Several stored copies share one ID (only the newest is shown), or the ID is double-prefixed.' },
+    { key: 'nearby', label: 'Near-identical locations', description: `Different sections within ${NEARBY_METERS} m of each other.` },
+    { key: 'sequence', label: 'Sequence gaps and collisions', description: 'Blank sequences are excluded from the route on purpose and not listed.' },
+    { key: 'fields', label: 'Missing required fields', description: 'Highway and section type are needed for planning and reports.' },
+];
+
+/**
+ * Runs every check over a trip's sections.
+ * @param {object[]} sections - As returned by getSections
+ * @param {object[]} [repairs] - From findSectionRepairs
+ * @returns {Object<string, { section: object, message: string }[]>} Issues keyed by QUALITY_CHECKS key
+ */
+export const checkDataQuality = (sections, repairs = []) => {
+    const issues = Object.fromEntries(QUALITY_CHECKS.map(c => [c.key, []]));
+    const located = [];
+
+    // Checked as stored: the map draws them without corrections
+    for (const section of sections) {
+        if (!section.coordinates || !String(section.coordinates).trim()) {
+            issues.coordinates.push({ section, message: 'No coordinates' });
+            continue;
+        }
+        const parsed = parseCoordinates(section.coordinates, { bounds: null, correct: false });
+        if (parsed.error) {
+            const fixed = parseCoordinates(section.coordinates);
+            const hint = fixed.latLng ? ` (${fixed.warnings.join('; ')}? It would read as ${fixed.coordinates})` : '';
+            issues.coordinates.push({ section, message: `Can't read "${section.coordinates}": ${parsed.error}${hint}` });
+            continue;
+        }
+        located.push({ section, latLng: parsed.latLng, coordinates: parsed.coordinates });
+    }
+
+    // The trip's region comes from where its sections are: trips centred in Texas are held to
+    // the Texas extent, anywhere else only to their own spread (the outlier check below)
+    const center = located.length > 0
+        ? [median(located.map(l => l.latLng[0])), median(located.map(l => l.latLng[1]))]
+        : null;
+    const region = center && inBounds(center, TEXAS_BOUNDS) ? TEXAS_BOUNDS : null;
+    if (region) {
+        for (const { section, latLng, coordinates } of located) {
+            if (inBounds(latLng, region)) continue;
+            const fixed = parseCoordinates(section.coordinates, { bounds: region });
+            issues.region.push({
+                section,
+                message: fixed.latLng && inBounds(fixed.latLng, region)
+                    ? `${fixed.warnings.join('; ')}? It would read as ${fixed.coordinates}`
+                    : `Outside Texas (${coordinates})`
+            });
+        }
+    }
+
+    // Outliers: far from the middle of the trip compared with how spread out it is
+    // (a typo in the degrees, usually)
+    if (located.length >= 3) {
+        const distancesKm = located.map(l => distanceMeters(center, l.latLng) / 1000);
+        const limitKm = Math.max(FAR_FROM_TRIP_KM, 3 * median(distancesKm));
+        for (const [i, { section }] of located.entries()) {
+            const km = distancesKm[i];
+            if (km > limitKm && !issues.region.some(issue => issue.section === section)) {
+                issues.region.push({ section, message: `${Math.round(km)} km from the rest of the trip` });
+            }
+        }
+    }
+
+    for (const { shortId, winner, copies } of repairs) {
+        const kept = sections.find(s => s.docId === winner.docId) || winner;
+        issues.duplicates.push({
+            section: kept,
+            message: copies.length > 1 ? `${copies.length} stored copies of "${shortId}"` : `Stored as "${winner.docId}"`
+        });
+    }
+
+    const index = createSpatialIndex(located.map((l, i) => [l.latLng, i]), NEARBY_METERS);
+    for (const [j, { section, latLng }] of located.entries()) {
+        for (const { value: i, meters } of index.within(latLng)) {
+            if (i >= j) continue;
+            issues.nearby.push({ section, message: `${Math.round(meters)} m from #${located[i].section.id}` });
+        }
+    }
+
+    const sequenced = sections.filter(s => s.test_sequence != null && String(s.test_sequence).trim() !== '');
+    const bySequence = new Map();
+    for (const section of sequenced) {
+        const seq = Number(section.test_sequence);
+        if (!Number.isInteger(seq) || seq < 1) {
+            issues.sequence.push({ section, message: `Sequence "${section.test_sequence}" isn't a whole number` });
+            continue;
+        }
+        bySequence.set(seq, [...(bySequence.get(seq) || []), section]);
+    }
+    // Gaps are looked for within each block, so an optimized trip's 1, 2, 1001, 1002 is complete
+    const numbers = [...bySequence.keys()].sort((a, b) => a - b);
+    let previous = 0;
+    for (const seq of numbers) {
+        const blockStart = Math.floor((seq - 1) / SEQUENCE_BLOCK) * SEQUENCE_BLOCK;
+        if (previous < blockStart) previous = blockStart;
+
+        const atSeq = bySequence.get(seq);
+        if (atSeq.length > 1) {
+            for (const section of atSeq) {
+                issues.sequence.push({ section, message: `Sequence ${seq} is shared with ${atSeq.length - 1} other section${atSeq.length > 2 ? 's' : ''}` });
+            }
+        }
+        if (seq > previous + 1) {
+            const missing = seq - 1 === previous + 1 ? `${previous + 1}` : `${previous + 1}–${seq - 1}`;
+            issues.sequence.push({ section: atSeq[0], message: `Sequence jumps to ${seq}; ${missing} unused` });
+        }
+        previous = seq;
+    }
+
+    for (const section of sections) {
+        const missing = [];
+        if (!section.highway || !String(section.highway).trim()) missing.push('highway');
+        if (!section.type || section.type === 'Uncategorized') missing.push('section type');
+        if (missing.length > 0) issues.fields.push({ section, message: `No ${missing.join(' or ')}` });
+    }
+
+    return issues;
+};
@@ -0,0 +1,118 @@
+import { toLatLng } from './coordinates';
+import { crewForDay, crewHome } from './crews';
+
+// Per-trip day planning settings (project.dayPlanning) and how each planned day is laid out:
+// where it starts and ends, which stops it visits, and how long the crew spends at them.
+
+export const DEFAULT_DAY_PLANNING = {
+    maxDayHours: 10,
+    defaultStopMinutes: 15,
+    stopMinutesByType: {}  // { [section type]: minutes }
+};
+
+export const getDayPlanningSettings = (project) => ({
+    ...DEFAULT_DAY_PLANNING,
+    ...(project?.dayPlanning || {}),
+    stopMinutesByType: { ...(project?.dayPlanning?.stopMinutesByType || {}) }
+});
+
+export const stopMinutesFor = (section, settings) =>
+    settings.stopMinutesByType[section.type || 'Uncategorized'] ?? settings.defaultStopMinutes;
+
+/**
+ * Lays out each planned day. Each crew's days follow on from one another: a day starts at its
+ * own start location (a hotel) if it has one, otherwise where the crew's previous day ended
+ * (the crew's home for its first day). It ends at its own end location if it has one, at the
+ * crew's home on the crew's last day, and otherwise at its last stop.
+ * @param {object[]} daysPlan - [{ day, sequences, crewId?, startLocation?, endLocation? }]; locations are { name, coordinates }
+ * @param {object[]} sections
+ * @param {number[]} homePosition - [lat, lng]
+ * @param {string} [homeName]
+ * @param {object[]} [crews] - From getCrews
+ * @returns {object[]} In day order: { day, crew, sections, located, start, startName, end, endName, waypoints }.
+ *   sections are the day's stops in sequence order; located are those with coordinates as
+ *   { section, latLng }; end is null when the day finishes at its last stop; waypoints run from
+ *   start through the located stops to end.
+ */
+export const planDays = (daysPlan, sections, homePosition, homeName = 'Home', crews = []) => {
+    const sortedDays = [...daysPlan].sort((a, b) => a.day - b.day);
+    const lastDayOf = new Map(sortedDays.map(plan => [crewForDay(plan, crews), plan.day]));
+    const ended = new Map(); // crew -> { location, locationName } where its latest day finished
+
+    return sortedDays.map(plan => {
+        const crew = crewForDay(plan, crews);
+        const home = crewHome(crew, homePosition, homeName);
+        const { location, locationName } = ended.get(crew) || { location: home.position, locationName: home.name };
+
+        const daySections = sections
+            .filter(s => plan.sequences.includes(Number(s.test_sequence)))
+            .sort((a, b) => Number(a.test_sequence) - Number(b.test_sequence));
+        const located = daySections
+            .map(section => ({ section, latLng: toLatLng(section.coordinates) }))
+            .filter(x => x.latLng);
+
+        const hotelStart = plan.startLocation && toLatLng(plan.startLocation.coordinates);
+        const start = hotelStart || location;
+        const startName = hotelStart ? plan.startLocation.name || 'Start' : locationName;
+
+        const hotelEnd = plan.endLocation && toLatLng(plan.endLocation.coordinates);
+        let end = null;
+        let endName = null;
+        if (hotelEnd) {
+            end = hotelEnd;
+            endName = plan.endLocation.name || 'End';
+        } else if (plan.day === lastDayOf.get(crew)) {
+            end = home.position;
+            endName = home.name;
+        }
+
+        // The crew's next day starts where this one finished
+        if (end) {
+            ended.set(crew, { location: end, locationName: endName });
+        } else if (located.length > 0) {
+            ended.set(crew, { location: located[located.length - 1].latLng, locationName: `Day ${plan.day}'s last stop` });
+        } else {
+            ended.set(crew, { location: start, locationName: startName });
+        }
+
+        return {
+            day: plan.day,
+            crew,
+            sections: daySections,
+            located,
+            start,
+            startName,
+            end,
+            endName,
+            waypoints: [start, ...located.map(x => x.latLng), ...(end ? [end] : [])]
+        };
+    });
+};
+
+/**
+ * Splits an ordered tour into days: about an equal share of the work for each planned day, but
+ * never more than the day limit, adding days once the planned ones are full. A single stop that
+ * doesn't fit in a day on its own still gets a day.
+ * @param {number[]} minutes - Work for each stop in tour order: the drive to it plus its stop time
+ * @param {number} finishMinutes - Drive from the last stop to where the trip ends
+ * @param {number} dayCount - Days currently planned
+ * @param {number} maxDayMinutes
+ * @returns {number[]} The (0-based) day each stop falls on
+ */
+export const splitIntoDays = (minutes, finishMinutes, dayCount, maxDayMinutes) => {
+    const total = minutes.reduce((sum, m) => sum + m, 0) + finishMinutes;
+    const balanced = (total / Math.max(dayCount, 1)) * 1.05;
+
+    let dayIdx = 0;
+    let dayMinutes = 0;
+    return minutes.map((m, i) => {
+        const work = m + (i === minutes.length - 1 ? finishMinutes : 0);
+        const limit = dayIdx < dayCount - 1 ? Math.min(balanced, maxDayMinutes) : maxDayMinutes;
+        if (dayMinutes > 0 && dayMinutes + work > limit) {
+            dayIdx++;
+            dayMinutes = 0;
+        }
+        dayMinutes += work;
+        return dayIdx;
+    });
+};
@@ -103,3 +103,244 @@ export const exportToExcel = async (sections, username, showAlert) => {
         }
     }
 };
+
+// --- GIS exports (GPX for Garmin units, KML for Google Earth, GeoJSON for QGIS) ---
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const stopProperties = (stop, group) => ({
+    id: stop.id,
+    type: stop.type || 'Uncategorized',
+    highway: stop.highway || '',
+    status: stop.status || 'Not Evaluated',
+    day: group.day ?? null,
+    sequence: stop.test_sequence ? Number(stop.test_sequence) : null
+});
+
+const stopSummary = (props) => [
+    props.type,
+    props.highway,
+    props.status,
+    props.day != null ? `Day ${props.day}` : '',
+    props.sequence != null ? `Stop ${props.sequence}` : ''
+].filter(Boolean).join(' · ');
+
+const buildGPX = ({ name, groups }) => {
+    const waypoints = groups.flatMap(group => group.stops.map(stop => {
+        const props = stopProperties(stop, group);
+        const [lat, lng] = stop.latLng;
+        return `  <wpt lat="${lat}" lon="${lng}">
+    <name>${escapeXml(props.id)}</name>
+    <desc>${escapeXml(stopSummary(props))}</desc>
+    <type>${escapeXml(props.type)}</type>
+  </wpt>`;
+    }));
+    const tracks = groups.filter(group => group.track.length >= 2).map(group => `  <trk>
+    <name>${escapeXml(group.name)}</name>
+    <trkseg>
+${group.track.map(([lat, lng]) => `      <trkpt lat="${lat}" lon="${lng}"/>`).join('\n')}
+    </trkseg>
+  </trk>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="TechMRT Travels" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${escapeXml(name)}</name></metadata>
+${[...waypoints, ...tracks].join('\n')}
+</gpx>
+`;
+};
+
+const buildKML = ({ name, groups }) => {
+    const folders = groups.map(group => {
+        const placemarks = group.stops.map(stop => {
+            const props = stopProperties(stop, group);
+            const [lat, lng] = stop.latLng;
+            const data = Object.entries(props)
+                .filter(([, value]) => value !== null && value !== '')
+                .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+                .join('');
+            return `      <Placemark>
+        <name>${escapeXml(props.id)}</name>
+        <description>${escapeXml(stopSummary(props))}</description>
+        <ExtendedData>${data}</ExtendedData>
+        <Point><coordinates>${lng},${lat}</coordinates></Point>
+      </Placemark>`;
+        });
+        if (group.track.length >= 2) {
+            placemarks.push(`      <Placemark>
+        <name>${escapeXml(group.name)} route</name>
+        <styleUrl>#route</styleUrl>
+        <LineString><tessellate>1</tessellate><coordinates>${group.track.map(([lat, lng]) => `${lng},${lat}`).join(' ')}</coordinates></LineString>
+      </Placemark>`);
+        }
+        return `    <Folder>
+      <name>${escapeXml(group.name)}</name>
+${placemarks.join('\n')}
+    </Folder>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>
+    <Style id="route"><LineStyle><color>fff6823b</color><width>4</width></LineStyle></Style>
+${folders.join('\n')}
+  </Document>
+</kml>
+`;
+};
+
+const buildGeoJSON = ({ groups }) => {
+    const features = groups.flatMap(group => {
+        const points = group.stops.map(stop => ({
+            type: 'Feature',
+            properties: stopProperties(stop, group),
+            geometry: { type: 'Point', coordinates: [stop.latLng[1], stop.latLng[0]] }
+        }));
+        if (group.track.length < 2) return points;
+        return [...points, {
+            type: 'Feature',
+            properties: { name: group.name, day: group.day ?? null, stops: group.stops.length },
+            geometry: { type: 'LineString', coordinates: group.track.map(([lat, lng]) => [lng, lat]) }
+        }];
+    });
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+};
+
+const exportBaseName = (name) => `${name.replace(/[^a-z0-9]/gi, '_')}-${new Date().toISOString().slice(0, 10)}`;
+
+const downloadText = (text, fileName, mime) => {
+    const blob = new Blob([text], { type: mime });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+};
+
+const GIS_FORMATS = {
+    gpx: { build: buildGPX, extension: 'gpx', mime: 'application/gpx+xml' },
+    kml: { build: buildKML, extension: 'kml', mime: 'application/vnd.google-earth.kml+xml' },
+    geojson: { build: buildGeoJSON, extension: 'geojson', mime: 'application/geo+json' }
+};
+
+/**
+ * Export route stops as waypoints and road geometry as tracks/LineStrings.
+ * @param {'gpx'|'kml'|'geojson'} format
+ * @param {object} route - { name, groups: [{ name, day, stops, track }] }; stops are sections
+ *   with `latLng`, track is [[lat, lng], ...] (the OSRM geometry, or the stops themselves)
+ * @param {Function} showAlert - Optional callback for showing alerts
+ */
+export const exportRoute = (format, route, showAlert) => {
+    try {
+        const { build, extension, mime } = GIS_FORMATS[format];
+        if (!route.groups.some(group => group.stops.length > 0)) {
+            if (showAlert) showAlert("No mapped stops to export.");
+            return;
+        }
+
+        downloadText(build(route), `${exportBaseName(route.name)}.${extension}`, mime);
+    } catch (error) {
+        console.error("Export failed:", error);
+        if (showAlert) {
+            showAlert("Export failed. See console for details.", "error");
+        } else {
+            alert("Export failed. See console for details.");
+        }
+    }
+};
+
+// --- iCalendar export (one all-day event per planned day) ---
+
+const escapeICS = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// RFC 5545 lines are at most 75 octets; longer ones continue on lines starting with a space
+const foldICSLine = (line) => {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (encoder.encode(current + char).length > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const icsDate = (date) => date.replace(/-/g, '');
+
+const buildICS = ({ name, uid, days }) => {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const nextDay = (date) => new Date(Date.parse(`${date}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const events = days.map(day => [
+        'BEGIN:VEVENT',
+        `UID:${uid}-day-${day.day}@techmrt-travels`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${icsDate(day.date)}`,
+        `DTEND;VALUE=DATE:${icsDate(nextDay(day.date))}`,
+        `SUMMARY:${escapeICS(`${name} — Day ${day.day}${day.crewName ? ` — ${day.crewName}` : ''} (${day.stops.length} stop${day.stops.length === 1 ? '' : 's'})`)}`,
+        `DESCRIPTION:${escapeICS([
+            day.crewName ? `Crew: ${day.crewName}` : '',
+            `Start: ${day.startName}`,
+            ...day.stops.map(stop => [
+                `${stop.test_sequence || '-'}. ${stop.id}`,
+                stop.type || 'Uncategorized',
+                stop.highway,
+                stop.coordinates && `(${stop.coordinates})`
+            ].filter(Boolean).join(' · ')),
+            `End: ${day.endName}`,
+            day.timeStr ? `Estimated time: ${day.timeStr}` : ''
+        ].filter(Boolean).join('\n'))}`,
+        ...(day.startName ? [`LOCATION:${escapeICS(day.startName)}`] : []),
+        'END:VEVENT'
+    ]);
+
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//TechMRT//Travels//EN',
+        'CALSCALE:GREGORIAN',
+        `X-WR-CALNAME:${escapeICS(name)}`,
+        ...events.flat(),
+        'END:VCALENDAR'
+    ].map(foldICSLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Export the days plan as an iCalendar file, one all-day event per dated day listing its stops.
+ * @param {object} calendar - { name, uid, days: [{ day, date, stops, startName, endName, timeStr, crewName? }] };
+ *   uid identifies the trip so re-imported events replace the earlier ones
+ * @param {Function} showAlert - Optional callback for showing alerts
+ */
+export const exportCalendar = (calendar, showAlert) => {
+    try {
+        if (calendar.days.length === 0) {
+            if (showAlert) showAlert("No dated days to export. Set the trip's start date first.");
+            return;
+        }
+        downloadText(buildICS(calendar), `${exportBaseName(calendar.name)}.ics`, 'text/calendar');
+    } catch (error) {
+        console.error("Export failed:", error);
+        if (showAlert) {
+            showAlert("Export failed. See console for details.", "error");
+        } else {
+            alert("Export failed. See console for details.");
+        }
+    }
+};
@@ -0,0 +1,153 @@
+import { CFB } from 'xlsx';
+
+// Reads GIS layers (GeoJSON, KML/KMZ, GPX waypoints) into the same { columns, rows } shape
+// as readCSV, so they go through the column-mapping step and analyzeImport like any other
+// import. Each feature becomes a row of its properties plus a "GPS Coordinates" column.
+
+const COORDINATES_COLUMN = 'GPS Coordinates';
+
+export const isGeoFile = (file) => /\.(geojson|json|kml|kmz|gpx)$/i.test(file?.name || '');
+
+const formatCoordinates = (lat, lon) => {
+    const la = Number(lat);
+    const lo = Number(lon);
+    if (!Number.isFinite(la) || !Number.isFinite(lo)) return '';
+    return `${la},${lo}`;
+};
+
+const toCell = (value) => {
+    if (value == null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value).trim();
+};
+
+// Columns in first-seen order, with coordinates last
+const toTable = (rows) => {
+    const columns = [];
+    for (const row of rows) {
+        for (const key in row) {
+            if (key !== COORDINATES_COLUMN && !columns.includes(key)) columns.push(key);
+        }
+    }
+    columns.push(COORDINATES_COLUMN);
+    return { columns, rows };
+};
+
+// --- GeoJSON ---
+
+// Lines and polygons are placed at their first vertex (where a section starts)
+const firstPosition = (geometry) => {
+    if (!geometry) return null;
+    if (geometry.type === 'GeometryCollection') {
+        for (const g of geometry.geometries || []) {
+            const position = firstPosition(g);
+            if (position) return position;
+        }
+        return null;
+    }
+    let coords = geometry.coordinates;
+    while (Array.isArray(coords) && Array.isArray(coords[0])) coords = coords[0];
+    return Array.isArray(coords) && coords.length >= 2 ? coords : null;
+};
+
+const parseGeoJSON = (text) => {
+    const json = JSON.parse(text);
+    const features = json.type === 'FeatureCollection' ? json.features || []
+        : json.type === 'Feature' ? [json]
+            : json.type ? [{ type: 'Feature', geometry: json, properties: {} }]
+                : null;
+    if (!features) throw new Error('Not a GeoJSON file');
+
+    return toTable(features.map(feature => {
+        const row = {};
+        if (feature.id != null) row['Feature ID'] = toCell(feature.id);
+        for (const key in feature.properties || {}) {
+            row[key.trim()] = toCell(feature.properties[key]);
+        }
+        const position = firstPosition(feature.geometry);
+        // GeoJSON positions are [longitude, latitude]
+        row[COORDINATES_COLUMN] = position ? formatCoordinates(position[1], position[0]) : '';
+        return row;
+    }));
+};
+
+// --- KML / GPX (XML) ---
+
+// Namespace-agnostic, so prefixed and unprefixed documents both work
+const byTag = (el, name) => Array.from(el.getElementsByTagNameNS('*', name));
+
+const childText = (el, name) => {
+    const child = byTag(el, name)[0];
+    return child ? child.textContent.trim() : '';
+};
+
+const parseXml = (text) => {
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+    if (xml.getElementsByTagName('parsererror').length > 0) throw new Error('Could not read the XML');
+    return xml;
+};
+
+const parseKML = (text) => {
+    const xml = parseXml(text);
+    return toTable(byTag(xml, 'Placemark').map(placemark => {
+        const row = {};
+        const name = childText(placemark, 'name');
+        const description = childText(placemark, 'description');
+        if (name) row.Name = name;
+        if (description) row.Description = description;
+
+        // <ExtendedData><Data name><value> and <SchemaData><SimpleData name>
+        for (const data of byTag(placemark, 'Data')) {
+            const key = (data.getAttribute('name') || '').trim();
+            if (key) row[key] = childText(data, 'value');
+        }
+        for (const data of byTag(placemark, 'SimpleData')) {
+            const key = (data.getAttribute('name') || '').trim();
+            if (key) row[key] = data.textContent.trim();
+        }
+
+        // KML coordinates are "lon,lat[,alt]" tuples separated by whitespace
+        const [first = ''] = childText(placemark, 'coordinates').split(/\s+/);
+        const [lon, lat] = first.split(',');
+        row[COORDINATES_COLUMN] = first ? formatCoordinates(lat, lon) : '';
+        return row;
+    }));
+};
+
+const GPX_FIELDS = [['name', 'Name'], ['desc', 'Description'], ['cmt', 'Comment'], ['type', 'Type'], ['sym', 'Symbol']];
+
+const parseGPX = (text) => {
+    const xml = parseXml(text);
+    return toTable(byTag(xml, 'wpt').map(wpt => {
+        const row = {};
+        for (const [tag, column] of GPX_FIELDS) {
+            const value = childText(wpt, tag);
+            if (value) row[column] = value;
+        }
+        row[COORDINATES_COLUMN] = formatCoordinates(wpt.getAttribute('lat'), wpt.getAttribute('lon'));
+        return row;
+    }));
+};
+
+// A KMZ is a zip holding one .kml document (doc.kml by convention) plus its images
+const readKMZ = async (file) => {
+    const zip = CFB.read(new Uint8Array(await file.arrayBuffer()), { type: 'array' });
+    const entries = zip.FileIndex.filter(f => /\.kml$/i.test(f.name) && f.content);
+    const entry = entries.find(f => f.name.toLowerCase() === 'doc.kml') || entries[0];
+    if (!entry) throw new Error('No KML document in this KMZ');
+    return new TextDecoder().decode(new Uint8Array(entry.content));
+};
+
+/**
+ * Reads a GIS file into columns and header-keyed rows, one row per feature.
+ * @param {File} file - .geojson/.json, .kml, .kmz or .gpx
+ * @returns {Promise<{ columns: string[], rows: object[] }>}
+ */
+export const readGeoFile = async (file) => {
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (extension === 'kmz') return parseKML(await readKMZ(file));
+
+    const text = await file.text();
+    if (extension === 'kml') return parseKML(text);
+    if (extension === 'gpx') return parseGPX(text);
+    return parseGeoJSON(text);
+};
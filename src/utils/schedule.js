@@ -0,0 +1,54 @@
+// Calendar dates for the days plan. Each crew's days are laid out in order from the trip's
+// start date (crews work in parallel), skipping rest days and (if the plan says so) weekends.
+// The schedule is saved with the plan: { skipWeekends, restDates: ['YYYY-MM-DD', ...] }. Dates
+// are handled as UTC calendar days so they don't shift with the viewer's time zone.
+
+import { getCrews, crewForDay } from './crews';
+
+export const DEFAULT_SCHEDULE = { skipWeekends: false, restDates: [] };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDate = (date) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+    return match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+};
+
+const formatISODate = (time) => new Date(time).toISOString().slice(0, 10);
+
+export const addDays = (date, days) => formatISODate(parseDate(date) + days * DAY_MS);
+
+export const isWeekend = (date) => [0, 6].includes(new Date(parseDate(date)).getUTCDay());
+
+export const formatDayDate = (date, options = { weekday: 'short', month: 'short', day: 'numeric' }) =>
+    new Date(parseDate(date)).toLocaleDateString(undefined, { ...options, timeZone: 'UTC' });
+
+export const isWorkDate = (date, schedule) =>
+    !schedule.restDates.includes(date) && !(schedule.skipWeekends && isWeekend(date));
+
+/**
+ * Assigns each planned day a date, in day order per crew, from the trip's start date.
+ * @param {object[]} daysPlan - [{ day, crewId?, ... }]
+ * @param {object} project - Uses startDate and endDate (YYYY-MM-DD), and crews
+ * @param {object} schedule - { skipWeekends, restDates }
+ * @returns {object} { [day]: { date, afterEnd } }; empty when the trip has no start date.
+ *   afterEnd marks days that fall after the trip's end date.
+ */
+export const scheduleDays = (daysPlan, project, schedule = DEFAULT_SCHEDULE) => {
+    const result = {};
+    if (parseDate(project?.startDate) === null) return result;
+    const endTime = parseDate(project.endDate);
+
+    const crews = getCrews(project);
+    const nextDate = new Map(); // crew -> first date its next day can take
+    // Give up after a few years of rest days rather than loop forever
+    const lastSearchDate = addDays(project.startDate, 3 * 366 + daysPlan.length);
+    for (const plan of [...daysPlan].sort((a, b) => a.day - b.day)) {
+        const crew = crewForDay(plan, crews);
+        let date = nextDate.get(crew) || project.startDate;
+        while (!isWorkDate(date, schedule) && date < lastSearchDate) date = addDays(date, 1);
+        result[plan.day] = { date, afterEnd: endTime !== null && parseDate(date) > endTime };
+        nextDate.set(crew, addDays(date, 1));
+    }
+    return result;
+};
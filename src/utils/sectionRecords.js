@@ -0,0 +1,36 @@
+// How a section is stored: its "{projectId}_{shortId}" document ID and the data written for
+// it by addSection and addSections. Kept free of the storage backend so the security rule
+// tests can send exactly what the app writes.
+
+// Short ID from a potentially composite ID
+export const getShortId = (section, projectId) => {
+    let sid = section.id || section.docId || "";
+    if (projectId) {
+        // Recursively remove project prefix to handle "double-prefixed" older IDs (e.g. Proj_Proj_Sec)
+        while (sid.startsWith(`${projectId}_`)) {
+            sid = sid.substring(projectId.length + 1);
+        }
+    }
+    return sid;
+};
+
+/**
+ * The document written for a section. Trash fields are left out: saving a section never
+ * trashes or restores it, that only happens through trashSection/restoreSection.
+ * @returns {{ docId: string, shortId: string, data: object }}
+ */
+export const sectionRecord = (section, projectId, username) => {
+    const shortId = getShortId(section, projectId);
+    const { deletedAt: _deletedAt, deletedBy: _deletedBy, ...fields } = section;
+    return {
+        docId: `${projectId}_${shortId}`,
+        shortId,
+        data: {
+            ...fields,
+            id: shortId, // Ensure internal ID is short
+            projectId,
+            lastModifiedBy: username || 'anon',
+            lastModified: new Date().toISOString()
+        }
+    };
+};
@@ -0,0 +1,56 @@
+// Distance helpers and a uniform grid index for "what is within N metres of this point"
+// queries, so proximity checks over thousands of sections don't compare every pair.
+
+const EARTH_RADIUS_M = 6371e3;
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Great-circle (haversine) distance between two [lat, lng] points, in metres.
+ */
+export const distanceMeters = ([lat1, lng1], [lat2, lng2]) => {
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLng = (lng2 - lng1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+    return EARTH_RADIUS_M * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Index points on a grid of cells at least `radiusMeters` wide, so a radius query only has to
+ * look at the 3×3 cells around the query point.
+ * @param {Array<[number[], any]>} entries - [[lat, lng], value] pairs
+ * @param {number} radiusMeters - Largest radius that will be queried
+ * @returns {{ within: (latLng: number[], radiusMeters?: number) => Array<{ value: any, meters: number }> }}
+ */
+export const createSpatialIndex = (entries, radiusMeters) => {
+    const cellLat = radiusMeters / METERS_PER_DEGREE;
+    // A degree of longitude shrinks towards the poles; size cells for the highest latitude indexed
+    // (and any query latitude up to it) so they are never narrower than the radius
+    const maxLat = Math.min(89, Math.max(0, ...entries.map(([latLng]) => Math.abs(latLng[0]))));
+    const cellLng = radiusMeters / (METERS_PER_DEGREE * Math.cos(maxLat * Math.PI / 180));
+
+    const cellOf = ([lat, lng]) => [Math.floor(lat / cellLat), Math.floor(lng / cellLng)];
+    const cells = new Map();
+    for (const [latLng, value] of entries) {
+        const key = cellOf(latLng).join(':');
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push([latLng, value]);
+    }
+
+    return {
+        // Values within the radius, nearest first
+        within: (latLng, radius = radiusMeters) => {
+            const [row, col] = cellOf(latLng);
+            const found = [];
+            for (let dr = -1; dr <= 1; dr++) {
+                for (let dc = -1; dc <= 1; dc++) {
+                    for (const [point, value] of cells.get(`${row + dr}:${col + dc}`) || []) {
+                        const meters = distanceMeters(latLng, point);
+                        if (meters < radius) found.push({ value, meters });
+                    }
+                }
+            }
+            return found.sort((a, b) => a.meters - b.meters);
+        }
+    };
+};
@@ -0,0 +1,61 @@
+// Word-level text diff used to compare note revisions.
+
+// Above this many word pairs the LCS table gets too big for a phone; fall back to lines
+const MAX_CELLS = 4_000_000;
+
+/**
+ * Plain text of a note's HTML content (media dropped, block breaks kept as newlines).
+ * @param {string} html
+ * @returns {string}
+ */
+export const htmlToText = (html) => {
+    const doc = new DOMParser().parseFromString(
+        (html || '').replace(/<(br|\/div|\/p|\/li|\/h\d)[^>]*>/gi, '$&\n'),
+        'text/html'
+    );
+    doc.querySelectorAll('img, audio, video').forEach(el => el.replaceWith(el.tagName === 'IMG' ? '[image]' : '[audio]'));
+    return doc.body.textContent.replace(/[ \t]+/g, ' ').replace(/\n\s*\n+/g, '\n').trim();
+};
+
+const tokenize = (text, byLine) => byLine ? text.split(/(\n)/) : text.split(/(\s+)/);
+
+/**
+ * Diff two strings into runs of unchanged, removed and added text.
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ type: 'same' | 'removed' | 'added', text: string }>}
+ */
+export const diffText = (before, after) => {
+    let a = tokenize(before, false);
+    let b = tokenize(after, false);
+    if (a.length * b.length > MAX_CELLS) {
+        a = tokenize(before, true);
+        b = tokenize(after, true);
+    }
+
+    // Longest common subsequence table, filled from the end
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const runs = [];
+    const push = (type, text) => {
+        const last = runs[runs.length - 1];
+        if (last && last.type === type) last.text += text;
+        else runs.push({ type, text });
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) { push('same', a[i]); i++; j++; }
+        else if (lcs[i + 1][j] >= lcs[i][j + 1]) push('removed', a[i++]);
+        else push('added', b[j++]);
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+    return runs;
+};
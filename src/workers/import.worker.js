@@ -0,0 +1,18 @@
+import { parseCSVFile, analyzeRows } from './importTasks';
+
+// Runs one import task per message: { task: 'parse', file } or { task: 'analyze', sections, existing, options }.
+// Replies with { type: 'progress', progress }, then { type: 'done', result } or { type: 'error', message }.
+const TASKS = {
+    parse: ({ file }, onProgress) => parseCSVFile(file, onProgress),
+    analyze: ({ sections, existing, options }, onProgress) => analyzeRows(sections, existing, { ...options, onProgress })
+};
+
+self.onmessage = async (e) => {
+    const { task, ...payload } = e.data;
+    try {
+        const result = await TASKS[task](payload, (progress) => self.postMessage({ type: 'progress', progress }));
+        self.postMessage({ type: 'done', result });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message || String(err) });
+    }
+};
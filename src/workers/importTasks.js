@@ -0,0 +1,141 @@
+import Papa from 'papaparse';
+import { parseCoordinates, needsNormalizing, toLatLng } from '../utils/coordinates';
+import { createSpatialIndex } from '../utils/spatialIndex';
+
+// The slow parts of an import: reading a CSV and comparing its rows with the trip's sections.
+// Kept free of the database and the DOM so they run in import.worker.js, or inline where
+// workers aren't available (see runImportTask in csvImporter.js).
+
+// Sections this close to an existing one are treated as the same place, unless the trip says otherwise
+export const DEFAULT_PROXIMITY_METERS = 50;
+
+export const PARSE_OPTIONS = {
+    header: true,
+    skipEmptyLines: true,
+    transformHeader: (header) => header.trim(),
+};
+
+// How often to report progress, in rows
+const PROGRESS_EVERY = 500;
+
+export const isEmptyValue = (value) => value == null || String(value).trim() === '';
+
+/**
+ * Streams a CSV file into its columns and header-keyed rows.
+ * @param {Function} [onProgress] - Called with { phase, done, total } in bytes
+ * @returns {Promise<{ columns: string[], rows: object[] }>}
+ */
+export const parseCSVFile = (file, onProgress) => {
+    return new Promise((resolve, reject) => {
+        const rows = [];
+        let columns = [];
+        Papa.parse(file, {
+            ...PARSE_OPTIONS,
+            chunk: (results) => {
+                if (results.meta.fields) columns = results.meta.fields.filter(Boolean);
+                for (const row of results.data) rows.push(row);
+                if (onProgress) onProgress({ phase: 'Reading file', done: results.meta.cursor, total: file.size });
+            },
+            complete: () => resolve({ columns, rows }),
+            error: (error) => reject(error),
+        });
+    });
+};
+
+/**
+ * Classifies mapped sections against the trip's existing ones: new, mergeable (same ID with new
+ * or changed fields), or duplicate (same ID with nothing new, or a new ID within
+ * `proximityMeters` of an existing section). Coordinates are normalised along the way.
+ * @param {object[]} sectionsToAnalyze - From applyMapping
+ * @param {object[]} existingSections - The trip's sections, as getSections returns them
+ * @param {number} [options.proximityMeters]
+ * @param {Function} [options.onProgress] - Called with { phase, done, total } in rows
+ */
+export const analyzeRows = (sectionsToAnalyze, existingSections, { proximityMeters = DEFAULT_PROXIMITY_METERS, onProgress } = {}) => {
+    const report = {
+        newOrUpdates: [],      // Completely new sections
+        mergeable: [],         // Existing sections with new field data to merge
+        duplicates: [],        // Exact duplicates (no new data)
+        errors: [],
+        coordinateFixes: [],   // Coordinates converted to decimal or corrected: { section, original, warnings }
+        coordinateIssues: [],  // Coordinates that couldn't be read; imported as typed: { section, error }
+    };
+
+    const existingBySectionId = new Map(existingSections.map(s => [s.id, s]));
+    const located = [];
+    for (const existing of existingSections) {
+        const latLng = existing.coordinates ? toLatLng(existing.coordinates) : null;
+        if (latLng) located.push([latLng, existing]);
+    }
+    const index = createSpatialIndex(located, proximityMeters);
+
+    for (const [rowIndex, section] of sectionsToAnalyze.entries()) {
+        if (onProgress && rowIndex % PROGRESS_EVERY === 0) {
+            onProgress({ phase: 'Comparing with the trip', done: rowIndex, total: sectionsToAnalyze.length });
+        }
+
+        let latLng = null;
+        if (section.coordinates) {
+            const parsed = parseCoordinates(section.coordinates);
+            if (parsed.error) {
+                report.coordinateIssues.push({ section, error: parsed.error });
+            } else {
+                latLng = parsed.latLng;
+                if (needsNormalizing(section.coordinates, parsed)) {
+                    report.coordinateFixes.push({ section, original: section.coordinates, format: parsed.format, warnings: parsed.warnings });
+                    section.coordinates = parsed.coordinates;
+                }
+            }
+        }
+
+        const existingById = existingBySectionId.get(section.id);
+
+        if (existingById) {
+            // Check if the incoming section has any new or changed fields
+            const newFields = {};
+            for (const key in section) {
+                if (key === 'status' || key === 'details') continue; // Don't overwrite status or details
+                const existingVal = existingById[key];
+                const newVal = section[key];
+                if (newVal && newVal !== existingVal) {
+                    newFields[key] = newVal;
+                }
+            }
+
+            // Remove fields that are the same
+            const meaningfulNewFields = Object.keys(newFields).filter(k => k !== 'id');
+
+            if (meaningfulNewFields.length > 0) {
+                report.mergeable.push({
+                    newSection: section,
+                    existingSection: existingById,
+                    newFields: newFields,
+                    fieldNames: meaningfulNewFields,
+                    // Fields that would replace a value rather than fill an empty one
+                    conflicts: meaningfulNewFields.filter(k => !isEmptyValue(existingById[k]))
+                });
+            } else {
+                report.duplicates.push({
+                    newSection: section,
+                    existingSection: existingById,
+                    reason: 'Identical — no new data'
+                });
+            }
+        } else {
+            // Check for coordinate proximity clash
+            const [nearest] = latLng ? index.within(latLng) : [];
+
+            if (nearest) {
+                report.duplicates.push({
+                    newSection: section,
+                    existingSection: nearest.value,
+                    reason: `Similar coordinates (${Math.round(nearest.meters)} m away)`
+                });
+            } else {
+                report.newOrUpdates.push(section);
+            }
+        }
+    }
+
+    return report;
+};
@@ -0,0 +1,13 @@
+import { optimizeTour } from './optimizeTasks';
+
+// Runs one optimization per message: { durations, options } (see optimizeTour).
+// Replies with { type: 'progress', progress }, then { type: 'done', result } or { type: 'error', message }.
+self.onmessage = (e) => {
+    const { durations, options } = e.data;
+    try {
+        const result = optimizeTour(durations, { ...options, onProgress: (progress) => self.postMessage({ type: 'progress', progress }) });
+        self.postMessage({ type: 'done', result });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message || String(err) });
+    }
+};
@@ -0,0 +1,115 @@
+// Route improvement on a drive-time matrix. Kept free of the DOM so it runs in
+// optimize.worker.js, or inline where workers aren't available (see routing/optimizer.js).
+
+const EPSILON = 1e-6;
+const OR_OPT_MAX_RUN = 3;
+
+// Total of a path's legs through the matrix
+const pathCost = (cost, path) => {
+    let total = 0;
+    for (let i = 0; i < path.length - 1; i++) total += cost(path[i], path[i + 1]);
+    return total;
+};
+
+const nearestNeighbour = (cost, start, stops) => {
+    const unvisited = new Set(stops);
+    const order = [];
+    let current = start;
+    while (unvisited.size > 0) {
+        let next = null;
+        for (const candidate of unvisited) {
+            if (next === null || cost(current, candidate) < cost(current, next)) next = candidate;
+        }
+        order.push(next);
+        unvisited.delete(next);
+        current = next;
+    }
+    return order;
+};
+
+// Reverses a stretch of the path when that shortens it. Reversal also changes the direction of
+// the legs inside the stretch, which matters for one-way streets, so both directions are summed.
+const twoOptPass = (cost, path, deadline) => {
+    let improved = false;
+    const last = path.length - 2;
+    for (let i = 1; i < last; i++) {
+        if (Date.now() > deadline) break;
+        let forward = 0;
+        let backward = 0;
+        for (let j = i + 1; j <= last; j++) {
+            forward += cost(path[j - 1], path[j]);
+            backward += cost(path[j], path[j - 1]);
+            const delta = cost(path[i - 1], path[j]) + cost(path[i], path[j + 1])
+                - cost(path[i - 1], path[i]) - cost(path[j], path[j + 1])
+                + backward - forward;
+            if (delta < -EPSILON) {
+                path.splice(i, j - i + 1, ...path.slice(i, j + 1).reverse());
+                [forward, backward] = [backward, forward];
+                improved = true;
+            }
+        }
+    }
+    return improved;
+};
+
+// Moves a run of up to three consecutive stops to wherever it fits best, keeping its direction
+const orOptPass = (cost, path, deadline) => {
+    let improved = false;
+    const last = path.length - 2;
+    for (let run = 1; run <= OR_OPT_MAX_RUN; run++) {
+        for (let s = 1; s + run - 1 <= last; s++) {
+            if (Date.now() > deadline) return improved;
+            const e = s + run - 1;
+            const removed = cost(path[s - 1], path[s]) + cost(path[e], path[e + 1]) - cost(path[s - 1], path[e + 1]);
+            let best = null;
+            let bestDelta = -EPSILON;
+            for (let k = 0; k <= last; k++) {
+                if (k >= s - 1 && k <= e) continue;
+                const delta = cost(path[k], path[s]) + cost(path[e], path[k + 1]) - cost(path[k], path[k + 1]) - removed;
+                if (delta < bestDelta) {
+                    bestDelta = delta;
+                    best = k;
+                }
+            }
+            if (best !== null) {
+                const segment = path.splice(s, run);
+                path.splice(best < s ? best + 1 : best + 1 - run, 0, ...segment);
+                improved = true;
+            }
+        }
+    }
+    return improved;
+};
+
+/**
+ * Orders stops to minimise drive time from `start`, through every stop, to `end`. Starts from the
+ * better of the current order and a nearest-neighbour tour, then applies 2-opt and Or-opt moves
+ * until neither helps or the time budget runs out.
+ * @param {number[][]} durations - Seconds between matrix indexes; may be asymmetric
+ * @param {number} options.start - Matrix index the route starts from
+ * @param {number|null} options.end - Matrix index it must finish at, or null to finish at any stop
+ * @param {number[]} options.stops - Matrix indexes to visit, in their current order
+ * @param {number} [options.timeBudgetMs]
+ * @param {Function} [options.onProgress] - Called with { phase } at the start of each improvement pass
+ * @returns {{ order: number[], seconds: number }} The stops' matrix indexes in their new order
+ */
+export const optimizeTour = (durations, { start, end, stops, timeBudgetMs = 2000, onProgress }) => {
+    // An open end is a free last leg to a virtual stop
+    const open = durations.length;
+    const finish = end ?? open;
+    const cost = (from, to) => to === open ? 0 : durations[from][to];
+
+    const deadline = Date.now() + timeBudgetMs;
+    const current = [start, ...stops, finish];
+    const seeded = [start, ...nearestNeighbour(cost, start, stops), finish];
+    const path = pathCost(cost, seeded) < pathCost(cost, current) ? seeded : current;
+
+    let improved = true;
+    for (let pass = 1; improved && Date.now() <= deadline; pass++) {
+        if (onProgress) onProgress({ phase: `Optimizing route (pass ${pass})`, done: 0, total: 0 });
+        improved = twoOptPass(cost, path, deadline);
+        improved = orOptPass(cost, path, deadline) || improved;
+    }
+
+    return { order: path.slice(1, -1), seconds: pathCost(cost, path) };
+};
@@ -0,0 +1,373 @@
+// Security rule tests for firestore.rules. Run against the Firestore emulator:
+//   npm run test:rules
+// firebase-tools comes with the dev dependencies; the emulator itself needs Java 11+ on the PATH
+// and is downloaded by firebase-tools on first run.
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { collection, deleteDoc, doc, getDoc, getDocs, query, setDoc, updateDoc, where } from 'firebase/firestore';
+import { sectionRecord } from '../src/utils/sectionRecords.js';
+
+const PROJECT = 'trip1';
+const OTHER_PROJECT = 'trip2';
+const SECTION = `${PROJECT}_S-001`;
+
+const USERS = {
+    admin: { email: 'admin@example.com', name: 'admin' },
+    planner: { email: 'planner@example.com', name: 'planner' },
+    editor: { email: 'editor@example.com', name: 'editor' },
+    viewer: { email: 'viewer@example.com', name: 'viewer' },
+    outsider: { email: 'outsider@example.com', name: 'outsider' },
+    superAdmin: { email: 'root@example.com', name: 'root' }
+};
+
+let env;
+
+const db = (who) => {
+    const user = USERS[who];
+    return env.authenticatedContext(user.name, { email: user.email, name: user.name }).firestore();
+};
+
+const seed = (fn) => env.withSecurityRulesDisabled(context => fn(context.firestore()));
+
+const readProject = async () => {
+    let data;
+    await seed(async (fs) => { data = (await getDoc(doc(fs, 'projects', PROJECT))).data(); });
+    return data;
+};
+
+before(async () => {
+    env = await initializeTestEnvironment({
+        projectId: 'demo-travel-records',
+        firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') }
+    });
+});
+
+after(() => env?.cleanup());
+
+beforeEach(async () => {
+    await env.clearFirestore();
+    await seed(async (fs) => {
+        await setDoc(doc(fs, 'app_config', 'super_admins'), { emails: [USERS.superAdmin.email] });
+        await setDoc(doc(fs, 'projects', PROJECT), {
+            name: 'Trip 1',
+            createdBy: 'admin',
+            users: [
+                { email: USERS.admin.email, role: 'admin' },
+                { email: USERS.planner.email, role: 'planner' },
+                { email: USERS.editor.email, role: 'editor' },
+                { email: USERS.viewer.email, role: 'viewer' }
+            ],
+            memberEmails: [USERS.admin.email, USERS.planner.email, USERS.editor.email, USERS.viewer.email],
+            roleModel: 2
+        });
+        await setDoc(doc(fs, 'projects', OTHER_PROJECT), {
+            name: 'Trip 2',
+            createdBy: 'outsider',
+            users: [{ email: USERS.outsider.email, role: 'admin' }],
+            memberEmails: [USERS.outsider.email]
+        });
+        await setDoc(doc(fs, 'sections', SECTION), { id: 'S-001', projectId: PROJECT, status: 'pending', name: 'Main St' });
+        await setDoc(doc(fs, 'details', 'note1'), { sectionId: SECTION, content: '<p>Cracked slab</p>', username: 'viewer' });
+        await setDoc(doc(fs, 'section_audit', 'audit1'), { sectionId: SECTION, projectId: PROJECT, field: 'status', oldValue: 'pending', newValue: 'evaluated' });
+        await setDoc(doc(fs, 'detail_revisions', 'rev1'), { detailId: 'note1', sectionId: SECTION, content: '<p>Crack</p>' });
+        await setDoc(doc(fs, 'private_notes', `${PROJECT}_S-001_viewer`), { projectId: PROJECT, sectionId: 'S-001', username: 'viewer', ownerEmail: USERS.viewer.email, content: 'mine' });
+        await setDoc(doc(fs, 'user_plans', `PLAN_${PROJECT}`), { projectId: PROJECT, days: [] });
+    });
+});
+
+describe('super admins', () => {
+    it('are granted and revoked by super admins only', async () => {
+        const list = (emails) => ({ emails });
+        await assertSucceeds(getDoc(doc(db('viewer'), 'app_config', 'super_admins')));
+        await assertFails(setDoc(doc(db('admin'), 'app_config', 'super_admins'), list([USERS.superAdmin.email, USERS.admin.email])));
+        await assertSucceeds(setDoc(doc(db('superAdmin'), 'app_config', 'super_admins'), list([USERS.superAdmin.email, USERS.admin.email])));
+        await assertSucceeds(getDocs(collection(db('admin'), 'projects')));
+    });
+
+    it('cannot all be removed', async () => {
+        await assertFails(setDoc(doc(db('superAdmin'), 'app_config', 'super_admins'), { emails: [] }));
+        await assertFails(deleteDoc(doc(db('superAdmin'), 'app_config', 'super_admins')));
+    });
+});
+
+describe('projects', () => {
+    it('lets members read their trip and keeps everyone else out', async () => {
+        await assertSucceeds(getDoc(doc(db('viewer'), 'projects', PROJECT)));
+        await assertFails(getDoc(doc(db('outsider'), 'projects', PROJECT)));
+        await assertFails(getDoc(doc(env.unauthenticatedContext().firestore(), 'projects', PROJECT)));
+    });
+
+    it('lists only trips the user belongs to', async () => {
+        await assertSucceeds(getDocs(query(collection(db('viewer'), 'projects'), where('memberEmails', 'array-contains', USERS.viewer.email))));
+        await assertSucceeds(getDocs(query(collection(db('admin'), 'projects'), where('createdBy', '==', 'admin'))));
+        await assertFails(getDocs(collection(db('viewer'), 'projects')));
+        await assertSucceeds(getDocs(collection(db('superAdmin'), 'projects')));
+    });
+
+    it('requires the creator to be the first admin', async () => {
+        await assertSucceeds(setDoc(doc(db('outsider'), 'projects', 'trip3'), {
+            name: 'Trip 3', createdBy: 'outsider', users: [{ email: USERS.outsider.email, role: 'admin' }]
+        }));
+        await assertFails(setDoc(doc(db('outsider'), 'projects', 'trip4'), {
+            name: 'Trip 4', createdBy: 'outsider', users: [{ email: USERS.admin.email, role: 'admin' }]
+        }));
+    });
+
+    it('only lets admins change users or delete the trip', async () => {
+        await assertFails(updateDoc(doc(db('viewer'), 'projects', PROJECT), { users: [{ email: USERS.viewer.email, role: 'admin' }] }));
+        await assertFails(deleteDoc(doc(db('viewer'), 'projects', PROJECT)));
+        await assertSucceeds(updateDoc(doc(db('admin'), 'projects', PROJECT), { name: 'Renamed' }));
+        await assertSucceeds(deleteDoc(doc(db('superAdmin'), 'projects', PROJECT)));
+    });
+});
+
+describe('invitations', () => {
+    const INVITE = `${PROJECT}_${USERS.outsider.email}`;
+    const invite = (overrides) => ({ projectId: PROJECT, email: USERS.outsider.email, role: 'editor', status: 'pending', ...overrides });
+
+    it('are sent by trip admins only, within the allowed domains', async () => {
+        await assertFails(setDoc(doc(db('editor'), 'invitations', INVITE), invite()));
+        await assertSucceeds(setDoc(doc(db('admin'), 'invitations', INVITE), invite()));
+        await seed(fs => updateDoc(doc(fs, 'projects', PROJECT), { allowedEmailDomains: ['ttu.edu'] }));
+        await assertFails(setDoc(doc(db('admin'), 'invitations', INVITE), invite()));
+    });
+
+    it('let the invitee join with the invited role only', async () => {
+        await seed(fs => setDoc(doc(fs, 'invitations', INVITE), invite()));
+        const outsider = db('outsider');
+        await assertSucceeds(getDoc(doc(outsider, 'projects', PROJECT)));
+
+        const current = await readProject();
+        const join = (role) => ({
+            users: [...current.users, { email: USERS.outsider.email, role }],
+            memberEmails: [...current.memberEmails, USERS.outsider.email]
+        });
+        await assertFails(updateDoc(doc(outsider, 'projects', PROJECT), join('admin')));
+        await assertSucceeds(updateDoc(doc(outsider, 'projects', PROJECT), join('editor')));
+        await assertSucceeds(updateDoc(doc(outsider, 'invitations', INVITE), { status: 'accepted', respondedAt: '2026-01-01T00:00:00.000Z' }));
+        await assertFails(updateDoc(doc(outsider, 'invitations', INVITE), { status: 'pending' }));
+    });
+
+    it('cannot be accepted once expired', async () => {
+        const DAY_MS = 24 * 60 * 60 * 1000;
+        await seed(fs => setDoc(doc(fs, 'invitations', INVITE), invite({ expiresAt: new Date(Date.now() - DAY_MS) })));
+        const current = await readProject();
+        const join = {
+            users: [...current.users, { email: USERS.outsider.email, role: 'editor' }],
+            memberEmails: [...current.memberEmails, USERS.outsider.email]
+        };
+        await assertFails(getDoc(doc(db('outsider'), 'projects', PROJECT)));
+        await assertFails(updateDoc(doc(db('outsider'), 'projects', PROJECT), join));
+
+        await seed(fs => setDoc(doc(fs, 'invitations', INVITE), invite({ expiresAt: new Date(Date.now() + DAY_MS) })));
+        await assertSucceeds(updateDoc(doc(db('outsider'), 'projects', PROJECT), join));
+    });
+
+    it('do nothing for people who were not invited', async () => {
+        const current = await readProject();
+        await assertFails(getDoc(doc(db('outsider'), 'projects', PROJECT)));
+        await assertFails(updateDoc(doc(db('outsider'), 'projects', PROJECT), {
+            users: [...current.users, { email: USERS.outsider.email, role: 'editor' }],
+            memberEmails: [...current.memberEmails, USERS.outsider.email]
+        }));
+    });
+
+    it('are only visible to the invitee and trip admins', async () => {
+        await seed(fs => setDoc(doc(fs, 'invitations', INVITE), invite()));
+        await assertSucceeds(getDocs(query(collection(db('outsider'), 'invitations'), where('email', '==', USERS.outsider.email), where('status', '==', 'pending'))));
+        await assertSucceeds(getDocs(query(collection(db('admin'), 'invitations'), where('projectId', '==', PROJECT), where('status', '==', 'pending'))));
+        await assertFails(getDoc(doc(db('editor'), 'invitations', INVITE)));
+    });
+});
+
+describe('sections', () => {
+    it('are readable by trip members only', async () => {
+        await assertSucceeds(getDocs(query(collection(db('viewer'), 'sections'), where('projectId', '==', PROJECT))));
+        await assertFails(getDocs(query(collection(db('outsider'), 'sections'), where('projectId', '==', PROJECT))));
+        await assertFails(getDoc(doc(db('outsider'), 'sections', SECTION)));
+    });
+
+    it('can be read before they exist, for the audit log', async () => {
+        await assertSucceeds(getDoc(doc(db('viewer'), 'sections', `${PROJECT}_S-999`)));
+    });
+
+    it('let field editors mark a section evaluated but nothing else', async () => {
+        await assertSucceeds(setDoc(doc(db('editor'), 'sections', SECTION), {
+            status: 'evaluated', evaluatedAt: '2026-01-01T00:00:00.000Z', lastModifiedBy: 'editor'
+        }, { merge: true }));
+        await assertFails(setDoc(doc(db('editor'), 'sections', SECTION), { test_sequence: '4' }, { merge: true }));
+        await assertFails(setDoc(doc(db('editor'), 'sections', SECTION), { name: 'Elm St' }, { merge: true }));
+        await assertFails(setDoc(doc(db('editor'), 'sections', SECTION), { projectId: OTHER_PROJECT }, { merge: true }));
+    });
+
+    it('let planners change route sequences', async () => {
+        await assertSucceeds(setDoc(doc(db('planner'), 'sections', SECTION), { test_sequence: '4', original_sequence: '1' }, { merge: true }));
+        await assertFails(setDoc(doc(db('planner'), 'sections', SECTION), { name: 'Elm St' }, { merge: true }));
+    });
+
+    it('let planners save an optimized route the way the app writes it', async () => {
+        // The map optimizer hands addSections the loaded section with its new sequence and snapshot
+        let stored;
+        await seed(async (fs) => { stored = (await getDoc(doc(fs, 'sections', SECTION))).data(); });
+        const optimized = { id: 'S-001', ...stored, docId: SECTION, test_sequence: '1001', original_sequence: '1', original_day: 1 };
+        const { docId, data } = sectionRecord(optimized, PROJECT, 'planner');
+        await assertSucceeds(setDoc(doc(db('planner'), 'sections', docId), data, { merge: true }));
+    });
+
+    it('are read-only for viewers', async () => {
+        await assertFails(setDoc(doc(db('viewer'), 'sections', SECTION), { status: 'evaluated' }, { merge: true }));
+    });
+
+    it('are created and deleted by admins only', async () => {
+        const section = { id: 'S-002', projectId: PROJECT, status: 'pending' };
+        await assertFails(setDoc(doc(db('viewer'), 'sections', `${PROJECT}_S-002`), section));
+        await assertSucceeds(setDoc(doc(db('admin'), 'sections', `${PROJECT}_S-002`), section));
+        await assertFails(deleteDoc(doc(db('viewer'), 'sections', SECTION)));
+        await assertSucceeds(deleteDoc(doc(db('admin'), 'sections', SECTION)));
+    });
+
+    it('cannot be written into another trip', async () => {
+        await assertFails(setDoc(doc(db('admin'), 'sections', `${OTHER_PROJECT}_S-001`), { id: 'S-001', projectId: OTHER_PROJECT }));
+        await assertFails(setDoc(doc(db('admin'), 'sections', `${OTHER_PROJECT}_S-002`), { id: 'S-002', projectId: PROJECT }));
+    });
+});
+
+describe('section audit log', () => {
+    it('is written by members and never edited', async () => {
+        const entry = { sectionId: SECTION, projectId: PROJECT, field: 'status', oldValue: 'evaluated', newValue: 'pending' };
+        await assertSucceeds(setDoc(doc(db('editor'), 'section_audit', 'audit2'), entry));
+        await assertFails(setDoc(doc(db('viewer'), 'section_audit', 'audit4'), entry));
+        await assertFails(setDoc(doc(db('outsider'), 'section_audit', 'audit3'), entry));
+        await assertFails(updateDoc(doc(db('admin'), 'section_audit', 'audit1'), { newValue: 'skipped' }));
+    });
+
+    it('is readable by members of the trip', async () => {
+        const byMember = query(collection(db('viewer'), 'section_audit'), where('projectId', '==', PROJECT), where('sectionId', '==', SECTION));
+        await assertSucceeds(getDocs(byMember));
+        const byOutsider = query(collection(db('outsider'), 'section_audit'), where('projectId', '==', PROJECT), where('sectionId', '==', SECTION));
+        await assertFails(getDocs(byOutsider));
+    });
+});
+
+describe('import history', () => {
+    const IMPORT = { projectId: PROJECT, fileName: 'sections.csv', importedBy: 'admin', importedAt: '2026-01-01T00:00:00.000Z', created: 1, updated: 0, rolledBackAt: null, rolledBackBy: null };
+
+    beforeEach(() => seed(fs => setDoc(doc(fs, 'imports', 'import1'), IMPORT)));
+
+    it('is recorded and rolled back by admins only', async () => {
+        await assertSucceeds(setDoc(doc(db('admin'), 'imports', 'import2'), IMPORT));
+        await assertFails(setDoc(doc(db('planner'), 'imports', 'import3'), { ...IMPORT, importedBy: 'planner' }));
+        await assertFails(updateDoc(doc(db('planner'), 'imports', 'import1'), { rolledBackAt: '2026-01-02T00:00:00.000Z', rolledBackBy: 'planner' }));
+        await assertFails(updateDoc(doc(db('admin'), 'imports', 'import1'), { created: 5 }));
+        await assertSucceeds(updateDoc(doc(db('admin'), 'imports', 'import1'), { rolledBackAt: '2026-01-02T00:00:00.000Z', rolledBackBy: 'admin' }));
+        await assertFails(updateDoc(doc(db('admin'), 'imports', 'import1'), { rolledBackAt: '2026-01-03T00:00:00.000Z', rolledBackBy: 'admin' }));
+    });
+
+    it('keeps before-images in the trip of their import', async () => {
+        const entry = { importId: 'import1', projectId: PROJECT, sectionId: SECTION, before: null };
+        await assertSucceeds(setDoc(doc(db('admin'), 'import_sections', 'import1_S-001'), entry));
+        await assertFails(setDoc(doc(db('editor'), 'import_sections', 'import1_S-002'), { ...entry, sectionId: `${PROJECT}_S-002` }));
+        await assertFails(setDoc(doc(db('outsider'), 'import_sections', 'import1_S-003'), { ...entry, projectId: OTHER_PROJECT, sectionId: `${OTHER_PROJECT}_S-003` }));
+        await assertFails(updateDoc(doc(db('admin'), 'import_sections', 'import1_S-001'), { before: { id: 'S-001' } }));
+        await assertFails(getDocs(query(collection(db('viewer'), 'imports'), where('projectId', '==', PROJECT))));
+    });
+});
+
+describe('notes', () => {
+    it('are added and edited by field editors', async () => {
+        await assertSucceeds(setDoc(doc(db('editor'), 'details', 'note2'), { sectionId: SECTION, content: '<p>Pothole</p>' }));
+        await assertFails(setDoc(doc(db('viewer'), 'details', 'note3'), { sectionId: SECTION, content: '<p>Sponsor</p>' }));
+        await assertFails(setDoc(doc(db('outsider'), 'details', 'note3'), { sectionId: SECTION, content: '<p>Spam</p>' }));
+        await assertSucceeds(updateDoc(doc(db('editor'), 'details', 'note1'), { content: '<p>Cracked slab, 2 m</p>' }));
+        await assertFails(updateDoc(doc(db('editor'), 'details', 'note1'), { sectionId: `${PROJECT}_S-002` }));
+    });
+
+    it('are trashed by admins only', async () => {
+        const trash = { deletedAt: '2026-01-01T00:00:00.000Z', deletedBy: 'x', projectId: PROJECT };
+        await assertFails(updateDoc(doc(db('editor'), 'details', 'note1'), trash));
+        await assertSucceeds(updateDoc(doc(db('admin'), 'details', 'note1'), trash));
+    });
+
+    it('can still be added by viewers of trips that predate field editors', async () => {
+        await seed(fs => updateDoc(doc(fs, 'projects', PROJECT), { roleModel: 1 }));
+        await assertSucceeds(setDoc(doc(db('viewer'), 'details', 'note2'), { sectionId: SECTION, content: '<p>Pothole</p>' }));
+    });
+
+    it('are listed per section for members only', async () => {
+        await assertSucceeds(getDocs(query(collection(db('viewer'), 'details'), where('sectionId', '==', SECTION))));
+        await assertFails(getDocs(query(collection(db('outsider'), 'details'), where('sectionId', '==', SECTION))));
+    });
+
+    it('are permanently deleted by admins only', async () => {
+        await assertFails(deleteDoc(doc(db('editor'), 'details', 'note1')));
+        await assertSucceeds(deleteDoc(doc(db('admin'), 'details', 'note1')));
+    });
+
+    it('keep revisions that members can read but not rewrite', async () => {
+        await assertSucceeds(getDocs(query(collection(db('viewer'), 'detail_revisions'), where('sectionId', '==', SECTION), where('detailId', '==', 'note1'))));
+        await assertFails(getDoc(doc(db('outsider'), 'detail_revisions', 'rev1')));
+        await assertFails(updateDoc(doc(db('admin'), 'detail_revisions', 'rev1'), { content: '<p>Rewritten</p>' }));
+    });
+});
+
+describe('duplicate section repair', () => {
+    const STRAY = `${PROJECT}_${PROJECT}_S-001`;
+
+    beforeEach(() => seed(async (fs) => {
+        await setDoc(doc(fs, 'sections', STRAY), { id: `${PROJECT}_S-001`, projectId: PROJECT, status: 'pending' });
+        await setDoc(doc(fs, 'details', 'stray-note'), { sectionId: STRAY, content: '<p>Old</p>' });
+        await setDoc(doc(fs, 'detail_revisions', 'stray-rev'), { detailId: 'stray-note', sectionId: STRAY, content: '<p>Older</p>' });
+        await setDoc(doc(fs, 'section_audit', 'stray-audit'), { sectionId: STRAY, projectId: PROJECT, field: null });
+    }));
+
+    it('lets admins move records to the canonical section of the same trip', async () => {
+        await assertSucceeds(updateDoc(doc(db('admin'), 'details', 'stray-note'), { sectionId: SECTION }));
+        await assertSucceeds(updateDoc(doc(db('admin'), 'detail_revisions', 'stray-rev'), { sectionId: SECTION }));
+        await assertSucceeds(updateDoc(doc(db('admin'), 'section_audit', 'stray-audit'), { sectionId: SECTION }));
+    });
+
+    it('moves nothing for non-admins, into other trips, or with other changes', async () => {
+        await assertFails(updateDoc(doc(db('editor'), 'details', 'stray-note'), { sectionId: SECTION }));
+        await assertFails(updateDoc(doc(db('admin'), 'details', 'stray-note'), { sectionId: `${OTHER_PROJECT}_S-001` }));
+        await assertFails(updateDoc(doc(db('admin'), 'section_audit', 'stray-audit'), { sectionId: SECTION, field: 'status' }));
+    });
+});
+
+describe('private notes', () => {
+    const NOTE = `${PROJECT}_S-001_viewer`;
+
+    it('are readable by their owner only', async () => {
+        await assertSucceeds(getDoc(doc(db('viewer'), 'private_notes', NOTE)));
+        await assertFails(getDoc(doc(db('admin'), 'private_notes', NOTE)));
+        await assertFails(getDocs(query(collection(db('admin'), 'private_notes'), where('projectId', '==', PROJECT))));
+    });
+
+    it('cannot be written for someone else', async () => {
+        await assertSucceeds(setDoc(doc(db('admin'), 'private_notes', `${PROJECT}_S-001_admin`), {
+            projectId: PROJECT, sectionId: 'S-001', username: 'admin', ownerEmail: USERS.admin.email, content: 'admin only'
+        }));
+        await assertFails(setDoc(doc(db('admin'), 'private_notes', NOTE), {
+            projectId: PROJECT, sectionId: 'S-001', username: 'viewer', ownerEmail: USERS.viewer.email, content: 'overwritten'
+        }));
+        await assertFails(setDoc(doc(db('outsider'), 'private_notes', `${PROJECT}_S-001_outsider`), {
+            projectId: PROJECT, sectionId: 'S-001', username: 'outsider', ownerEmail: USERS.outsider.email, content: 'not a member'
+        }));
+    });
+
+    it('can be deleted by a trip admin during cleanup', async () => {
+        await assertSucceeds(deleteDoc(doc(db('admin'), 'private_notes', NOTE)));
+    });
+});
+
+describe('days plan', () => {
+    it('is readable by members and written by planners', async () => {
+        const PLAN = `PLAN_${PROJECT}`;
+        await assertSucceeds(getDoc(doc(db('viewer'), 'user_plans', PLAN)));
+        await assertFails(getDoc(doc(db('outsider'), 'user_plans', PLAN)));
+        await assertFails(setDoc(doc(db('editor'), 'user_plans', PLAN), { projectId: PROJECT, days: [['S-001']] }));
+        await assertSucceeds(setDoc(doc(db('planner'), 'user_plans', PLAN), { projectId: PROJECT, days: [['S-001']] }));
+        await assertSucceeds(setDoc(doc(db('admin'), 'user_plans', PLAN), { projectId: PROJECT, days: [['S-001']] }));
+        await assertFails(setDoc(doc(db('admin'), 'user_plans', `PLAN_${OTHER_PROJECT}`), { projectId: PROJECT, days: [] }));
+    });
+});
@@ -0,0 +1,92 @@
+// Tests for the local backend's write semantics, which should match Firestore's:
+//   npm test
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { createLocalBackend, createMemoryStore } from '../src/backends/localBackend.js';
+
+let backend;
+
+const read = async (col, id) => (await backend.getDoc(col, id))?.data ?? null;
+
+beforeEach(() => {
+    backend = createLocalBackend(createMemoryStore(), 'memory');
+});
+
+describe('setDoc', () => {
+    it('replaces the whole document without merge', async () => {
+        await backend.setDoc('sections', 'S1', { name: 'A', meta: { a: 1, b: 2 } });
+        await backend.setDoc('sections', 'S1', { meta: { a: 3 } });
+        assert.deepEqual(await read('sections', 'S1'), { meta: { a: 3 } });
+    });
+
+    it('merges nested maps with merge', async () => {
+        await backend.setDoc('sections', 'S1', { name: 'A', meta: { a: 1, b: 2 } });
+        await backend.setDoc('sections', 'S1', { meta: { a: 3 } }, { merge: true });
+        assert.deepEqual(await read('sections', 'S1'), { name: 'A', meta: { a: 3, b: 2 } });
+    });
+
+    it('replaces dates and arrays whole when merging', async () => {
+        const expiresAt = new Date('2026-01-01T00:00:00Z');
+        await backend.setDoc('invitations', 'I1', { expiresAt: new Date(0), tags: ['a', 'b'] });
+        await backend.setDoc('invitations', 'I1', { expiresAt, tags: ['c'] }, { merge: true });
+        const data = await read('invitations', 'I1');
+        assert.ok(data.expiresAt instanceof Date);
+        assert.equal(data.expiresAt.getTime(), expiresAt.getTime());
+        assert.deepEqual(data.tags, ['c']);
+    });
+});
+
+describe('updateDoc', () => {
+    it('replaces nested maps instead of merging them', async () => {
+        await backend.setDoc('projects', 'P1', { name: 'Trip', settings: { a: 1, b: 2 } });
+        await backend.updateDoc('projects', 'P1', { settings: { a: 3 } });
+        assert.deepEqual(await read('projects', 'P1'), { name: 'Trip', settings: { a: 3 } });
+    });
+
+    it('treats dotted keys as field paths', async () => {
+        await backend.setDoc('projects', 'P1', { settings: { a: 1, b: 2 } });
+        await backend.updateDoc('projects', 'P1', { 'settings.a': 3, 'home.name': 'Base' });
+        assert.deepEqual(await read('projects', 'P1'), { settings: { a: 3, b: 2 }, home: { name: 'Base' } });
+    });
+
+    it('fails with not-found on a missing document', async () => {
+        await assert.rejects(backend.updateDoc('projects', 'nope', { a: 1 }), { code: 'not-found' });
+        assert.equal(await read('projects', 'nope'), null);
+    });
+});
+
+describe('batch', () => {
+    it('applies every write in order', async () => {
+        await backend.setDoc('sections', 'S2', { name: 'old' });
+        const batch = backend.batch();
+        batch.set('sections', 'S1', { name: 'A', meta: { a: 1 } });
+        batch.update('sections', 'S1', { 'meta.b': 2 });
+        batch.delete('sections', 'S2');
+        await batch.commit();
+        assert.deepEqual(await read('sections', 'S1'), { name: 'A', meta: { a: 1, b: 2 } });
+        assert.equal(await read('sections', 'S2'), null);
+    });
+
+    it('writes nothing when one of its writes fails', async () => {
+        await backend.setDoc('sections', 'S2', { name: 'kept' });
+        const batch = backend.batch();
+        batch.set('sections', 'S1', { name: 'A' });
+        batch.delete('sections', 'S2');
+        batch.update('sections', 'missing', { name: 'B' });
+        await assert.rejects(batch.commit(), { code: 'not-found' });
+        assert.equal(await read('sections', 'S1'), null);
+        assert.deepEqual(await read('sections', 'S2'), { name: 'kept' });
+    });
+
+    it('notifies subscribers once the batch is stored', async () => {
+        const seen = [];
+        const unsubscribe = backend.subscribe('sections', [], records => seen.push(records.length));
+        const batch = backend.batch();
+        batch.set('sections', 'S1', { name: 'A' });
+        batch.set('sections', 'S2', { name: 'B' });
+        await batch.commit();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        unsubscribe();
+        assert.equal(seen.at(-1), 2);
+    });
+});